@@ -106,6 +106,47 @@ function request(method, path, body, opts = {}) {
   });
 }
 
+/**
+ * Fetch every page of a list endpoint using limit/offset paging.
+ * Resolves with the first non-2xx response, or a response-shaped object
+ * whose data holds all items.
+ * @param {function} listFn - List method, e.g. api.listKnowledgeEntries
+ * @param {object} [query] - Query parameters passed on every page
+ * @param {number} [pageSize]
+ * @returns {Promise<{status: number, data: any, raw: string}>}
+ */
+async function paginate(listFn, query = {}, pageSize = 100) {
+  const items = [];
+  const seen = new Set();
+
+  for (let offset = 0; ;) {
+    const res = await listFn({ ...query, limit: pageSize, offset });
+    if (!isOk(res)) return res;
+
+    const page = getData(res);
+    const rows = Array.isArray(page) ? page : [];
+    // The server may cap limit below pageSize: step by what it sent
+    offset += rows.length;
+
+    // Rows shift between pages when entries are added mid-listing, so a
+    // row can come back on the next page: skip it and keep going
+    const fresh = rows.filter(r => !r?.id || !seen.has(r.id));
+    for (const r of fresh) {
+      if (r?.id) seen.add(r.id);
+      items.push(r);
+    }
+
+    // Stop at the server's total or has_more when it sends one; otherwise
+    // at an empty page, or one with nothing new (a server that ignores
+    // limit/offset would send the same rows forever)
+    const total = res.data?.total;
+    if (rows.length === 0 || fresh.length === 0) break;
+    if (res.data?.has_more === false || (typeof total === 'number' && offset >= total)) break;
+  }
+
+  return { status: 200, data: { data: items }, raw: '' };
+}
+
 // Convenience methods
 const api = {
   get: (path, opts) => request('GET', path, null, opts),
@@ -132,6 +173,7 @@ const api = {
   listApprovals: (query) => api.get('/api/v1/approvals', { query }),
   getApproval: (id) => api.get(`/api/v1/approvals/${id}`),
   decideApproval: (id, decision, note) => api.post(`/api/v1/approvals/${id}/decide`, { decision, note }),
+  updateApproval: (id, updates) => api.patch(`/api/v1/approvals/${id}`, updates),
 
   // --- Requests ---
   createRequest: (data) => api.post('/api/v1/requests', data),
@@ -148,6 +190,9 @@ const api = {
   // --- Knowledge (extended) ---
   getKnowledgeEntryByKey: (key) => api.get('/api/v1/knowledge/entries', { query: { key } }),
   listKnowledgeEntriesByStatus: (status) => api.get('/api/v1/knowledge/entries', { query: { status } }),
+  listAllKnowledgeEntries: (query) => paginate(api.listKnowledgeEntries, query),
+  listKnowledgeEntryVersions: (id) => api.get(`/api/v1/knowledge/entries/${id}/versions`),
+  getKnowledgeEntryVersion: (id, version) => api.get(`/api/v1/knowledge/entries/${id}/versions/${version}`),
 
   // --- Health ---
   health: () => api.get('/readyz'),
@@ -181,6 +226,7 @@ function getError(res) {
 
 module.exports = {
   request,
+  paginate,
   api,
   isOk,
   getData,
@@ -1,12 +1,43 @@
 'use strict';
 
 /**
- * approvals.js — Approval subcommands: list, request, approve, deny, get
+ * approvals.js — Approval subcommands: list, request, approve, deny, get,
+ * review
+ *
+ * approve and deny take one approval, or --all with filters:
+ *   beeboo approvals approve --all --category knowledge --older-than 7d
+ *
+ * review steps through pending approvals one keypress at a time.
+ *
+ * auto applies the rules in the approval policy (see policies.js) to every
+ * pending approval; auto --explain <id> shows how each rule evaluated.
+ *
+ * wait blocks until a human decides, for agents and scripts:
+ *   beeboo approvals wait 7ba2d18a --timeout 2h --and-then "./deploy.sh"
+ * Exit codes: 0 approved, 2 denied (or cancelled), 3 timed out.
  */
 
-const { api, isOk, getData, getError } = require('./api');
+const { api, isOk, getData, getError, paginate } = require('./api');
 const out = require('./output');
 const credentials = require('./credentials');
+const prompt = require('./prompt');
+const duration = require('./duration');
+const editor = require('./editor');
+const policies = require('./policies');
+const money = require('./money');
+const { spawnSync } = require('child_process');
+const { resolveApproval, remember } = require('./resolve');
+
+// Decisions in flight at once for --all
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 16;
+
+// approvals wait: poll every 2s at first, backing off to once a minute
+const WAIT_FIRST_POLL = 2000;
+const WAIT_MAX_POLL = 60000;
+const WAIT_BACKOFF = 1.5;
+const EXIT_DENIED = 2;
+const EXIT_TIMEOUT = 3;
 
 function requireAuth() {
   if (!credentials.isAuthenticated()) {
@@ -34,9 +65,15 @@ async function handleApprovals(args, flags) {
       return await decideApproval(args[1], 'denied', flags);
     case 'get':
       return await getApproval(args[1], flags);
+    case 'review':
+      return await reviewApprovals(flags);
+    case 'auto':
+      return await autoApprovals(flags);
+    case 'wait':
+      return await waitApproval(args[1], flags);
     default:
       out.error(`Unknown approvals command: ${sub}`);
-      console.log('  Commands: list, request, approve, deny, get');
+      console.log('  Commands: list, request, approve, deny, get, review, auto, wait');
       process.exit(1);
   }
 }
@@ -55,6 +92,7 @@ async function listApprovals(flags) {
 
     const approvals = getData(res);
     const items = Array.isArray(approvals) ? approvals : [];
+    remember('approval', items);
 
     if (flags.json) {
       out.jsonCompact({ approvals: items });
@@ -75,12 +113,14 @@ async function listApprovals(flags) {
       title: a.title || '(untitled)',
       status: a.status || 'pending',
       urgency: a.urgency || 'normal',
+      amount: money.display(a) || '—',
       created: a.created_at ? out.timeAgo(a.created_at) : '—',
     })), [
       { key: 'id', label: 'ID', color: 'dim' },
       { key: 'title', label: 'TITLE' },
       { key: 'status', label: 'STATUS' },
       { key: 'urgency', label: 'URGENCY' },
+      { key: 'amount', label: 'AMOUNT' },
       { key: 'created', label: 'CREATED', color: 'gray' },
     ]);
 
@@ -109,7 +149,20 @@ async function submitApproval(args, flags) {
     };
 
     if (flags.amount) {
-      data.amount = parseFloat(flags.amount);
+      const amount = money.parse(flags.amount);
+      if (!amount) {
+        out.error(`Invalid --amount: ${flags.amount} (use e.g. 500, €2.5k, "5,000 USD" or "$4k-$5k")`);
+        process.exit(1);
+      }
+      if (typeof flags.currency === 'string') {
+        const currency = flags.currency.toUpperCase();
+        if (amount.currency && amount.currency !== currency) {
+          out.error(`--amount is in ${amount.currency} but --currency says ${currency}.`);
+          process.exit(1);
+        }
+        amount.currency = currency;
+      }
+      Object.assign(data, money.approvalFields(amount));
     }
 
     const res = await api.submitApproval(data);
@@ -135,14 +188,30 @@ async function submitApproval(args, flags) {
   }
 }
 
-async function decideApproval(id, decision, flags) {
-  if (!id) {
+async function decideApproval(ref, decision, flags) {
+  if (flags.all) {
+    if (ref) {
+      out.error('Give an approval ID or --all, not both.');
+      process.exit(1);
+    }
+    return await decideAll(decision, flags);
+  }
+
+  if (!ref) {
     out.error('Approval ID is required.');
-    console.log(`  Usage: npx beeboo approvals ${decision === 'approved' ? 'approve' : 'deny'} <id>`);
+    console.log(`  Usage: npx beeboo approvals ${decision === 'approved' ? 'approve' : 'deny'} <id|prefix|title>${decision === 'approved' ? ' [--merge]' : ''}`);
+    console.log(`         npx beeboo approvals ${decision === 'approved' ? 'approve' : 'deny'} --all [--category c] [--max-amount n] [--older-than 7d] [--title-match re]`);
     process.exit(1);
   }
 
   try {
+    const approval = await resolveApproval(ref, { destructive: true });
+    if (decision === 'approved' && flags.merge) {
+      const { mergeApproval } = require('./commands/merge');
+      return await mergeApproval(approval, flags);
+    }
+
+    const { id } = approval;
     const note = flags.reason || flags.note || '';
     const res = await api.decideApproval(id, decision, note);
 
@@ -170,22 +239,695 @@ async function decideApproval(id, decision, flags) {
   }
 }
 
-async function getApproval(id, flags) {
-  if (!id) {
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight. Results keep
+ * the order of `items`.
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Turn the --all filter flags into a predicate. Throws on bad values.
+ * --max-amount only matches approvals in its currency (USD if none is
+ * given) that have an amount.
+ */
+function approvalFilter(flags) {
+  const tests = [];
+
+  if (typeof flags.category === 'string') {
+    tests.push(a => (a.category || 'general') === flags.category);
+  }
+  if (flags['max-amount'] !== undefined) {
+    const max = money.limit(String(flags['max-amount']), '--max-amount');
+    tests.push(a => money.within(a, max, 'max'));
+  }
+  if (flags['older-than'] !== undefined) {
+    const cutoff = Date.now() - duration.parse(flags['older-than']);
+    tests.push(a => a.created_at && Date.parse(a.created_at) < cutoff);
+  }
+  if (flags['title-match'] !== undefined) {
+    let re;
+    try {
+      re = new RegExp(String(flags['title-match']), 'i');
+    } catch (err) {
+      throw new Error(`Invalid --title-match: ${err.message}`);
+    }
+    tests.push(a => re.test(a.title || ''));
+  }
+
+  return (a) => tests.every(t => t(a));
+}
+
+/**
+ * How many decisions to send at once: --concurrency, checked against
+ * MAX_CONCURRENCY.
+ */
+function concurrencyOf(flags) {
+  const concurrency = flags.concurrency === undefined ? DEFAULT_CONCURRENCY : parseInt(flags.concurrency, 10);
+  if (!(concurrency >= 1 && concurrency <= MAX_CONCURRENCY)) {
+    throw new Error(`--concurrency must be between 1 and ${MAX_CONCURRENCY}`);
+  }
+  return concurrency;
+}
+
+/**
+ * approve --all / deny --all: decide every approval matching the filters,
+ * after a preview and confirmation.
+ */
+async function decideAll(decision, flags) {
+  const verb = decision === 'approved' ? 'approve' : 'deny';
+  const status = typeof flags.status === 'string' ? flags.status : 'pending';
+
+  if (flags.merge) {
+    out.error('--merge works on one approval at a time: npx beeboo merge <id>');
+    process.exit(1);
+  }
+
+  let matches;
+  let concurrency;
+  try {
+    matches = approvalFilter(flags);
+    concurrency = concurrencyOf(flags);
+  } catch (err) {
+    out.error(err.message);
+    process.exit(1);
+  }
+
+  try {
+    const query = { status };
+    if (typeof flags.category === 'string') query.category = flags.category;
+    const res = await paginate(api.listApprovals, query);
+
+    if (!isOk(res)) {
+      out.error(`Failed to list approvals: ${getError(res)}`);
+      process.exit(1);
+    }
+
+    const items = (getData(res) || []).filter(a => a?.id && (a.status || 'pending') === status && matches(a));
+    remember('approval', items);
+
+    if (items.length === 0) {
+      if (flags.json) {
+        out.jsonCompact({ decision, matched: 0, results: [] });
+        return;
+      }
+      out.info(`No ${status} approvals match.`);
+      return;
+    }
+
+    if (!flags.json) {
+      out.brand(`${verb === 'approve' ? 'Approve' : 'Deny'} ${items.length} approval${items.length === 1 ? '' : 's'}`);
+      console.log('');
+      out.table(items.map(a => ({
+        id: a.id.slice(0, 8),
+        title: a.title || '(untitled)',
+        category: a.category || 'general',
+        amount: money.display(a) || '—',
+        created: a.created_at ? out.timeAgo(a.created_at) : '—',
+      })), [
+        { key: 'id', label: 'ID', color: 'dim' },
+        { key: 'title', label: 'TITLE' },
+        { key: 'category', label: 'CATEGORY', color: 'cyan' },
+        { key: 'amount', label: 'AMOUNT' },
+        { key: 'created', label: 'CREATED', color: 'gray' },
+      ]);
+      console.log('');
+    }
+
+    if (flags['dry-run']) {
+      if (flags.json) {
+        out.jsonCompact({ decision, matched: items.length, dry_run: true, approvals: items.map(a => ({ id: a.id, title: a.title || null })) });
+        return;
+      }
+      out.info(`Dry run — nothing was ${decision}.`);
+      return;
+    }
+
+    if (!flags.yes) {
+      // Nobody to ask: a batch decision must be explicit
+      if (flags.json || !prompt.isInteractive()) {
+        out.error(`Refusing to ${verb} ${items.length} approval${items.length === 1 ? '' : 's'} without confirmation. Pass --yes to decide them all.`);
+        process.exit(1);
+      }
+      const ok = await prompt.confirm(`  ${verb === 'approve' ? 'Approve' : 'Deny'} all ${items.length}?`);
+      if (!ok) {
+        out.info('Cancelled.');
+        return;
+      }
+    }
+
+    const note = flags.reason || flags.note || '';
+    const results = await mapLimit(items, concurrency, async (a) => {
+      try {
+        const r = await api.decideApproval(a.id, decision, note);
+        return { id: a.id, title: a.title || null, ok: isOk(r), error: isOk(r) ? null : getError(r) };
+      } catch (err) {
+        return { id: a.id, title: a.title || null, ok: false, error: err.message };
+      }
+    });
+
+    const failed = results.filter(r => !r.ok);
+
+    if (flags.json) {
+      out.jsonCompact({ decision, matched: items.length, succeeded: results.length - failed.length, failed: failed.length, results });
+      if (failed.length > 0) process.exit(1);
+      return;
+    }
+
+    for (const r of results) {
+      if (r.ok) console.log(`  ${out.style.green('✓')} ${out.style.dim(r.id.slice(0, 8))}  ${r.title || '(untitled)'}`);
+      else console.log(`  ${out.style.red('✗')} ${out.style.dim(r.id.slice(0, 8))}  ${r.title || '(untitled)'} ${out.style.dim(`— ${r.error}`)}`);
+    }
+    console.log('');
+
+    if (failed.length > 0) {
+      out.error(`${failed.length} of ${results.length} could not be ${decision}`);
+      process.exit(1);
+    }
+    out.success(`${decision === 'approved' ? 'Approved' : 'Denied'} ${results.length} approval${results.length === 1 ? '' : 's'}`);
+    if (note) console.log(`  Reason: ${note}`);
+  } catch (err) {
+    out.error(`Network error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Load the entries a knowledge commit touches: each draft with the entry
+ * it replaces, and each entry it deletes. Empty for other approvals.
+ */
+async function loadKnowledgeChanges(approval) {
+  const { planOf } = require('./commands/merge');
+  const fetchEntry = async (id) => {
+    if (!id) return null;
+    const res = await api.getKnowledgeEntry(id);
+    return isOk(res) ? getData(res) : null;
+  };
+
+  const ops = planOf(approval);
+  for (const op of ops) {
+    op.target = await fetchEntry(op.target_id);
+    if (op.type === 'publish') op.draft = await fetchEntry(op.draft_id);
+  }
+  return ops;
+}
+
+function printKnowledgeChanges(ops) {
+  const { showEntryDiff } = require('./commands/diff');
+  for (const op of ops) {
+    if (op.type === 'delete') {
+      const name = op.target ? `${op.target.namespace || 'default'}/${op.target.key || op.target.id}` : op.target_id;
+      console.log(out.style.red(`- delete ${name}`));
+      console.log('');
+    } else if (!op.draft) {
+      console.log(out.style.dim(`  (draft ${op.draft_id} no longer exists)`));
+      console.log('');
+    } else {
+      showEntryDiff(op.draft, op.target, {});
+    }
+  }
+}
+
+/**
+ * Everything about an approval as plain text, for reading in $EDITOR.
+ */
+function reviewText(approval, ops) {
+  const lines = [
+    `# ${approval.title || '(untitled)'}`,
+    '',
+    `ID:       ${approval.id}`,
+    `Status:   ${approval.status || 'pending'}`,
+    `Category: ${approval.category || 'general'}`,
+    `Urgency:  ${approval.urgency || 'normal'}`,
+  ];
+  if (approval.amount) lines.push(`Amount:   ${money.display(approval)}`);
+  if (approval.created_at) lines.push(`Created:  ${approval.created_at}`);
+  if (approval.description) lines.push('', approval.description);
+
+  for (const op of ops) {
+    if (op.type === 'delete') {
+      lines.push('', `## Delete ${op.target?.key || op.target_id}`);
+      if (op.target?.content) lines.push('', op.target.content);
+    } else if (op.draft) {
+      lines.push('', `## ${op.target ? 'Update' : 'New'}: ${op.draft.title || op.draft.key} (${op.draft.namespace || 'default'}/${op.draft.key || op.draft.id})`, '', op.draft.content || '');
+      if (op.target) lines.push('', `### Currently published`, '', op.target.content || '');
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * approvals review: step through pending approvals one at a time and
+ * decide each with a single key. Takes the same filters as --all.
+ */
+async function reviewApprovals(flags) {
+  if (!prompt.isInteractive()) {
+    out.error('approvals review needs a terminal.');
+    console.log('  Without one, use: npx beeboo approvals list, or approvals approve|deny --all with filters');
+    process.exit(1);
+  }
+
+  let matches;
+  try {
+    matches = approvalFilter(flags);
+  } catch (err) {
+    out.error(err.message);
+    process.exit(1);
+  }
+
+  try {
+    const query = { status: 'pending' };
+    if (typeof flags.category === 'string') query.category = flags.category;
+    const res = await paginate(api.listApprovals, query);
+
+    if (!isOk(res)) {
+      out.error(`Failed to list approvals: ${getError(res)}`);
+      process.exit(1);
+    }
+
+    // Oldest first: they've waited longest
+    const items = (getData(res) || [])
+      .filter(a => a?.id && (a.status || 'pending') === 'pending' && matches(a))
+      .sort((a, b) => (Date.parse(a.created_at) || 0) - (Date.parse(b.created_at) || 0));
+    remember('approval', items);
+
+    if (items.length === 0) {
+      out.info('No pending approvals to review.');
+      return;
+    }
+
+    const tally = { approved: 0, denied: 0, skipped: 0, failed: 0 };
+    let reviewed = 0;
+
+    for (const [i, a] of items.entries()) {
+      console.log('');
+      console.log(out.style.dim('─'.repeat(60)));
+      console.log(`${out.style.dim(`[${i + 1}/${items.length}]`)} ⏳ ${out.style.bold(a.title || '(untitled)')}`);
+      console.log(`  ${out.style.dim('ID:')} ${a.id}  ${out.style.dim('Created:')} ${a.created_at ? out.timeAgo(a.created_at) : '—'}`);
+      const details = [`${out.style.dim('Category:')} ${a.category || 'general'}`, `${out.style.dim('Urgency:')} ${a.urgency || 'normal'}`];
+      if (a.amount) details.push(`${out.style.dim('Amount:')} ${money.display(a)}`);
+      console.log(`  ${details.join('  ')}`);
+      if (a.description) {
+        console.log('');
+        out.indent(a.description);
+      }
+      console.log('');
+
+      const ops = await loadKnowledgeChanges(a);
+      printKnowledgeChanges(ops);
+
+      let choice;
+      for (;;) {
+        choice = await prompt.key(`  ${out.style.cyan('[a]')}pprove  ${out.style.cyan('[d]')}eny  ${out.style.cyan('[s]')}kip  ${out.style.cyan('[e]')}ditor  ${out.style.cyan('[q]')}uit  `, ['a', 'd', 's', 'e', 'q']);
+        if (choice !== 'e') break;
+        try {
+          editor.edit(reviewText(a, ops), { name: `approval-${a.id.slice(0, 8)}` });
+        } catch (err) {
+          out.warn(err.message);
+        }
+      }
+
+      if (choice === null || choice === 'q') break;
+      reviewed++;
+      if (choice === 's') {
+        tally.skipped++;
+        continue;
+      }
+
+      const decision = choice === 'a' ? 'approved' : 'denied';
+      const note = decision === 'denied' ? await prompt.ask('  Reason: ') : '';
+      const r = await api.decideApproval(a.id, decision, note);
+      if (isOk(r)) {
+        tally[decision]++;
+        out.success(decision === 'approved' ? 'Approved' : 'Denied');
+      } else {
+        tally.failed++;
+        out.error(`Failed to ${decision === 'approved' ? 'approve' : 'deny'}: ${getError(r)}`);
+      }
+    }
+
+    const left = items.length - reviewed;
+    console.log('');
+    console.log(`  ${out.style.green(`${tally.approved} approved`)}, ${out.style.red(`${tally.denied} denied`)}, ${tally.skipped} skipped${tally.failed ? `, ${out.style.red(`${tally.failed} failed`)}` : ''}${left ? out.style.dim(`, ${left} not reviewed`) : ''}`);
+  } catch (err) {
+    out.error(`Network error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function showValue(value) {
+  if (value === null || value === undefined || value === '') return '(none)';
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+/**
+ * approvals auto --explain: how each policy rule evaluated for one approval.
+ */
+async function explainPolicy(ref, policy, flags) {
+  const approval = await resolveApproval(ref);
+  const result = policies.evaluate(approval, policy);
+
+  if (flags.json) {
+    out.jsonCompact({
+      approval_id: approval.id,
+      status: approval.status || 'pending',
+      policy: policy.path,
+      action: result.action,
+      rule: result.rule ? result.rule.name : null,
+      rules: result.trace,
+    });
+    return;
+  }
+
+  out.brand(`Policy for ${approval.title || '(untitled)'}`);
+  console.log(`  ${out.style.dim(`${approval.id} · ${policy.path}`)}`);
+  console.log('');
+
+  let reached = true;
+  for (const r of result.trace) {
+    const mark = !reached ? out.style.dim('·') : r.matched ? out.style.green('✓') : out.style.red('✗');
+    const suffix = r.decisive ? out.style.bold('  ← decides') : !reached ? out.style.dim('  (not reached)') : '';
+    console.log(`  ${mark} ${out.style.bold(r.name)} → ${r.action}${suffix}`);
+    if (r.conditions.length === 0) console.log(`      ${out.style.dim('(no conditions: matches everything)')}`);
+    for (const c of r.conditions) {
+      const cmark = c.pass ? out.style.green('✓') : out.style.red('✗');
+      console.log(`      ${cmark} ${c.field}: ${showValue(c.expected)} ${out.style.dim(`(is ${showValue(c.actual)})`)}`);
+    }
+    if (r.decisive) reached = false;
+  }
+  console.log('');
+
+  const decision = result.rule
+    ? `${result.action} ${out.style.dim(`(rule ${result.rule.name})`)}`
+    : `human ${out.style.dim('(no rule matched)')}`;
+  console.log(`  Decision: ${decision}`);
+  if ((approval.status || 'pending') !== 'pending') {
+    console.log(`  ${out.style.dim(`This approval is ${approval.status}; approvals auto only acts on pending ones.`)}`);
+  }
+}
+
+/**
+ * approvals auto: apply the approval policy to every pending approval.
+ */
+async function autoApprovals(flags) {
+  let policy;
+  let concurrency;
+  try {
+    policy = policies.load(typeof flags.policy === 'string' ? flags.policy : undefined);
+    concurrency = concurrencyOf(flags);
+  } catch (err) {
+    out.error(err.message);
+    process.exit(1);
+  }
+
+  if (!policy.path) {
+    out.error('No approval policy found.');
+    console.log(`  Create ${policies.getPath()} (or pass --policy <file>), e.g.:`);
+    console.log(out.style.dim('  { "rules": [ { "name": "small-expenses", "action": "approve", "when": { "category": "expense", "max_amount": 50 } } ] }'));
+    process.exit(1);
+  }
+
+  try {
+    if (flags.explain !== undefined) {
+      if (flags.explain === true) {
+        out.error('--explain needs an approval: npx beeboo approvals auto --explain <id>');
+        process.exit(1);
+      }
+      return await explainPolicy(flags.explain, policy, flags);
+    }
+
+    const res = await paginate(api.listApprovals, { status: 'pending' });
+    if (!isOk(res)) {
+      out.error(`Failed to list approvals: ${getError(res)}`);
+      process.exit(1);
+    }
+
+    const items = (getData(res) || []).filter(a => a?.id && (a.status || 'pending') === 'pending');
+    remember('approval', items);
+
+    const decisions = items.map(a => ({ approval: a, ...policies.evaluate(a, policy) }));
+    const todo = decisions.filter(d => d.action !== 'human');
+    const human = decisions.filter(d => d.action === 'human');
+
+    if (!flags.json) {
+      out.brand(`Approval policy ${out.style.dim(`(${policy.path})`)}`);
+      console.log('');
+      if (decisions.length === 0) {
+        out.info('No pending approvals.');
+        return;
+      }
+      out.table(decisions.map(d => ({
+        id: d.approval.id.slice(0, 8),
+        title: d.approval.title || '(untitled)',
+        action: d.action,
+        rule: d.rule ? d.rule.name : '—',
+      })), [
+        { key: 'id', label: 'ID', color: 'dim' },
+        { key: 'title', label: 'TITLE' },
+        { key: 'action', label: 'DECISION', color: 'cyan' },
+        { key: 'rule', label: 'RULE', color: 'gray' },
+      ]);
+      console.log('');
+    }
+
+    if (flags['dry-run'] || todo.length === 0) {
+      if (flags.json) {
+        out.jsonCompact({
+          policy: policy.path,
+          pending: decisions.length,
+          dry_run: !!flags['dry-run'],
+          decisions: decisions.map(d => ({ id: d.approval.id, title: d.approval.title || null, action: d.action, rule: d.rule ? d.rule.name : null })),
+        });
+        return;
+      }
+      if (flags['dry-run']) out.info(`Dry run — nothing was decided. ${todo.length} would be decided, ${human.length} left for a human.`);
+      else if (decisions.length > 0) out.info(`No rule approves or denies any of these; ${human.length} left for a human.`);
+      return;
+    }
+
+    if (!flags.yes) {
+      // Nobody to ask: running the policy unattended must be explicit
+      if (flags.json || !prompt.isInteractive()) {
+        out.error(`Refusing to apply ${todo.length} policy decision${todo.length === 1 ? '' : 's'} without confirmation. Pass --yes to apply them.`);
+        process.exit(1);
+      }
+      const ok = await prompt.confirm(`  Apply ${todo.length} decision${todo.length === 1 ? '' : 's'}?`);
+      if (!ok) {
+        out.info('Cancelled.');
+        return;
+      }
+    }
+
+    const results = await mapLimit(todo, concurrency, async (d) => {
+      const decision = d.action === 'approve' ? 'approved' : 'denied';
+      const base = { id: d.approval.id, title: d.approval.title || null, decision, rule: d.rule.name };
+      try {
+        const r = await api.decideApproval(d.approval.id, decision, policies.noteFor(d.rule));
+        return { ...base, ok: isOk(r), error: isOk(r) ? null : getError(r) };
+      } catch (err) {
+        return { ...base, ok: false, error: err.message };
+      }
+    });
+
+    const failed = results.filter(r => !r.ok);
+
+    if (flags.json) {
+      out.jsonCompact({
+        policy: policy.path,
+        pending: decisions.length,
+        succeeded: results.length - failed.length,
+        failed: failed.length,
+        human: human.map(d => d.approval.id),
+        results,
+      });
+      if (failed.length > 0) process.exit(1);
+      return;
+    }
+
+    for (const r of results) {
+      const what = `${r.decision} ${out.style.dim(`by ${r.rule}`)}`;
+      if (r.ok) console.log(`  ${out.style.green('✓')} ${out.style.dim(r.id.slice(0, 8))}  ${r.title || '(untitled)'} — ${what}`);
+      else console.log(`  ${out.style.red('✗')} ${out.style.dim(r.id.slice(0, 8))}  ${r.title || '(untitled)'} ${out.style.dim(`— ${r.error}`)}`);
+    }
+    console.log('');
+
+    if (failed.length > 0) {
+      out.error(`${failed.length} of ${results.length} decisions could not be applied`);
+      process.exit(1);
+    }
+    const approved = results.filter(r => r.decision === 'approved').length;
+    out.success(`Approved ${approved}, denied ${results.length - approved} by policy`);
+    if (human.length > 0) console.log(`  ${human.length} left for a human: ${out.style.cyan('npx beeboo approvals review')}`);
+  } catch (err) {
+    out.error(`Network error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function elapsed(ms) {
+  const secs = Math.round(ms / 1000);
+  if (secs < 60) return `${secs}s`;
+  if (secs < 3600) return `${Math.floor(secs / 60)}m${secs % 60 ? ` ${secs % 60}s` : ''}`;
+  const mins = Math.floor((secs % 3600) / 60);
+  return `${Math.floor(secs / 3600)}h${mins ? ` ${mins}m` : ''}`;
+}
+
+/**
+ * approvals wait: poll one approval until it is decided or --timeout runs
+ * out. Status changes are printed as they happen. Poll failures are
+ * retried; only a missing approval gives up early.
+ *
+ * This gates pipelines, so it takes only a full approval ID (no prefixes
+ * or titles that could pick an older, already-approved request), and it
+ * won't run --and-then for a decision made before the wait started unless
+ * --allow-decided says so.
+ */
+async function waitApproval(ref, flags) {
+  if (!ref) {
     out.error('Approval ID is required.');
-    console.log('  Usage: npx beeboo approvals get <id>');
+    console.log('  Usage: npx beeboo approvals wait <id> [--timeout 2h] [--and-then <cmd>] [--allow-decided]');
+    process.exit(1);
+  }
+
+  let timeout = null;
+  if (flags.timeout !== undefined) {
+    try {
+      timeout = duration.parse(flags.timeout);
+    } catch (err) {
+      out.error(`Invalid --timeout: ${err.message}`);
+      process.exit(1);
+    }
+  }
+  if (flags['and-then'] === true) {
+    out.error('--and-then needs a command to run: --and-then "./deploy.sh"');
     process.exit(1);
   }
 
+  let approval;
   try {
-    const res = await api.getApproval(id);
+    const res = await api.getApproval(ref);
+    if (res.status === 404) {
+      out.error(`No approval with ID ${ref}.`);
+      console.log('  approvals wait needs the full ID printed by approvals request (prefixes and titles are not accepted).');
+      process.exit(1);
+    }
+    if (!isOk(res)) {
+      out.error(`Could not load approval: ${getError(res)}`);
+      process.exit(1);
+    }
+    approval = getData(res);
+  } catch (err) {
+    out.error(err.message);
+    process.exit(1);
+  }
+  if (!approval?.id || approval.id !== ref) {
+    out.error(`No approval with ID ${ref}.`);
+    process.exit(1);
+  }
+
+  const started = Date.now();
+  const deadline = timeout === null ? null : started + timeout;
+  let status = approval.status || 'pending';
+  const decidedBefore = status !== 'pending';
+  let delay = WAIT_FIRST_POLL;
+
+  if (!flags.json) {
+    console.log(`⏳ Waiting for ${out.style.bold(approval.title || '(untitled)')} ${out.style.dim(`(${approval.id})`)}${timeout === null ? '' : out.style.dim(` — up to ${elapsed(timeout)}`)}`);
+  }
 
+  while (status === 'pending') {
+    const left = deadline === null ? Infinity : deadline - Date.now();
+    if (left <= 0) break;
+    await new Promise(resolve => setTimeout(resolve, Math.min(delay, left)));
+    delay = Math.min(delay * WAIT_BACKOFF, WAIT_MAX_POLL);
+
+    let res;
+    try {
+      res = await api.getApproval(approval.id);
+    } catch (err) {
+      if (!flags.json) out.warn(`${err.message} — retrying`);
+      continue;
+    }
+    if (res.status === 404) {
+      out.error(`Approval ${approval.id} no longer exists.`);
+      process.exit(1);
+    }
     if (!isOk(res)) {
-      out.error(`Failed: ${getError(res)}`);
+      if (!flags.json) out.warn(`Could not check approval: ${getError(res)} — retrying`);
+      continue;
+    }
+
+    approval = getData(res) || approval;
+    const now = approval.status || 'pending';
+    if (now !== status && !flags.json) {
+      console.log(`  ${out.style.dim(elapsed(Date.now() - started))}  ${status} → ${out.style.bold(now)}`);
+    }
+    status = now;
+  }
+
+  const timedOut = status === 'pending';
+  const note = approval.note || approval.decision_note || null;
+
+  if (flags.json) {
+    out.jsonCompact({
+      id: approval.id,
+      status,
+      note,
+      decided_at: approval.decided_at || null,
+      decided_by: approval.decided_by || null,
+      timed_out: timedOut,
+      waited_seconds: Math.round((Date.now() - started) / 1000),
+    });
+  } else if (timedOut) {
+    out.warn(`Still pending after ${elapsed(Date.now() - started)}. Gave up waiting.`);
+  } else {
+    const icon = status === 'approved' ? '✅' : '❌';
+    console.log(`${icon} ${out.style.bold(status === 'approved' ? 'Approved' : status.charAt(0).toUpperCase() + status.slice(1))}${approval.decided_at ? out.style.dim(` ${out.timeAgo(approval.decided_at)}`) : ''}`);
+    if (note) console.log(`  Note: ${note}`);
+  }
+
+  if (timedOut) process.exit(EXIT_TIMEOUT);
+  if (status !== 'approved') process.exit(EXIT_DENIED);
+
+  if (typeof flags['and-then'] === 'string') {
+    if (decidedBefore && !flags['allow-decided']) {
+      out.error(`Approval ${approval.id} was already ${status} before the wait started; not running --and-then.`);
+      console.log('  Pass --allow-decided to run it for an earlier decision.');
       process.exit(1);
     }
+    // Through the shell, like $EDITOR, so pipes and arguments work
+    const result = spawnSync(flags['and-then'], {
+      stdio: 'inherit',
+      shell: true,
+      env: { ...process.env, BEEBOO_APPROVAL_ID: approval.id, BEEBOO_APPROVAL_NOTE: note || '' },
+    });
+    if (result.error) {
+      out.error(`Could not run --and-then: ${result.error.message}`);
+      process.exit(1);
+    }
+    if (result.status !== 0) process.exit(result.status === null ? 1 : result.status);
+  }
+}
+
+async function getApproval(ref, flags) {
+  if (!ref) {
+    out.error('Approval ID is required.');
+    console.log('  Usage: npx beeboo approvals get <id|prefix|title>');
+    process.exit(1);
+  }
 
-    const approval = getData(res);
+  try {
+    const approval = await resolveApproval(ref);
 
     if (flags.json) {
       out.jsonCompact(approval);
@@ -199,7 +941,7 @@ async function getApproval(id, flags) {
     console.log(`  Status: ${approval.status || 'pending'}`);
     if (approval.category) console.log(`  Category: ${approval.category}`);
     if (approval.urgency) console.log(`  Urgency: ${approval.urgency}`);
-    if (approval.amount) console.log(`  Amount: $${approval.amount}`);
+    if (approval.amount) console.log(`  Amount: ${money.display(approval)}`);
     if (approval.description) {
       console.log(`\n  ${approval.description}`);
     }
@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * checkout.js — Switch the active namespace (like git checkout <branch>).
+ *
+ * Usage:
+ *   beeboo checkout              # Show the active namespace
+ *   beeboo checkout hr           # Make "hr" the namespace for knowledge, commit, push, log and diff
+ *   beeboo checkout default      # Back to the default namespace
+ *
+ * The choice is stored as "namespace" in ~/.beeboo/config.json. An explicit
+ * --namespace flag always wins; --all-namespaces ignores it for one command.
+ */
+
+const { api, isOk, getData } = require('../api');
+const out = require('../output');
+const credentials = require('../credentials');
+const config = require('../config');
+
+const NAMESPACE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+async function handleCheckout(args, flags) {
+  const target = args[0];
+  const current = config.get('namespace') || 'default';
+
+  if (!target) {
+    if (flags.json) {
+      out.jsonCompact({ namespace: current });
+      return;
+    }
+    console.log(`On namespace ${out.style.cyan(current)}`);
+    return;
+  }
+
+  if (!NAMESPACE_PATTERN.test(target)) {
+    out.error(`Invalid namespace name: ${target}`);
+    console.log('  Use letters, numbers, ".", "_" and "-".');
+    process.exit(1);
+  }
+
+  if (target === 'default') {
+    config.del('namespace');
+  } else {
+    config.set('namespace', target);
+  }
+
+  // Let the user know when nothing lives there yet (best effort)
+  let count = null;
+  if (credentials.isAuthenticated()) {
+    try {
+      const res = await api.listKnowledgeEntries({ namespace: target, limit: 1 });
+      if (isOk(res)) {
+        const data = getData(res);
+        count = Array.isArray(data) ? data.filter(e => (e.namespace || 'default') === target).length : null;
+      }
+    } catch {
+      // offline — the switch still applies
+    }
+  }
+
+  if (flags.json) {
+    out.jsonCompact({ namespace: target, previous: current, exists: count === null ? null : count > 0 });
+    return;
+  }
+
+  if (target === current) {
+    console.log(`Already on namespace ${out.style.cyan(target)}`);
+    return;
+  }
+
+  if (count === 0) {
+    console.log(`Switched to a new namespace ${out.style.cyan(target)}`);
+    console.log(`  ${out.style.dim('(no entries yet — new entries will be created here)')}`);
+  } else {
+    console.log(`Switched to namespace ${out.style.cyan(target)}`);
+  }
+}
+
+module.exports = { handleCheckout, NAMESPACE_PATTERN };
@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * clone.js — Mirror the knowledge base into a local directory (like git clone).
+ *
+ * Usage:
+ *   beeboo clone                       # Into ./knowledge
+ *   beeboo clone ./kb                  # Into ./kb
+ *   beeboo clone ./kb --namespace hr   # Only one namespace
+ *
+ * Each entry is written to <namespace>/<key>.md with YAML frontmatter
+ * (id, title, tags, status, version, updated_at). Use "beeboo pull" to refresh.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { api, isOk, getData, getError } = require('../api');
+const out = require('../output');
+const credentials = require('../credentials');
+const workdir = require('../workdir');
+const history = require('../history');
+
+const DEFAULT_DIR = 'knowledge';
+
+function requireAuth() {
+  if (!credentials.isAuthenticated()) {
+    out.error('Not authenticated. Run: npx beeboo auth');
+    process.exit(1);
+  }
+}
+
+async function handleClone(args, flags) {
+  requireAuth();
+
+  const root = path.resolve(args[0] || DEFAULT_DIR);
+  const display = path.relative(process.cwd(), root) || '.';
+
+  if (fs.existsSync(root) && fs.readdirSync(root).length > 0) {
+    out.error(`Destination path '${display}' already exists and is not an empty directory.`);
+    console.log(`  Refresh an existing clone with: ${out.style.cyan('beeboo pull')}`);
+    process.exit(1);
+  }
+
+  try {
+    const query = {};
+    if (flags.namespace) query.namespace = flags.namespace;
+    if (flags.status) query.status = flags.status;
+
+    if (!flags.json) console.log(`Cloning into '${display}'...`);
+
+    const res = await api.listAllKnowledgeEntries(query);
+
+    if (!isOk(res)) {
+      out.error(`Clone failed: ${getError(res)}`);
+      process.exit(1);
+    }
+
+    const entries = getData(res);
+    history.recordAll(entries);
+
+    fs.mkdirSync(root, { recursive: true });
+    const state = {
+      api_url: credentials.getApiUrl(),
+      query,
+      cloned_at: new Date().toISOString(),
+      pulled_at: new Date().toISOString(),
+      entries: {},
+    };
+    const result = workdir.sync(root, entries, state);
+    workdir.saveState(root, state);
+
+    const namespaces = [...new Set(entries.map(e => e.namespace || 'default'))].sort();
+
+    if (flags.json) {
+      out.jsonCompact({
+        path: root,
+        entries: result.added.length,
+        namespaces,
+        conflicts: result.conflicts,
+      });
+      return;
+    }
+
+    out.success(`Cloned ${result.added.length} entr${result.added.length === 1 ? 'y' : 'ies'} from ${namespaces.length} namespace${namespaces.length === 1 ? '' : 's'}`);
+    for (const ns of namespaces) {
+      const count = entries.filter(e => (e.namespace || 'default') === ns).length;
+      console.log(`  ${out.style.cyan(ns + '/')} ${out.style.dim(`(${count})`)}`);
+    }
+    if (result.conflicts.length > 0) {
+      out.warn(`${result.conflicts.length} entr${result.conflicts.length === 1 ? 'y' : 'ies'} skipped (path conflict)`);
+    }
+    console.log('');
+    console.log(`  ${out.style.dim(`(use "cd ${display} && beeboo pull" to refresh)`)}`);
+  } catch (err) {
+    out.error(`Clone failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { handleClone };
@@ -6,11 +6,24 @@
  * Usage:
  *   beeboo commit "Refund policy is 30 days" --key "refund-policy" --tags "policy,customer-service"
  *   beeboo commit --title "Refund Policy" --content "Refund policy is 30 days" --key refund-policy
+ *   agent-report | beeboo commit - --key weekly-summary  # Content from stdin
+ *   beeboo commit --file a.md b.md                       # One entry per file
+ *   beeboo commit ./kb [--prune] [--batch] [--dry-run]   # Stage a directory of changes
+ *   beeboo commit --amend refund-policy "Refunds within 60 days"  # Fix a pending commit
  */
 
-const { api, isOk, getData, getError } = require('../api');
+const path = require('path');
+const crypto = require('crypto');
+const { api, isOk, getData, getError, paginate } = require('../api');
 const out = require('../output');
 const credentials = require('../credentials');
+const config = require('../config');
+const prompt = require('../prompt');
+const reconcile = require('../reconcile');
+const duplicates = require('../duplicates');
+const input = require('../input');
+const secrets = require('../secrets');
+const { resolveEntry } = require('../resolve');
 
 function requireAuth() {
   if (!credentials.isAuthenticated()) {
@@ -19,9 +32,409 @@ function requireAuth() {
   }
 }
 
+/**
+ * Fingerprint of what a reviewer approves: title, content and tags. Kept
+ * in approval metadata so `merge` can tell if the draft changed since.
+ * Hash the entry as the server returned it, not as it was sent: `merge`
+ * compares against the stored draft, and the server may normalise fields.
+ */
+function contentHash(entry) {
+  const payload = JSON.stringify([entry.title || '', entry.content || '', entry.tags || []]);
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * Approval request for a committed draft. `extra` is merged into metadata;
+ * pass `replaces_entry_id` when the draft updates a published entry.
+ */
+function commitApproval(entry, entryId, extra = {}) {
+  const content = entry.content || '';
+  let summary = 'New knowledge entry committed.';
+  if (extra.reverts_to_version) {
+    summary = `Revert of knowledge entry ${extra.replaces_entry_id} to v${extra.reverts_to_version} committed.`;
+  } else if (extra.replaces_entry_id) {
+    summary = `Update to knowledge entry ${extra.replaces_entry_id} committed.`;
+  }
+
+  return {
+    title: `Knowledge commit: ${entry.title}`,
+    description: `${summary}\n\nKey: ${entry.key}\nContent: ${content.slice(0, 200)}${content.length > 200 ? '...' : ''}`,
+    category: 'knowledge',
+    urgency: 'normal',
+    metadata: {
+      knowledge_entry_id: entryId,
+      action: 'commit',
+      ...extra,
+      content_hash: contentHash(entry),
+    },
+  };
+}
+
+/**
+ * Approval request to delete a published entry.
+ */
+function deleteApproval(entry) {
+  return {
+    title: `Knowledge delete: ${entry.title || entry.key}`,
+    description: `Delete knowledge entry.\n\nKey: ${entry.key}\nNamespace: ${entry.namespace || 'default'}`,
+    category: 'knowledge',
+    urgency: 'normal',
+    metadata: {
+      knowledge_entry_id: entry.id,
+      action: 'delete',
+    },
+  };
+}
+
+/**
+ * One approval covering every staged change in a directory commit.
+ */
+function batchApproval(staged, dirName) {
+  const lines = staged.map(s => {
+    if (s.action === 'delete') return `- delete ${s.key}`;
+    if (s.action === 'update') return `~ update ${s.key} (${s.changes.join(', ')})`;
+    return `+ create ${s.key}`;
+  });
+  const drafts = staged.filter(s => s.action !== 'delete');
+  const replaces = {};
+  const hashes = {};
+  for (const s of drafts) {
+    if (s.replaces) replaces[s.entry_id] = s.replaces;
+    if (s.entry) hashes[s.entry_id] = contentHash(s.entry);
+  }
+
+  return {
+    title: `Knowledge commit: ${staged.length} change${staged.length === 1 ? '' : 's'} from ${dirName}`,
+    description: `Batched knowledge commit.\n\n${lines.join('\n')}`,
+    category: 'knowledge',
+    urgency: 'normal',
+    metadata: {
+      action: 'commit',
+      knowledge_entry_ids: drafts.map(s => s.entry_id),
+      replaces_entry_ids: replaces,
+      delete_entry_ids: staged.filter(s => s.action === 'delete').map(s => s.entry_id),
+      content_hashes: hashes,
+    },
+  };
+}
+
+/**
+ * Pending approvals covering a draft: its own, or a batch it is part of.
+ */
+async function linkedApprovals(entryId) {
+  const res = await paginate(api.listApprovals, { status: 'pending' });
+  if (!isOk(res)) throw new Error(getError(res));
+  return (getData(res) || []).filter(a => {
+    const meta = a.metadata || {};
+    return meta.knowledge_entry_id === entryId || (meta.knowledge_entry_ids || []).includes(entryId);
+  });
+}
+
+/**
+ * Bring a draft's approvals up to date after the draft changed: its own
+ * approvals get a new title, description and content hash; batch
+ * approvals (which only list keys) just the hash.
+ *
+ * @returns {Promise<{id: string, batch: boolean, ok: boolean, error: string|null}[]>}
+ */
+async function refreshApprovals(entry, approvals) {
+  const results = [];
+  const amendedAt = new Date().toISOString();
+  for (const a of approvals) {
+    const batch = a.metadata?.knowledge_entry_id !== entry.id;
+    let updates;
+    if (batch) {
+      updates = {
+        metadata: {
+          ...a.metadata,
+          content_hashes: { ...(a.metadata.content_hashes || {}), [entry.id]: contentHash(entry) },
+          amended_at: amendedAt,
+        },
+      };
+    } else {
+      const { knowledge_entry_id, action, ...extra } = a.metadata;
+      const fresh = commitApproval(entry, entry.id, extra);
+      updates = {
+        title: fresh.title,
+        description: fresh.description,
+        metadata: { ...fresh.metadata, amended_at: amendedAt },
+      };
+    }
+    const res = await api.updateApproval(a.id, updates);
+    results.push({ id: a.id, batch, ok: isOk(res), error: isOk(res) ? null : getError(res) });
+  }
+  return results;
+}
+
+/**
+ * Stage the differences between a directory and the server as drafts.
+ * Pending drafts matched by a file are updated in place; they already
+ * have an approval.
+ */
+async function commitDirectory(dir, flags) {
+  const root = path.resolve(dir);
+  const dirName = path.relative(process.cwd(), root) || '.';
+  const { docs, namespaces } = reconcile.readTree(root, flags.namespace);
+
+  const query = {};
+  if (flags.namespace) query.namespace = flags.namespace;
+  const listRes = await api.listAllKnowledgeEntries(query);
+
+  if (!isOk(listRes)) {
+    out.error(`Commit failed: ${getError(listRes)}`);
+    process.exit(1);
+  }
+
+  const changes = reconcile.plan(docs, getData(listRes), {
+    prune: !!flags.prune,
+    namespaces,
+    prefer: 'draft',
+  });
+
+  if (!flags.json) {
+    console.log('');
+    console.log(`📝 ${out.style.bold(`Committing ${docs.length} file${docs.length === 1 ? '' : 's'}`)} from ${out.style.cyan(dirName)}`);
+    reconcile.printPlan(changes);
+  }
+
+  if (!reconcile.hasChanges(changes)) {
+    if (flags.json) {
+      out.jsonCompact({ plan: reconcile.planJson(changes), staged: [] });
+      return;
+    }
+    console.log(`${out.style.green('✓')} Nothing to commit — working tree clean`);
+    return;
+  }
+
+  reconcile.guardSecrets(changes, flags);
+
+  if (flags['dry-run']) {
+    if (flags.json) {
+      out.jsonCompact({ plan: reconcile.planJson(changes), dry_run: true });
+      return;
+    }
+    console.log(`  ${out.style.dim('Dry run — nothing committed.')}`);
+    return;
+  }
+
+  if (!flags.yes && !flags.json && prompt.isInteractive()) {
+    const ok = await prompt.confirm('  Stage these changes for review?');
+    if (!ok) {
+      out.info('Commit cancelled.');
+      return;
+    }
+  }
+
+  const staged = [];
+
+  for (const doc of changes.create) {
+    const entry = { ...reconcile.toEntry(doc), status: 'draft' };
+    const res = await api.createKnowledgeEntry(entry);
+    staged.push({
+      action: 'create', path: doc.path, key: entry.key, entry: { ...entry, ...getData(res) }, entry_id: getData(res)?.id,
+      ok: isOk(res), error: isOk(res) ? null : getError(res),
+    });
+  }
+
+  for (const change of changes.update) {
+    if (change.target.status === 'draft') {
+      const updates = reconcile.toUpdates(change);
+      const res = await api.updateKnowledgeEntry(change.target.id, updates);
+      if (isOk(res)) await refreshApprovals({ ...change.target, ...updates, ...getData(res) }, await linkedApprovals(change.target.id).catch(() => []));
+      staged.push({
+        action: 'update', path: change.path, key: change.target.key, changes: change.changes,
+        entry_id: change.target.id, pending: true, ok: isOk(res), error: isOk(res) ? null : getError(res),
+      });
+      continue;
+    }
+
+    const entry = { ...reconcile.toEntry(change), key: change.target.key || change.entry.key, status: 'draft' };
+    const res = await api.createKnowledgeEntry(entry);
+    staged.push({
+      action: 'update', path: change.path, key: entry.key, changes: change.changes, entry: { ...entry, ...getData(res) },
+      entry_id: getData(res)?.id, replaces: change.target.id,
+      ok: isOk(res), error: isOk(res) ? null : getError(res),
+    });
+  }
+
+  for (const entry of changes.delete) {
+    staged.push({
+      action: 'delete', path: `${entry.namespace || 'default'}/${entry.key || entry.id}`, key: entry.key || entry.id,
+      entry, entry_id: entry.id, ok: true, error: null,
+    });
+  }
+
+  // Approvals: one per change, or a single batched one
+  const needApproval = staged.filter(s => s.ok && !s.pending);
+  if (flags.batch && needApproval.length > 0) {
+    const res = await api.submitApproval(batchApproval(needApproval, dirName));
+    const approvalId = isOk(res) ? (getData(res)?.id || null) : null;
+    for (const s of needApproval) s.approval_id = approvalId;
+  } else {
+    for (const s of needApproval) {
+      const approval = s.action === 'delete'
+        ? deleteApproval(s.entry)
+        : commitApproval(s.entry, s.entry_id, s.replaces ? { replaces_entry_id: s.replaces } : {});
+      const res = await api.submitApproval(approval);
+      s.approval_id = isOk(res) ? (getData(res)?.id || null) : null;
+    }
+  }
+
+  const failed = staged.filter(s => !s.ok);
+
+  if (flags.json) {
+    out.jsonCompact({
+      plan: reconcile.planJson(changes),
+      staged: staged.map(s => ({
+        action: s.action, path: s.path, key: s.key, entry_id: s.entry_id || null,
+        approval_id: s.approval_id || null, replaces: s.replaces || null, ok: s.ok, error: s.error,
+      })),
+    });
+    if (failed.length > 0) process.exit(1);
+    return;
+  }
+
+  for (const s of staged) {
+    const label = s.action.padEnd(6);
+    if (!s.ok) {
+      console.log(`  ${out.style.red('✗')} ${label} ${s.path} ${out.style.dim(`— ${s.error}`)}`);
+      continue;
+    }
+    const note = s.pending ? 'pending draft updated' : (s.approval_id ? `approval ${s.approval_id}` : 'no approval created');
+    console.log(`  ${out.style.green('✓')} ${label} ${s.path} ${out.style.dim(`(${note})`)}`);
+  }
+  console.log('');
+
+  if (failed.length > 0) {
+    out.error(`${failed.length} of ${staged.length} change${staged.length === 1 ? '' : 's'} failed`);
+    process.exit(1);
+  }
+  console.log(`📝 ${out.style.bold(`Committed ${staged.length} change${staged.length === 1 ? '' : 's'}`)} ${out.style.yellow('(pending approval)')}`);
+  console.log(`  ${out.style.dim('Track:')} beeboo approvals list --status pending`);
+}
+
+/**
+ * Fold a new commit into a draft that is already awaiting approval, and
+ * bring its approval up to date.
+ */
+async function amendPendingDraft(draft, entry, flags) {
+  const updates = { title: entry.title, content: entry.content };
+  if (entry.tags) updates.tags = entry.tags;
+
+  const res = await api.updateKnowledgeEntry(draft.id, updates);
+
+  if (!isOk(res)) {
+    out.error(`Commit failed: ${getError(res)}`);
+    process.exit(1);
+  }
+
+  let approvals = [];
+  try {
+    approvals = await linkedApprovals(draft.id);
+  } catch (err) {
+    if (!flags.json) out.warn(`Draft updated, but its approval could not be looked up: ${err.message}`);
+  }
+  const refreshed = await refreshApprovals({ ...draft, ...updates, ...getData(res) }, approvals);
+
+  if (flags.json) {
+    out.jsonCompact({
+      entry_id: draft.id,
+      key: draft.key,
+      status: 'pending',
+      amended: true,
+      approval_ids: approvals.map(a => a.id),
+      refreshed: refreshed.filter(r => r.ok).map(r => r.id),
+    });
+    return;
+  }
+
+  console.log('');
+  console.log(`📝 ${out.style.bold('Updated pending commit')} ${out.style.yellow('(pending approval)')}`);
+  console.log('');
+  console.log(`  ${out.style.dim('entry:')}    ${out.style.cyan(draft.id)}`);
+  for (const a of approvals) {
+    const r = refreshed.find(x => x.id === a.id);
+    const note = !r.ok ? `not updated: ${r.error}` : (r.batch ? 'batch updated' : 'description updated');
+    console.log(`  ${out.style.dim('approval:')} ${out.style.cyan(a.id)} ${out.style.dim(`(${note})`)}`);
+  }
+  console.log(`  ${out.style.dim('key:')}      ${draft.key}`);
+  console.log('');
+  console.log(`  ${out.style.dim('Review:')} beeboo diff ${draft.id}`);
+}
+
+/**
+ * `commit --amend <entry|key>`: change a pending draft's content, title or
+ * tags. Content comes from the message, --content or --file.
+ */
+async function amendCommit(args, flags) {
+  const ref = typeof flags.amend === 'string' ? flags.amend : null;
+  if (!ref) {
+    out.error('Which commit? Usage: beeboo commit --amend <entry|key> "new content" [--title t] [--tags a,b]');
+    process.exit(1);
+  }
+
+  let source = flags;
+  if (input.usesFiles(args, flags)) {
+    try {
+      const docs = input.readAll(args, flags);
+      if (docs.length > 1) throw new Error('--amend takes one file');
+      source = docs[0].flags;
+      args = [];
+    } catch (err) {
+      out.error(err.message);
+      process.exit(1);
+    }
+  }
+
+  try {
+    const draft = await resolveEntry(ref, { prefer: 'draft' });
+    const name = draft.key || draft.id;
+    if (draft.status !== 'draft') {
+      out.error(`${name} is ${draft.status || 'not a draft'}, not a pending commit.`);
+      console.log(`  To change it, commit again: ${out.style.cyan(`beeboo commit --key ${name} "..."`)}`);
+      process.exit(1);
+    }
+
+    const changes = {};
+    const content = (typeof source.content === 'string' && source.content) || args.join(' ');
+    if (content) changes.content = content;
+    if (typeof source.title === 'string') changes.title = source.title;
+    if (typeof source.tags === 'string') changes.tags = source.tags.split(',').map(t => t.trim()).filter(Boolean);
+
+    if (Object.keys(changes).length === 0) {
+      out.error('Nothing to amend: give new content, --file, --title or --tags.');
+      process.exit(1);
+    }
+
+    const fields = secrets.guard(changes, flags);
+    return await amendPendingDraft(draft, { ...draft, ...fields }, flags);
+  } catch (err) {
+    out.error(`Commit failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
 async function handleCommit(args, flags) {
   requireAuth();
 
+  if (args.length === 1 && reconcile.isDirectory(args[0])) {
+    try {
+      return await commitDirectory(args[0], flags);
+    } catch (err) {
+      out.error(`Commit failed: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  if (flags.amend !== undefined) return await amendCommit(args, flags);
+  if (input.usesFiles(args, flags)) return await input.forEachFile(args, flags, commitEntry);
+  return await commitEntry(args, flags);
+}
+
+/**
+ * Stage one entry built from the message and flags.
+ */
+async function commitEntry(args, flags) {
   // Parse the commit message (first positional arg or --title/--content flags)
   const message = args.join(' ');
   const title = flags.title || (flags.key ? flags.key.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase()) : null) || message.slice(0, 80);
@@ -37,19 +450,35 @@ async function handleCommit(args, flags) {
     console.log(`  ${out.style.bold('Options:')}`);
     console.log(`  --key <key>         Unique key for this entry`);
     console.log(`  --title <title>     Entry title (defaults to key or message)`);
+    console.log(`  --file <path...>    Read content (and frontmatter) from files, or - for stdin`);
     console.log(`  --content <text>    Entry content (defaults to commit message)`);
     console.log(`  --tags <t1,t2>      Comma-separated tags`);
-    console.log(`  --namespace <ns>    Namespace (default: "default")`);
+    console.log(`  --namespace <ns>    Namespace (default: checked-out namespace, else "default")`);
+    console.log(`  --force             Skip the duplicate check`);
+    console.log(`  --allow-secrets     Send content the secret scanner would block`);
+    console.log(`  --amend <entry>     Change a pending commit instead (see also: beeboo reset)`);
+    console.log('');
+    console.log(`  ${out.style.bold('Directory mode:')}`);
+    console.log(`  beeboo commit <dir> Stage <namespace>/<key>.md changes as drafts`);
+    console.log(`  --prune             Also propose deleting entries with no local file`);
+    console.log(`  --batch             One approval for all changes (default: one per entry)`);
+    console.log(`  --dry-run           Show the plan without staging anything`);
     process.exit(1);
   }
 
   try {
+    const fields = secrets.guard({
+      title,
+      content,
+      tags: flags.tags ? flags.tags.split(',').map(t => t.trim()) : undefined,
+    }, flags);
+
     // Build the knowledge entry (status: draft — pending review)
     const entry = {
-      title: title,
-      content: content,
+      title: fields.title,
+      content: fields.content,
       content_type: flags.type || 'text',
-      namespace: flags.namespace || 'default',
+      namespace: config.getNamespace(flags, 'default'),
       status: 'draft',
     };
 
@@ -57,11 +486,25 @@ async function handleCommit(args, flags) {
       entry.key = flags.key;
     } else {
       // Auto-generate key from title
-      entry.key = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 64);
+      entry.key = fields.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 64);
+    }
+
+    if (fields.tags) {
+      entry.tags = fields.tags;
     }
 
-    if (flags.tags) {
-      entry.tags = flags.tags.split(',').map(t => t.trim());
+    // An explicit --key that already exists is an update (of the pending
+    // draft, if there is one); anything merely similar is asked about
+    const decision = await duplicates.check(entry, flags, { keyMeansUpdate: !!flags.key, prefer: 'draft' });
+    const extra = {};
+    if (decision.action === 'update') {
+      const target = decision.target;
+      entry.key = target.key || entry.key;
+      entry.namespace = target.namespace || entry.namespace;
+      if (target.status === 'draft') {
+        return await amendPendingDraft(target, entry, flags);
+      }
+      extra.replaces_entry_id = target.id;
     }
 
     // Create the knowledge entry
@@ -76,18 +519,7 @@ async function handleCommit(args, flags) {
     const entryId = data?.id || 'unknown';
 
     // Submit an approval request linked to this entry
-    const approvalData = {
-      title: `Knowledge commit: ${title}`,
-      description: `New knowledge entry committed.\n\nKey: ${entry.key}\nContent: ${content.slice(0, 200)}${content.length > 200 ? '...' : ''}`,
-      category: 'knowledge',
-      urgency: 'normal',
-      metadata: {
-        knowledge_entry_id: entryId,
-        action: 'commit',
-      },
-    };
-
-    const approvalRes = await api.submitApproval(approvalData);
+    const approvalRes = await api.submitApproval(commitApproval({ ...entry, ...data }, entryId, extra));
     const approvalOk = isOk(approvalRes);
     const approvalId = approvalOk ? (getData(approvalRes)?.id || null) : null;
 
@@ -96,6 +528,7 @@ async function handleCommit(args, flags) {
         entry_id: entryId,
         approval_id: approvalId,
         key: entry.key,
+        replaces: extra.replaces_entry_id || null,
         status: 'pending',
       });
       return;
@@ -110,13 +543,16 @@ async function handleCommit(args, flags) {
       console.log(`  ${out.style.dim('approval:')} ${out.style.cyan(approvalId)}`);
     }
     console.log(`  ${out.style.dim('key:')}      ${entry.key}`);
+    if (extra.replaces_entry_id) {
+      console.log(`  ${out.style.dim('replaces:')} ${out.style.dim(extra.replaces_entry_id)}`);
+    }
     if (entry.tags?.length) {
       console.log(`  ${out.style.dim('tags:')}     ${entry.tags.join(', ')}`);
     }
     console.log('');
 
     // Show commit-style diff
-    const lines = content.split('\n');
+    const lines = entry.content.split('\n');
     for (const line of lines.slice(0, 10)) {
       console.log(`  ${out.style.green('+ ' + line)}`);
     }
@@ -134,4 +570,4 @@ async function handleCommit(args, flags) {
   }
 }
 
-module.exports = { handleCommit };
+module.exports = { handleCommit, commitApproval, batchApproval, contentHash, linkedApprovals };
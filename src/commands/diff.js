@@ -3,15 +3,25 @@
 /**
  * diff.js — Show what changed in knowledge entries (like git diff).
  *
+ * When a draft shares its key (and namespace) with a published entry, the
+ * draft is diffed line by line against the published version. Entries
+ * without a counterpart are shown as all additions.
+ *
  * Usage:
- *   beeboo diff kb_abc123      # Show content of a specific entry
- *   beeboo diff --pending      # Show all pending/draft entries
+ *   beeboo diff kb_abc123            # Diff a specific entry
+ *   beeboo diff --pending            # Diff all pending/draft entries
  *   beeboo diff --key refund-policy  # Diff by key
+ *   beeboo diff --pending -U1        # One line of context (default: 3)
+ *   beeboo diff --pending --word-diff
+ *   beeboo diff --pending --stat
  */
 
 const { api, isOk, getData, getError } = require('../api');
 const out = require('../output');
 const credentials = require('../credentials');
+const config = require('../config');
+const textdiff = require('../textdiff');
+const { resolveEntry } = require('../resolve');
 
 function requireAuth() {
   if (!credentials.isAuthenticated()) {
@@ -20,74 +30,215 @@ function requireAuth() {
   }
 }
 
+function contextLines(flags) {
+  const n = parseInt(flags.unified ?? flags.U, 10);
+  return Number.isFinite(n) && n >= 0 ? n : 3;
+}
+
 /**
- * Show a single entry as a diff (all content shown as additions since
- * the API doesn't have version diffing yet).
+ * Pair each entry with what it should be diffed against:
+ * drafts against the published entry with the same key, published entries
+ * against their pending draft (if any), everything else against nothing.
+ * @returns {{base: object|null, entry: object}[]}
  */
-function showEntryDiff(entry) {
-  const statusIcon = entry.status === 'published' ? out.style.green('published') :
-                     entry.status === 'draft' ? out.style.yellow('draft (pending)') :
-                     out.style.dim(entry.status || 'unknown');
-
-  console.log(out.style.bold(`diff --beeboo a/${entry.key || entry.id} b/${entry.key || entry.id}`));
-  console.log(out.style.dim(`--- a/${entry.key || 'null'}`));
-  console.log(out.style.dim(`+++ b/${entry.key || entry.id}`));
-  console.log(out.style.cyan(`@@ entry: ${entry.id} | v${entry.version || 1} | ${statusIcon} @@`));
-  console.log('');
+function diffPairs(entries, all) {
+  const pairs = [];
+  const seen = new Set();
+  const sameKey = (a, b) => a.id !== b.id && a.key && a.key === b.key &&
+    (a.namespace || 'default') === (b.namespace || 'default');
+
+  for (const e of entries) {
+    let pair;
+    if (e.status === 'draft') {
+      pair = { base: all.find(o => sameKey(o, e) && o.status === 'published') || null, entry: e };
+    } else {
+      const draft = all.find(o => sameKey(o, e) && o.status === 'draft');
+      pair = draft ? { base: e, entry: draft } : { base: null, entry: e };
+    }
+    if (seen.has(pair.entry.id)) continue;
+    seen.add(pair.entry.id);
+    pairs.push(pair);
+  }
+  return pairs;
+}
 
-  // Title
-  if (entry.title) {
-    console.log(out.style.green(`+ [title] ${entry.title}`));
+/**
+ * Print a block of changed lines as a word diff:
+ * [-removed-] and {+added+} inline, no prefix column.
+ */
+function printWordDiff(deleted, inserted) {
+  const ops = [];
+  for (const op of textdiff.diffWords(deleted.join('\n'), inserted.join('\n'))) {
+    const last = ops[ops.length - 1];
+    if (last && last.type === op.type) last.value += op.value;
+    else ops.push({ ...op });
   }
+  const text = ops.map(op => {
+    if (op.type === 'delete') return out.style.red(`[-${op.value}-]`);
+    if (op.type === 'insert') return out.style.green(`{+${op.value}+}`);
+    return op.value;
+  }).join('');
+  console.log(text);
+}
 
-  // Key
-  if (entry.key) {
-    console.log(out.style.green(`+ [key]   ${entry.key}`));
+function printHunk(hunk, flags) {
+  console.log(out.style.cyan(textdiff.hunkHeader(hunk)));
+
+  if (!flags['word-diff']) {
+    for (const op of hunk.lines) {
+      if (op.type === 'delete') console.log(out.style.red('-' + op.value));
+      else if (op.type === 'insert') console.log(out.style.green('+' + op.value));
+      else console.log(' ' + op.value);
+    }
+    return;
   }
 
-  // Namespace
-  if (entry.namespace && entry.namespace !== 'default') {
-    console.log(out.style.green(`+ [ns]    ${entry.namespace}`));
+  // Word diff: pair each run of deletions with the insertions after it
+  let i = 0;
+  while (i < hunk.lines.length) {
+    const op = hunk.lines[i];
+    if (op.type === 'equal') {
+      console.log(op.value);
+      i++;
+      continue;
+    }
+    const deleted = [];
+    const inserted = [];
+    while (i < hunk.lines.length && hunk.lines[i].type === 'delete') deleted.push(hunk.lines[i++].value);
+    while (i < hunk.lines.length && hunk.lines[i].type === 'insert') inserted.push(hunk.lines[i++].value);
+    printWordDiff(deleted, inserted);
   }
+}
 
-  // Tags
-  if (entry.tags?.length) {
-    console.log(out.style.green(`+ [tags]  ${entry.tags.join(', ')}`));
+/**
+ * Show an entry as a diff against `base` (or against nothing).
+ * Returns { name, insertions, deletions } for --stat.
+ */
+function showEntryDiff(entry, base, flags = {}) {
+  const name = entry.key || entry.id;
+  const ops = textdiff.diffLines(base?.content || '', entry.content || '');
+  const counts = textdiff.stat(ops);
+
+  if (flags.stat) {
+    return { name, ...counts };
   }
 
+  const statusIcon = entry.status === 'published' ? out.style.green('published') :
+                     entry.status === 'draft' ? out.style.yellow('draft (pending)') :
+                     out.style.dim(entry.status || 'unknown');
+
+  console.log(out.style.bold(`diff --beeboo a/${name} b/${name}`));
+  if (base) {
+    console.log(out.style.dim(`--- a/${name}\t(${base.id} v${base.version || 1}, ${base.status || 'unknown'})`));
+  } else {
+    console.log(out.style.dim('--- /dev/null'));
+  }
+  console.log(out.style.dim(`+++ b/${name}\t(${entry.id} v${entry.version || 1}, ${entry.status || 'unknown'})`));
+  console.log(out.style.cyan(`@@ entry: ${entry.id} | v${entry.version || 1} | ${statusIcon} @@`));
   console.log('');
 
-  // Content lines
-  if (entry.content) {
-    const lines = entry.content.split('\n');
-    for (const line of lines) {
-      console.log(out.style.green('+ ' + line));
+  // Metadata: changed fields against the base, or everything for new entries
+  const fields = [
+    ['title', base?.title, entry.title],
+    ['key', base?.key, entry.key],
+    ['ns', base?.namespace || (base ? 'default' : undefined), entry.namespace || 'default'],
+    ['tags', base?.tags?.join(', '), entry.tags?.join(', ')],
+  ];
+  let printed = false;
+  for (const [label, before, after] of fields) {
+    const tag = `[${label}]`.padEnd(7);
+    if (!base) {
+      if (!after || (label === 'ns' && after === 'default')) continue;
+      console.log(out.style.green(`+ ${tag} ${after}`));
+      printed = true;
+    } else if ((before || '') !== (after || '')) {
+      if (before) console.log(out.style.red(`- ${tag} ${before}`));
+      if (after) console.log(out.style.green(`+ ${tag} ${after}`));
+      printed = true;
     }
-  } else {
+  }
+  if (printed) console.log('');
+
+  // Content
+  if (!entry.content && !base?.content) {
     console.log(out.style.dim('  (no content)'));
+  } else if (counts.insertions === 0 && counts.deletions === 0) {
+    console.log(out.style.dim('  (content unchanged)'));
+  } else {
+    for (const hunk of textdiff.hunks(ops, contextLines(flags))) {
+      printHunk(hunk, flags);
+    }
   }
 
   console.log('');
+  return { name, ...counts };
+}
+
+/**
+ * git diff --stat style summary.
+ */
+function printStat(rows) {
+  const width = Math.max(...rows.map(r => r.name.length), 0);
+  const maxChanges = Math.max(...rows.map(r => r.insertions + r.deletions), 1);
+  const barWidth = Math.min(maxChanges, 40);
+  let insertions = 0;
+  let deletions = 0;
+
+  for (const r of rows) {
+    const total = r.insertions + r.deletions;
+    const scale = barWidth / maxChanges;
+    const plus = Math.round(r.insertions * scale) || (r.insertions > 0 ? 1 : 0);
+    const minus = Math.round(r.deletions * scale) || (r.deletions > 0 ? 1 : 0);
+    console.log(` ${r.name.padEnd(width)} | ${String(total).padStart(4)} ${out.style.green('+'.repeat(plus))}${out.style.red('-'.repeat(minus))}`);
+    insertions += r.insertions;
+    deletions += r.deletions;
+  }
+
+  const files = `${rows.length} entr${rows.length === 1 ? 'y' : 'ies'} changed`;
+  console.log(` ${files}, ${insertions} insertion${insertions === 1 ? '' : 's'}(+), ${deletions} deletion${deletions === 1 ? '' : 's'}(-)`);
+}
+
+/**
+ * Diff every pair, then print the --stat summary if asked.
+ */
+function showPairs(pairs, flags) {
+  const rows = pairs.map(p => showEntryDiff(p.entry, p.base, flags));
+  if (flags.stat) printStat(rows);
+  return rows;
+}
+
+function pairsJson(pairs, rows) {
+  return pairs.map((p, i) => ({
+    id: p.entry.id,
+    key: p.entry.key || null,
+    base_id: p.base?.id || null,
+    insertions: rows[i].insertions,
+    deletions: rows[i].deletions,
+  }));
 }
 
 async function handleDiff(args, flags) {
   requireAuth();
+  const namespace = config.getNamespace(flags);
+  const inScope = (e) => !namespace || (e.namespace || 'default') === namespace;
 
   try {
     // Mode 1: --pending — show all draft entries
     if (flags.pending) {
-      const res = await api.listKnowledgeEntries({ status: 'draft' });
+      const res = await api.listAllKnowledgeEntries({});
 
       if (!isOk(res)) {
         out.error(`Failed to fetch pending entries: ${getError(res)}`);
         process.exit(1);
       }
 
-      let entries = getData(res);
-      entries = Array.isArray(entries) ? entries : [];
+      const all = getData(res);
+      const entries = all.filter(e => e.status === 'draft' && inScope(e));
+      const pairs = diffPairs(entries, all);
 
       if (flags.json) {
-        out.jsonCompact({ pending: entries });
+        const rows = pairs.map(p => showEntryDiff(p.entry, p.base, { stat: true }));
+        out.jsonCompact({ pending: entries, diffs: pairsJson(pairs, rows) });
         return;
       }
 
@@ -98,11 +249,9 @@ async function handleDiff(args, flags) {
 
       console.log(`\n📋 ${out.style.bold(`${entries.length} pending commit${entries.length === 1 ? '' : 's'}`)} awaiting approval:\n`);
 
-      for (const entry of entries) {
-        showEntryDiff(entry);
-      }
+      showPairs(pairs, flags);
 
-      console.log(out.style.dim(`  ${entries.length} files changed`));
+      if (!flags.stat) console.log(out.style.dim(`  ${entries.length} files changed`));
       return;
     }
 
@@ -119,21 +268,22 @@ async function handleDiff(args, flags) {
       entries = Array.isArray(entries) ? entries : [];
 
       // Client-side filter by key
-      const matching = entries.filter(e => e.key === flags.key);
+      const matching = entries.filter(e => e.key === flags.key && inScope(e));
 
       if (matching.length === 0) {
         out.error(`No entry found with key "${flags.key}".`);
         process.exit(1);
       }
 
+      const pairs = diffPairs(matching, matching);
+
       if (flags.json) {
-        out.jsonCompact({ entries: matching });
+        const rows = pairs.map(p => showEntryDiff(p.entry, p.base, { stat: true }));
+        out.jsonCompact({ entries: matching, diffs: pairsJson(pairs, rows) });
         return;
       }
 
-      for (const entry of matching) {
-        showEntryDiff(entry);
-      }
+      showPairs(pairs, flags);
       return;
     }
 
@@ -146,32 +296,36 @@ async function handleDiff(args, flags) {
       console.log(`  beeboo diff <entry-id>     Show changes for specific entry`);
       console.log(`  beeboo diff --pending      Show all pending commits`);
       console.log(`  beeboo diff --key <key>    Show changes for a key`);
+      console.log('');
+      console.log(`  ${out.style.bold('Options:')}`);
+      console.log(`  -U<n>, --unified <n>       Lines of context (default: 3)`);
+      console.log(`  --word-diff                Highlight changed words instead of lines`);
+      console.log(`  --stat                     Summary of changed lines per entry`);
       process.exit(1);
     }
 
-    const res = await api.getKnowledgeEntry(id);
-
-    if (!isOk(res)) {
-      if (res.status === 404) {
-        out.error(`Entry not found: ${id}`);
-      } else {
-        out.error(`Failed: ${getError(res)}`);
-      }
-      process.exit(1);
-    }
-
-    const entry = getData(res);
+    const entry = await resolveEntry(id, { namespace: config.getNamespace(flags) });
 
     if (flags.json) {
       out.jsonCompact(entry);
       return;
     }
 
-    showEntryDiff(entry);
+    // Look for a published/draft counterpart with the same key
+    let related = [entry];
+    if (entry.key) {
+      const keyRes = await api.getKnowledgeEntryByKey(entry.key);
+      if (isOk(keyRes)) {
+        const data = getData(keyRes);
+        related = related.concat((Array.isArray(data) ? data : []).filter(e => e.key === entry.key));
+      }
+    }
+
+    showPairs(diffPairs([entry], related), flags);
   } catch (err) {
     out.error(`Diff failed: ${err.message}`);
     process.exit(1);
   }
 }
 
-module.exports = { handleDiff };
+module.exports = { handleDiff, showEntryDiff, printStat };
@@ -0,0 +1,231 @@
+'use strict';
+
+/**
+ * lint.js — Check the knowledge base for problems (like eslint).
+ *
+ * Usage:
+ *   beeboo lint                         # Every entry in the active namespace
+ *   beeboo lint --fix                   # Apply safe fixes (tag case, whitespace, truncated titles)
+ *   beeboo lint --rule empty-content    # Only some rules (comma-separated)
+ *   beeboo lint --list-rules            # Rules and their effective severity
+ *   beeboo lint --json                  # Machine-readable, for CI
+ *
+ * Exits 1 when any error remains, or when warnings exceed --max-warnings.
+ * Rules are configured in .beeboo-lint.json or ~/.beeboo/lint.json
+ * (see src/lint.js), or --config <file>.
+ */
+
+const { api, isOk, getData, getError } = require('../api');
+const out = require('../output');
+const credentials = require('../credentials');
+const config = require('../config');
+const history = require('../history');
+const lint = require('../lint');
+
+function requireAuth() {
+  if (!credentials.isAuthenticated()) {
+    out.error('Not authenticated. Run: npx beeboo auth');
+    process.exit(1);
+  }
+}
+
+const SEVERITY_STYLE = {
+  error: (t) => out.style.red(t),
+  warning: (t) => out.style.yellow(t),
+  info: (t) => out.style.cyan(t),
+};
+
+function label(entry) {
+  return `${entry.namespace || 'default'}/${entry.key || entry.id}`;
+}
+
+function summarize(problems) {
+  const count = (s) => problems.filter(p => p.severity === s).length;
+  return {
+    errors: count('error'),
+    warnings: count('warning'),
+    info: count('info'),
+    fixable: problems.filter(p => p.fix).length,
+  };
+}
+
+function listRules(settings, flags) {
+  const rows = Object.entries(lint.RULES).map(([id, rule]) => ({
+    rule: id,
+    severity: settings[id].severity,
+    fixable: !!rule.fixable,
+    options: settings[id].options,
+    description: rule.description,
+  }));
+
+  if (flags.json) {
+    out.jsonCompact({ rules: rows });
+    return;
+  }
+
+  out.table(rows.map(r => ({
+    rule: r.rule,
+    severity: r.severity,
+    fix: r.fixable ? '✓' : '',
+    description: r.description,
+  })), [
+    { key: 'rule', label: 'RULE', color: 'cyan' },
+    { key: 'severity', label: 'SEVERITY' },
+    { key: 'fix', label: 'FIX', color: 'green' },
+    { key: 'description', label: 'DESCRIPTION', color: 'dim' },
+  ]);
+}
+
+/**
+ * PATCH the fixes, one update per entry with its fixes applied in turn.
+ * Returns the IDs that were fixed.
+ */
+async function applyFixes(problems, settings) {
+  const entries = new Map();
+  for (const p of problems) {
+    if (p.fix) entries.set(p.entry.id, p.entry);
+  }
+
+  const fixed = new Set();
+  const failed = [];
+  for (const entry of entries.values()) {
+    const updates = lint.fixEntry(entry, settings);
+    if (Object.keys(updates).length === 0) continue;
+    history.record(entry);
+    const res = await api.updateKnowledgeEntry(entry.id, updates);
+    if (isOk(res)) {
+      history.record(getData(res));
+      fixed.add(entry.id);
+    } else {
+      failed.push({ entry, error: getError(res) });
+    }
+  }
+  return { fixed, failed };
+}
+
+function printProblems(problems) {
+  const groups = new Map();
+  for (const p of problems) {
+    if (!groups.has(p.entry.id)) groups.set(p.entry.id, []);
+    groups.get(p.entry.id).push(p);
+  }
+
+  const sevWidth = Math.max(...problems.map(p => p.severity.length));
+  const msgWidth = Math.max(...problems.map(p => p.message.length));
+
+  for (const list of groups.values()) {
+    const entry = list[0].entry;
+    console.log(`${out.style.bold(label(entry))} ${out.style.dim(`(${String(entry.id).slice(0, 8)})`)}`);
+    for (const p of list) {
+      const sev = SEVERITY_STYLE[p.severity](p.severity.padEnd(sevWidth));
+      console.log(`  ${sev}  ${p.message.padEnd(msgWidth)}  ${out.style.dim(p.rule)}${p.fix ? out.style.green(' (fixable)') : ''}`);
+    }
+    console.log('');
+  }
+}
+
+async function handleLint(args, flags) {
+  requireAuth();
+
+  let settings;
+  let configPath;
+  try {
+    const only = typeof flags.rule === 'string' ? flags.rule.split(',').map(r => r.trim()).filter(Boolean) : null;
+    for (const id of only || []) {
+      if (!lint.RULES[id]) throw new Error(`Unknown lint rule: ${id}`);
+    }
+    const loaded = lint.loadConfig(typeof flags.config === 'string' ? flags.config : null);
+    configPath = loaded.path;
+    settings = lint.resolveRules(loaded.config, only);
+  } catch (err) {
+    out.error(err.message);
+    process.exit(1);
+  }
+
+  if (flags['list-rules']) {
+    listRules(settings, flags);
+    return;
+  }
+
+  try {
+    const query = {};
+    const namespace = config.getNamespace(flags);
+    if (namespace) query.namespace = namespace;
+
+    const res = await api.listAllKnowledgeEntries(query);
+
+    if (!isOk(res)) {
+      out.error(`Lint failed: ${getError(res)}`);
+      process.exit(1);
+    }
+
+    const entries = getData(res) || [];
+    let problems = lint.run(entries, settings);
+    let fixedCount = 0;
+    let fixFailures = [];
+
+    if (flags.fix && problems.some(p => p.fix)) {
+      const { fixed, failed } = await applyFixes(problems, settings);
+      fixedCount = fixed.size;
+      fixFailures = failed;
+      problems = problems.filter(p => !(p.fix && fixed.has(p.entry.id)));
+    }
+
+    const summary = summarize(problems);
+    const maxWarnings = flags['max-warnings'] !== undefined ? parseInt(flags['max-warnings'], 10) : -1;
+    const failing = summary.errors > 0 || (maxWarnings >= 0 && summary.warnings > maxWarnings);
+
+    if (flags.json) {
+      out.jsonCompact({
+        entries: entries.length,
+        config: configPath,
+        ...summary,
+        fixed: fixedCount,
+        problems: problems.map(p => ({
+          rule: p.rule,
+          severity: p.severity,
+          id: p.entry.id,
+          key: p.entry.key || null,
+          namespace: p.entry.namespace || 'default',
+          message: p.message,
+          fix: p.fix || null,
+        })),
+      });
+      if (failing) process.exit(1);
+      return;
+    }
+
+    console.log('');
+    if (problems.length > 0) printProblems(problems);
+
+    for (const f of fixFailures) {
+      out.error(`Could not fix ${label(f.entry)}: ${f.error}`);
+    }
+    if (fixedCount > 0) {
+      out.success(`Fixed ${fixedCount} entr${fixedCount === 1 ? 'y' : 'ies'}`);
+    }
+
+    if (problems.length === 0) {
+      out.success(`${entries.length} entries checked — no problems`);
+      return;
+    }
+
+    const parts = [`${summary.errors} error${summary.errors === 1 ? '' : 's'}`, `${summary.warnings} warning${summary.warnings === 1 ? '' : 's'}`];
+    if (summary.info) parts.push(`${summary.info} info`);
+    const line = `${problems.length} problem${problems.length === 1 ? '' : 's'} (${parts.join(', ')}) in ${entries.length} entries`;
+    console.log(failing ? out.style.error(`✗ ${line}`) : out.style.yellow(`⚠ ${line}`));
+    if (summary.fixable > 0 && !flags.fix) {
+      console.log(`  ${out.style.dim(`${summary.fixable} fixable with`)} ${out.style.cyan('beeboo lint --fix')}`);
+    }
+    if (maxWarnings >= 0 && summary.warnings > maxWarnings) {
+      console.log(`  ${out.style.dim(`Too many warnings (maximum: ${maxWarnings})`)}`);
+    }
+
+    if (failing) process.exit(1);
+  } catch (err) {
+    out.error(`Network error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { handleLint };
@@ -8,11 +8,16 @@
  *   beeboo log --key refund-policy # History for specific key
  *   beeboo log --limit 5           # Limit results
  *   beeboo log --status draft      # Filter by status
+ *   beeboo log --key refund-policy --versions  # Every version of one entry
  */
 
 const { api, isOk, getData, getError } = require('../api');
 const out = require('../output');
 const credentials = require('../credentials');
+const config = require('../config');
+const history = require('../history');
+const tags = require('../tags');
+const { resolveEntry } = require('../resolve');
 
 function requireAuth() {
   if (!credentials.isAuthenticated()) {
@@ -32,17 +37,82 @@ function formatDate(dateStr) {
   return `${days[d.getDay()]} ${months[d.getMonth()]} ${d.getDate()} ${d.toTimeString().slice(0, 8)} ${d.getFullYear()}`;
 }
 
+function formatAuthor(author) {
+  if (!author) return null;
+  if (typeof author === 'string') return author;
+  return `${author.name || author.id || 'unknown'} <${author.type || 'user'}>`;
+}
+
+/**
+ * List every version of a single entry, newest first.
+ */
+async function showVersions(flags) {
+  if (!flags.key || flags.key === true) {
+    out.error('A key is required to list versions.');
+    console.log(`  Usage: beeboo log --key <key> --versions`);
+    process.exit(1);
+  }
+
+  const entry = await resolveEntry(flags.key, { prefer: 'published' });
+  const { source, versions } = await history.versions(entry);
+  const limit = flags.limit ? parseInt(flags.limit, 10) : versions.length;
+  const shown = versions.slice(0, limit);
+
+  if (flags.json) {
+    out.jsonCompact({ id: entry.id, key: entry.key, source, versions: shown });
+    return;
+  }
+
+  const current = entry.version || 1;
+  for (const v of shown) {
+    const marker = v.version === current ? ` ${out.style.cyan('(current)')}` : '';
+    console.log(`${out.style.yellow(`version ${v.version}`)}${marker}`);
+
+    const author = formatAuthor(v.author);
+    if (author) console.log(`Author: ${author}`);
+    console.log(`Date:   ${formatDate(v.updated_at)}`);
+    if (v.status) console.log(`Status: ${v.status}`);
+    console.log('');
+
+    console.log(`    ${out.style.bold(v.title || '(untitled)')}`);
+    for (const line of (v.content || '').split('\n').slice(0, 3)) {
+      const trimmed = line.length > 100 ? line.slice(0, 100) + '...' : line;
+      console.log(`    ${out.style.dim(trimmed)}`);
+    }
+    console.log('');
+  }
+
+  if (source === 'local') {
+    console.log(out.style.dim('  Server history unavailable — showing versions this CLI has seen locally.'));
+  }
+  console.log(out.style.dim(`  View one: beeboo show ${entry.key || entry.id}@v<n>  Restore: beeboo revert ${entry.key || entry.id} --to v<n>`));
+}
+
 async function handleLog(args, flags) {
   requireAuth();
 
+  if (flags.versions) {
+    try {
+      return await showVersions(flags);
+    } catch (err) {
+      out.error(`Log failed: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
   try {
     // Build query
     const query = {};
-    if (flags.namespace) query.namespace = flags.namespace;
+    const namespace = config.getNamespace(flags);
+    if (namespace) query.namespace = namespace;
     if (flags.status) query.status = flags.status;
     if (flags.key) query.key = flags.key;
 
-    const res = await api.listKnowledgeEntries(query);
+    // Tag filters are applied client-side, so they need every page
+    const required = tags.fromFlags(flags);
+    const res = required.length
+      ? await api.listAllKnowledgeEntries(query)
+      : await api.listKnowledgeEntries(query);
 
     if (!isOk(res)) {
       out.error(`Failed to fetch log: ${getError(res)}`);
@@ -51,11 +121,13 @@ async function handleLog(args, flags) {
 
     let entries = getData(res);
     entries = Array.isArray(entries) ? entries : [];
+    history.recordAll(entries);
 
     // Filter by key if specified (client-side, in case API doesn't support key filter)
     if (flags.key) {
       entries = entries.filter(e => e.key === flags.key);
     }
+    entries = tags.filter(entries, required);
 
     // Sort by updated_at descending (most recent first)
     entries.sort((a, b) => {
@@ -94,9 +166,9 @@ async function handleLog(args, flags) {
       console.log(`${out.style.yellow('commit ' + entry.id)}`);
 
       // Author
-      const author = entry.created_by;
+      const author = formatAuthor(entry.created_by);
       if (author) {
-        console.log(`Author: ${author.name || author.id || 'unknown'} <${author.type || 'user'}>`);
+        console.log(`Author: ${author}`);
       }
 
       // Date
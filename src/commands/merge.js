@@ -0,0 +1,340 @@
+'use strict';
+
+/**
+ * merge.js — Approve a knowledge commit and publish it (like merging a PR).
+ *
+ * Approving a commit's approval request doesn't publish its draft unless
+ * the server does that itself. `merge` approves the request, publishes
+ * every draft it covers, checks the result and prints what changed:
+ *
+ *   - a new entry's draft is flipped to published
+ *   - a draft that replaces a published entry is written onto that entry
+ *     (keeping its ID and version history) and the draft is removed
+ *   - entries the request deletes are deleted
+ *
+ * It refuses if a draft changed after the approval was requested, so what
+ * gets published is what the reviewer saw.
+ *
+ * Usage:
+ *   beeboo merge <approval>
+ *   beeboo approvals approve <approval> --merge
+ */
+
+const { api, isOk, getData, getError } = require('../api');
+const out = require('../output');
+const credentials = require('../credentials');
+const prompt = require('../prompt');
+const history = require('../history');
+const search = require('../search');
+const textdiff = require('../textdiff');
+const { resolveApproval, forget } = require('../resolve');
+const { contentHash } = require('./commit');
+const { showEntryDiff, printStat } = require('./diff');
+
+// Fields a replacing draft carries over to the published entry
+const MERGED_FIELDS = ['title', 'content', 'tags', 'content_type'];
+
+function requireAuth() {
+  if (!credentials.isAuthenticated()) {
+    out.error('Not authenticated. Run: npx beeboo auth');
+    process.exit(1);
+  }
+}
+
+function showUsage() {
+  console.log('');
+  console.log(`  ${out.style.bold('Usage:')}`);
+  console.log(`  beeboo merge <approval>             Approve and publish a knowledge commit`);
+  console.log(`  beeboo approvals approve <approval> --merge`);
+  console.log('');
+  console.log(`  ${out.style.bold('Options:')}`);
+  console.log(`  --reason <text>     Note recorded with the approval`);
+  console.log(`  --stat              Summarize the changes instead of showing the diff`);
+  console.log(`  -U<n>, --word-diff  Diff options, as for beeboo diff`);
+  console.log(`  --yes               Skip the confirmation prompt (required with --json or without a terminal)`);
+}
+
+/**
+ * What an approval asks for, from its metadata.
+ * @returns {{type: 'publish'|'delete', draft_id?: string, target_id?: string|null, hash?: string|null}[]}
+ */
+function planOf(approval) {
+  const meta = approval.metadata || {};
+
+  if (meta.action === 'delete' && meta.knowledge_entry_id) {
+    return [{ type: 'delete', target_id: meta.knowledge_entry_id }];
+  }
+  if (meta.knowledge_entry_id) {
+    return [{
+      type: 'publish',
+      draft_id: meta.knowledge_entry_id,
+      target_id: meta.replaces_entry_id || null,
+      hash: meta.content_hash || null,
+    }];
+  }
+
+  const replaces = meta.replaces_entry_ids || {};
+  const hashes = meta.content_hashes || {};
+  return [
+    ...(meta.knowledge_entry_ids || []).map(id => ({ type: 'publish', draft_id: id, target_id: replaces[id] || null, hash: hashes[id] || null })),
+    ...(meta.delete_entry_ids || []).map(id => ({ type: 'delete', target_id: id })),
+  ];
+}
+
+async function fetchEntry(id) {
+  const res = await api.getKnowledgeEntry(id);
+  if (isOk(res)) return getData(res);
+  if (res.status === 404) return null;
+  throw new Error(`Could not load entry ${id}: ${getError(res)}`);
+}
+
+/**
+ * Load every entry the plan touches and check it can still be merged.
+ * Drafts must be unchanged since the approval was requested: by content
+ * hash, or for approvals made before hashes by their update time. Entries
+ * a draft replaces must not have been updated since either.
+ */
+async function prepare(approval, plan) {
+  const requested = Date.parse(approval.metadata?.amended_at || approval.created_at || '') || null;
+  const problems = [];
+
+  for (const op of plan) {
+    op.target = op.target_id ? await fetchEntry(op.target_id) : null;
+    if (op.type === 'delete') {
+      if (!op.target) op.done = 'already deleted';
+      continue;
+    }
+
+    op.draft = await fetchEntry(op.draft_id);
+    if (!op.draft) {
+      // Approved and written onto its target: merged before
+      if (approval.status === 'approved' && op.target?.status === 'published') op.done = 'already merged';
+      else problems.push(`draft ${op.draft_id} no longer exists`);
+      continue;
+    }
+    const name = op.draft.key || op.draft.id;
+    if (op.draft.status === 'published' && !op.target_id) {
+      op.done = 'already published';
+      continue;
+    }
+    if (op.draft.status !== 'draft') {
+      problems.push(`${name} is ${op.draft.status}, not a draft`);
+      continue;
+    }
+
+    const changed = op.hash
+      ? contentHash(op.draft) !== op.hash
+      : requested && Date.parse(op.draft.updated_at || '') > requested + 1000;
+    if (changed) problems.push(`${name} changed after the approval was requested`);
+
+    // Writing the draft onto its target would lose edits made there since
+    if (op.target && requested && Date.parse(op.target.updated_at || '') > requested + 1000) {
+      problems.push(`the published ${op.target.key || op.target.id} changed after the approval was requested`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Apply one publish or delete and read the result back.
+ * @returns {Promise<{action: string, entry_id: string, key: string|null, version: number|null, verified: boolean, error: string|null}>}
+ */
+async function apply(op) {
+  if (op.type === 'delete') {
+    const res = await api.deleteKnowledgeEntry(op.target.id);
+    if (!isOk(res) && res.status !== 404) return { action: 'delete', entry_id: op.target.id, key: op.target.key || null, version: null, verified: false, error: getError(res) };
+    search.remove([op.target.id]);
+    forget('entry', op.target.id);
+    const gone = !(await fetchEntry(op.target.id));
+    return { action: 'delete', entry_id: op.target.id, key: op.target.key || null, version: null, verified: gone, error: gone ? null : 'entry still exists' };
+  }
+
+  const draft = op.draft;
+  let result;
+
+  if (op.target) {
+    // Write the draft onto the published entry, then drop the draft
+    const updates = { status: 'published' };
+    for (const field of MERGED_FIELDS) {
+      if (draft[field] !== undefined) updates[field] = draft[field];
+    }
+    history.record(op.target);
+    const res = await api.updateKnowledgeEntry(op.target.id, updates);
+    if (!isOk(res)) return { action: 'update', entry_id: op.target.id, key: op.target.key || null, version: null, verified: false, error: getError(res) };
+    const del = await api.deleteKnowledgeEntry(draft.id);
+    if (isOk(del)) {
+      search.remove([draft.id]);
+      forget('entry', draft.id);
+    }
+    result = { action: 'update', entry_id: op.target.id };
+  } else {
+    const res = await api.updateKnowledgeEntry(draft.id, { status: 'published' });
+    if (!isOk(res)) return { action: 'create', entry_id: draft.id, key: draft.key || null, version: null, verified: false, error: getError(res) };
+    result = { action: 'create', entry_id: draft.id };
+  }
+
+  const after = await fetchEntry(result.entry_id);
+  history.record(after);
+  const verified = !!after && after.status === 'published' &&
+    (after.content || '') === (draft.content || '') && (after.title || '') === (draft.title || '');
+
+  return {
+    ...result,
+    key: draft.key || null,
+    version: after?.version || null,
+    verified,
+    error: verified ? null : (after ? `entry is ${after.status}${after.status === 'published' ? ' but its content differs from the draft' : ''}` : 'entry not found after publishing'),
+  };
+}
+
+/**
+ * Approve (if still pending) and publish an approval's drafts.
+ * @param {object} approval - Resolved approval
+ * @param {object} flags
+ */
+async function mergeApproval(approval, flags) {
+  const plan = planOf(approval);
+  if (plan.length === 0) {
+    out.error(`${approval.id} is not a knowledge commit: there is no draft to merge.`);
+    console.log(`  To approve it without merging: ${out.style.cyan(`npx beeboo approvals approve ${approval.id}`)}`);
+    process.exit(1);
+  }
+
+  const status = approval.status || 'pending';
+  if (status !== 'pending' && status !== 'approved') {
+    out.error(`Approval ${approval.id} is ${status}. Only pending or approved commits can be merged.`);
+    process.exit(1);
+  }
+
+  const problems = await prepare(approval, plan);
+  if (problems.length > 0) {
+    out.error(`Refusing to merge ${approval.id}:`);
+    for (const p of problems) console.log(`  ${out.style.red('✗')} ${p}`);
+    console.log(`  ${out.style.dim('Ask the author to amend the commit (beeboo commit --amend) so the approval shows the current draft.')}`);
+    process.exit(1);
+  }
+
+  const todo = plan.filter(op => !op.done);
+  if (todo.length === 0) {
+    if (flags.json) {
+      out.jsonCompact({ approval_id: approval.id, approved: status === 'approved', merged: [], skipped: plan.map(op => ({ entry_id: op.draft_id || op.target_id, reason: op.done })) });
+      return;
+    }
+    out.info(`Nothing to merge: ${approval.id} is ${status} and its changes are already applied.`);
+    return;
+  }
+
+  if (!flags.json) {
+    console.log('');
+    console.log(`🔀 ${out.style.bold(`Merging ${approval.title || approval.id}`)} ${out.style.dim(`(${approval.id})`)}`);
+    console.log('');
+    const rows = [];
+    for (const op of todo) {
+      if (op.type === 'delete') {
+        if (!flags.stat) {
+          console.log(out.style.red(`- delete ${op.target.namespace || 'default'}/${op.target.key || op.target.id}`));
+          console.log('');
+        }
+        rows.push({ name: op.target.key || op.target.id, ...textdiff.stat(textdiff.diffLines(op.target.content || '', '')) });
+        continue;
+      }
+      rows.push(showEntryDiff(op.draft, op.target, flags));
+    }
+    if (flags.stat && rows.length > 0) {
+      printStat(rows);
+      console.log('');
+    }
+    for (const op of plan.filter(o => o.done)) {
+      console.log(`  ${out.style.dim(`${(op.draft || op.target)?.key || op.draft_id || op.target_id}: ${op.done}`)}`);
+    }
+  }
+
+  if (!flags.yes) {
+    if (flags.json || !prompt.isInteractive()) {
+      out.error(`Refusing to ${status === 'pending' ? 'approve and publish' : 'publish'} without confirmation. Pass --yes to merge.`);
+      process.exit(1);
+    }
+    const ok = await prompt.confirm(`  ${status === 'pending' ? 'Approve and publish' : 'Publish'} ${todo.length === 1 ? 'this change' : `these ${todo.length} changes`}?`);
+    if (!ok) {
+      out.info('Merge cancelled.');
+      return;
+    }
+  }
+
+  if (status === 'pending') {
+    const note = flags.reason || flags.note || '';
+    const res = await api.decideApproval(approval.id, 'approved', note);
+    if (!isOk(res)) {
+      out.error(`Failed to approve: ${getError(res)}`);
+      process.exit(1);
+    }
+  }
+
+  // The server may have published on approval; re-read before acting
+  for (const op of todo) {
+    if (op.type !== 'publish' || op.target) continue;
+    const now = await fetchEntry(op.draft_id);
+    if (now?.status === 'published') op.done = 'published by the server';
+  }
+
+  const results = [];
+  for (const op of todo) {
+    if (op.done) {
+      const after = await fetchEntry(op.draft_id);
+      results.push({ action: 'create', entry_id: op.draft_id, key: op.draft.key || null, version: after?.version || null, verified: after?.status === 'published', error: null });
+      continue;
+    }
+    results.push(await apply(op));
+  }
+
+  const failed = results.filter(r => !r.verified);
+
+  if (flags.json) {
+    out.jsonCompact({
+      approval_id: approval.id,
+      approved: true,
+      merged: results,
+      skipped: plan.filter(op => op.done && !todo.includes(op)).map(op => ({ entry_id: op.draft_id || op.target_id, reason: op.done })),
+    });
+    if (failed.length > 0) process.exit(1);
+    return;
+  }
+
+  for (const r of results) {
+    const label = r.action.padEnd(6);
+    const name = r.key || r.entry_id;
+    if (r.verified) {
+      console.log(`  ${out.style.green('✓')} ${label} ${name}${r.version ? out.style.dim(` (v${r.version})`) : ''}`);
+    } else {
+      console.log(`  ${out.style.red('✗')} ${label} ${name} ${out.style.dim(`— ${r.error}`)}`);
+    }
+  }
+  console.log('');
+
+  if (failed.length > 0) {
+    out.error(`Approved, but ${failed.length} of ${results.length} change${results.length === 1 ? '' : 's'} did not publish. Check with: npx beeboo diff --pending`);
+    process.exit(1);
+  }
+  out.success(`Merged ${results.length} change${results.length === 1 ? '' : 's'} ${out.style.green('(published)')}`);
+}
+
+async function handleMerge(args, flags) {
+  requireAuth();
+
+  if (!args[0]) {
+    out.error('Approval is required.');
+    showUsage();
+    process.exit(1);
+  }
+
+  try {
+    const approval = await resolveApproval(args[0], { destructive: true });
+    await mergeApproval(approval, flags);
+  } catch (err) {
+    out.error(`Merge failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { handleMerge, mergeApproval, planOf };
@@ -0,0 +1,257 @@
+'use strict';
+
+/**
+ * namespaces.js — List namespaces and re-home entries in bulk (like git branch).
+ *
+ * Usage:
+ *   beeboo namespaces                              # Namespaces with entry and draft counts
+ *   beeboo namespaces rename <old> <new>           # Move every entry from <old> to <new>
+ *   beeboo namespaces move <id|key>... --to <ns>   # Move specific entries
+ *   beeboo namespaces move --from <ns> --to <ns> [--tag t] [--status s]
+ *
+ * rename and move accept --dry-run and --yes. An entry is not moved when
+ * the target namespace already has an entry with the same key and status
+ * (use --force to move it anyway).
+ */
+
+const { api, isOk, getData, getError } = require('../api');
+const out = require('../output');
+const credentials = require('../credentials');
+const config = require('../config');
+const history = require('../history');
+const prompt = require('../prompt');
+const { resolveEntry } = require('../resolve');
+const { NAMESPACE_PATTERN } = require('./checkout');
+
+function requireAuth() {
+  if (!credentials.isAuthenticated()) {
+    out.error('Not authenticated. Run: npx beeboo auth');
+    process.exit(1);
+  }
+}
+
+function nsOf(entry) {
+  return entry.namespace || 'default';
+}
+
+async function fetchAll() {
+  const res = await api.listAllKnowledgeEntries({});
+  if (!isOk(res)) {
+    out.error(`Failed to list entries: ${getError(res)}`);
+    process.exit(1);
+  }
+  return getData(res) || [];
+}
+
+async function listNamespaces(flags) {
+  const entries = await fetchAll();
+  const current = config.get('namespace') || 'default';
+
+  const stats = new Map();
+  const bump = (ns) => {
+    if (!stats.has(ns)) stats.set(ns, { namespace: ns, entries: 0, published: 0, drafts: 0, updated_at: null });
+    return stats.get(ns);
+  };
+  bump(current);
+  for (const e of entries) {
+    const s = bump(nsOf(e));
+    s.entries++;
+    if (e.status === 'published') s.published++;
+    if (e.status === 'draft') s.drafts++;
+    if (e.updated_at && (!s.updated_at || e.updated_at > s.updated_at)) s.updated_at = e.updated_at;
+  }
+  const rows = [...stats.values()].sort((a, b) => a.namespace.localeCompare(b.namespace));
+
+  if (flags.json) {
+    out.jsonCompact({ current, namespaces: rows });
+    return;
+  }
+
+  out.brand('Namespaces');
+  console.log('');
+
+  out.table(rows.map(r => ({
+    current: r.namespace === current ? '*' : '',
+    namespace: r.namespace,
+    entries: String(r.entries),
+    drafts: r.drafts ? String(r.drafts) : '—',
+    updated: r.updated_at ? out.timeAgo(r.updated_at) : '—',
+  })), [
+    { key: 'current', label: ' ', color: 'green' },
+    { key: 'namespace', label: 'NAMESPACE', color: 'cyan' },
+    { key: 'entries', label: 'ENTRIES' },
+    { key: 'drafts', label: 'DRAFTS', color: 'yellow' },
+    { key: 'updated', label: 'UPDATED', color: 'gray' },
+  ]);
+
+  console.log(`\n  ${out.style.dim(`On namespace ${current} — switch with: beeboo checkout <namespace>`)}`);
+}
+
+/**
+ * Split `entries` into moves and key conflicts with what's already in `to`.
+ */
+function planMove(entries, all, to, force) {
+  const moves = [];
+  const conflicts = [];
+  for (const entry of entries) {
+    if (nsOf(entry) === to) continue;
+    const clash = all.find(e =>
+      e.id !== entry.id && nsOf(e) === to && e.key && e.key === entry.key && e.status === entry.status);
+    if (clash && !force) conflicts.push({ entry, clash });
+    else moves.push(entry);
+  }
+  return { moves, conflicts };
+}
+
+async function applyMove(plan, to, flags) {
+  const { moves, conflicts } = plan;
+
+  if (!flags.json && (moves.length || conflicts.length)) {
+    console.log('');
+    console.log(`${out.style.bold('Move:')} ${moves.length} entr${moves.length === 1 ? 'y' : 'ies'} to ${out.style.cyan(to)}${conflicts.length ? out.style.red(`, ${conflicts.length} conflict${conflicts.length === 1 ? '' : 's'}`) : ''}`);
+    console.log('');
+    for (const e of moves) {
+      console.log(`  ${out.style.yellow('→')} ${nsOf(e)}/${e.key || e.id} ${out.style.dim(`(${String(e.id).slice(0, 8)}, ${e.status || '—'})`)}`);
+    }
+    for (const c of conflicts) {
+      console.log(`  ${out.style.red('✗')} ${nsOf(c.entry)}/${c.entry.key} ${out.style.dim(`— ${to}/${c.clash.key} already exists (${String(c.clash.id).slice(0, 8)}); use --force to move anyway`)}`);
+    }
+    console.log('');
+  }
+
+  if (flags['dry-run'] || moves.length === 0) {
+    if (flags.json) {
+      out.jsonCompact({
+        to,
+        dry_run: !!flags['dry-run'],
+        moves: moves.map(e => ({ id: e.id, key: e.key, from: nsOf(e) })),
+        conflicts: conflicts.map(c => ({ id: c.entry.id, key: c.entry.key, existing_id: c.clash.id })),
+      });
+    } else if (moves.length === 0) {
+      out.info('Nothing to move.');
+    } else {
+      out.info('Dry run — nothing was moved.');
+    }
+    if (conflicts.length > 0) process.exit(1);
+    return [];
+  }
+
+  if (!flags.yes && !flags.json && prompt.isInteractive()) {
+    const ok = await prompt.confirm(`  Move ${moves.length} entr${moves.length === 1 ? 'y' : 'ies'} to ${to}?`);
+    if (!ok) {
+      out.info('Move cancelled.');
+      return [];
+    }
+  }
+
+  const results = [];
+  for (const entry of moves) {
+    history.record(entry);
+    const res = await api.updateKnowledgeEntry(entry.id, { namespace: to });
+    if (isOk(res)) history.record(getData(res));
+    results.push({ id: entry.id, key: entry.key, from: nsOf(entry), ok: isOk(res), error: isOk(res) ? null : getError(res) });
+  }
+  const failed = results.filter(r => !r.ok);
+
+  if (flags.json) {
+    out.jsonCompact({
+      to,
+      moved: results,
+      conflicts: conflicts.map(c => ({ id: c.entry.id, key: c.entry.key, existing_id: c.clash.id })),
+    });
+  } else {
+    for (const r of failed) {
+      console.log(`  ${out.style.red('✗')} ${r.from}/${r.key || r.id} ${out.style.dim(`— ${r.error}`)}`);
+    }
+    const moved = results.length - failed.length;
+    if (failed.length || conflicts.length) {
+      out.warn(`Moved ${moved} of ${moves.length + conflicts.length} entries to ${to}`);
+    } else {
+      out.success(`Moved ${moved} entr${moved === 1 ? 'y' : 'ies'} to ${to}`);
+    }
+  }
+
+  if (failed.length > 0 || conflicts.length > 0) process.exit(1);
+  return results;
+}
+
+function checkName(name) {
+  if (!NAMESPACE_PATTERN.test(name)) {
+    out.error(`Invalid namespace name: ${name}`);
+    process.exit(1);
+  }
+}
+
+async function renameNamespace(args, flags) {
+  const [from, to] = args;
+  if (!from || !to) {
+    out.error('Usage: beeboo namespaces rename <old> <new>');
+    process.exit(1);
+  }
+  checkName(to);
+
+  const all = await fetchAll();
+  const entries = all.filter(e => nsOf(e) === from);
+  if (entries.length === 0) {
+    out.error(`Namespace "${from}" has no entries.`);
+    process.exit(1);
+  }
+
+  const results = await applyMove(planMove(entries, all, to, flags.force), to, flags);
+
+  // Follow the rename if it was the checked-out namespace
+  if (results.length > 0 && results.every(r => r.ok) && config.get('namespace') === from) {
+    config.set('namespace', to);
+    if (!flags.json) console.log(`  Switched to namespace ${out.style.cyan(to)}`);
+  }
+}
+
+async function moveEntries(args, flags) {
+  const to = typeof flags.to === 'string' ? flags.to : null;
+  if (!to || (args.length === 0 && typeof flags.from !== 'string')) {
+    out.error('Usage: beeboo namespaces move <id|key>... --to <namespace>');
+    console.log('         beeboo namespaces move --from <namespace> --to <namespace> [--tag t] [--status s]');
+    process.exit(1);
+  }
+  checkName(to);
+
+  const all = await fetchAll();
+  let entries;
+  if (args.length > 0) {
+    entries = [];
+    for (const ref of args) entries.push(await resolveEntry(ref, { namespace: config.getNamespace(flags) }));
+  } else {
+    entries = all.filter(e => nsOf(e) === flags.from);
+    if (typeof flags.tag === 'string') entries = entries.filter(e => (e.tags || []).includes(flags.tag));
+    if (typeof flags.status === 'string') entries = entries.filter(e => e.status === flags.status);
+  }
+
+  await applyMove(planMove(entries, all, to, flags.force), to, flags);
+}
+
+async function handleNamespaces(args, flags) {
+  requireAuth();
+  const sub = args[0] || 'list';
+
+  try {
+    switch (sub) {
+      case 'list':
+      case 'ls':
+        return await listNamespaces(flags);
+      case 'rename':
+      case 'mv':
+        return await renameNamespace(args.slice(1), flags);
+      case 'move':
+        return await moveEntries(args.slice(1), flags);
+      default:
+        out.error(`Unknown namespaces command: ${sub}`);
+        console.log('  Commands: list, rename, move');
+        process.exit(1);
+    }
+  } catch (err) {
+    out.error(`Network error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { handleNamespaces };
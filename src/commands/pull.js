@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * pull.js — Refresh a cloned knowledge base directory (like git pull).
+ *
+ * Usage:
+ *   beeboo pull              # Inside a clone
+ *   beeboo pull ./kb         # Explicit path
+ *   beeboo pull --force      # Overwrite local edits
+ *
+ * Only entries whose version or updated_at changed on the server are
+ * rewritten. Locally edited files are left alone and reported as conflicts.
+ */
+
+const path = require('path');
+const { api, isOk, getData, getError } = require('../api');
+const out = require('../output');
+const credentials = require('../credentials');
+const workdir = require('../workdir');
+const history = require('../history');
+
+function requireAuth() {
+  if (!credentials.isAuthenticated()) {
+    out.error('Not authenticated. Run: npx beeboo auth');
+    process.exit(1);
+  }
+}
+
+async function handlePull(args, flags) {
+  requireAuth();
+
+  const root = workdir.findRoot(args[0] || process.cwd());
+  if (!root) {
+    out.error('Not a BeeBoo knowledge directory (or any of the parent directories).');
+    console.log(`  Create one with: ${out.style.cyan('beeboo clone <dir>')}`);
+    process.exit(1);
+  }
+
+  try {
+    const state = workdir.loadState(root) || { entries: {} };
+
+    const res = await api.listAllKnowledgeEntries(state.query || {});
+
+    if (!isOk(res)) {
+      out.error(`Pull failed: ${getError(res)}`);
+      process.exit(1);
+    }
+
+    history.recordAll(getData(res));
+    const result = workdir.sync(root, getData(res), state, { force: !!flags.force });
+    state.pulled_at = new Date().toISOString();
+    workdir.saveState(root, state);
+
+    if (flags.json) {
+      out.jsonCompact({
+        path: root,
+        added: result.added,
+        modified: result.modified,
+        deleted: result.deleted,
+        conflicts: result.conflicts,
+      });
+      return;
+    }
+
+    // Git status-style output
+    console.log('');
+    console.log(`${out.BRAND} ${out.style.dim('pull')}`);
+    console.log('');
+    console.log(`In ${out.style.cyan(path.relative(process.cwd(), root) || '.')}`);
+    console.log('');
+
+    const changed = result.added.length + result.modified.length + result.deleted.length;
+    if (changed === 0 && result.conflicts.length === 0) {
+      console.log(`${out.style.green('✓')} Already up to date.`);
+      console.log('');
+      return;
+    }
+
+    for (const file of result.added) {
+      console.log(`  ${out.style.green('new file:')}   ${file}`);
+    }
+    for (const file of result.modified) {
+      console.log(`  ${out.style.yellow('modified:')}   ${file}`);
+    }
+    for (const file of result.deleted) {
+      console.log(`  ${out.style.red('deleted:')}    ${file}`);
+    }
+    if (result.conflicts.length > 0) {
+      console.log('');
+      console.log(`⚠️  ${out.style.red(`${result.conflicts.length} conflict${result.conflicts.length === 1 ? '' : 's'}`)} — changed locally and on the server`);
+      console.log(`  ${out.style.dim('(use "beeboo pull --force" to overwrite local edits)')}`);
+      console.log('');
+      for (const file of result.conflicts) {
+        console.log(`  ${out.style.red('both modified:')} ${file}`);
+      }
+    }
+
+    console.log('');
+    console.log(`📊 ${result.added.length} added, ${result.modified.length} modified, ${result.deleted.length} deleted`);
+    console.log('');
+  } catch (err) {
+    out.error(`Pull failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { handlePull };
@@ -7,11 +7,22 @@
  * Usage:
  *   beeboo push "Updated policy" --key refund-policy
  *   beeboo push --title "Refund Policy" --content "30 days" --key refund-policy
+ *   beeboo push --file refund-policy.md [more.md ...]  # Frontmatter sets title/key/tags
+ *   beeboo push ./kb [--prune] [--dry-run] [--yes]   # Reconcile a directory
  */
 
+const path = require('path');
 const { api, isOk, getData, getError } = require('../api');
 const out = require('../output');
 const credentials = require('../credentials');
+const config = require('../config');
+const prompt = require('../prompt');
+const reconcile = require('../reconcile');
+const workdir = require('../workdir');
+const history = require('../history');
+const duplicates = require('../duplicates');
+const input = require('../input');
+const secrets = require('../secrets');
 
 function requireAuth() {
   if (!credentials.isAuthenticated()) {
@@ -20,9 +31,136 @@ function requireAuth() {
   }
 }
 
+/**
+ * Make the server match a directory of markdown files.
+ */
+async function pushDirectory(dir, flags) {
+  const root = path.resolve(dir);
+  const { docs, namespaces } = reconcile.readTree(root, flags.namespace);
+
+  const query = {};
+  if (flags.namespace) query.namespace = flags.namespace;
+  const listRes = await api.listAllKnowledgeEntries(query);
+
+  if (!isOk(listRes)) {
+    out.error(`Push failed: ${getError(listRes)}`);
+    process.exit(1);
+  }
+
+  const changes = reconcile.plan(docs, getData(listRes), {
+    prune: !!flags.prune,
+    namespaces,
+    publish: true,
+  });
+
+  if (!flags.json) {
+    console.log('');
+    console.log(`🚀 ${out.style.bold(`Pushing ${docs.length} file${docs.length === 1 ? '' : 's'}`)} from ${out.style.cyan(path.relative(process.cwd(), root) || '.')}`);
+    reconcile.printPlan(changes);
+  }
+
+  if (!reconcile.hasChanges(changes)) {
+    if (flags.json) {
+      out.jsonCompact({ plan: reconcile.planJson(changes), results: [] });
+      return;
+    }
+    console.log(`${out.style.green('✓')} Everything up-to-date`);
+    return;
+  }
+
+  reconcile.guardSecrets(changes, flags);
+
+  if (flags['dry-run']) {
+    if (flags.json) {
+      out.jsonCompact({ plan: reconcile.planJson(changes), dry_run: true });
+      return;
+    }
+    console.log(`  ${out.style.dim('Dry run — nothing pushed.')}`);
+    return;
+  }
+
+  if (!flags.yes && !flags.json && prompt.isInteractive()) {
+    const ok = await prompt.confirm('  Publish these changes?');
+    if (!ok) {
+      out.info('Push cancelled.');
+      return;
+    }
+  }
+
+  const state = workdir.loadState(root);
+  const results = [];
+
+  for (const doc of changes.create) {
+    const res = await api.createKnowledgeEntry({ ...reconcile.toEntry(doc), status: 'published' });
+    const data = isOk(res) ? getData(res) : null;
+    history.record(data);
+    results.push({ action: 'create', path: doc.path, id: data?.id, ok: isOk(res), error: isOk(res) ? null : getError(res) });
+    if (state && data?.id) workdir.track(root, state, doc.path, data);
+  }
+
+  for (const change of changes.update) {
+    const updates = { ...reconcile.toUpdates(change), status: 'published' };
+    const res = await api.updateKnowledgeEntry(change.target.id, updates);
+    const data = isOk(res) ? getData(res) : null;
+    history.record(change.target);
+    history.record(data);
+    results.push({ action: 'update', path: change.path, id: change.target.id, ok: isOk(res), error: isOk(res) ? null : getError(res) });
+    if (state && data?.id) workdir.track(root, state, change.path, data);
+  }
+
+  for (const entry of changes.delete) {
+    const res = await api.deleteKnowledgeEntry(entry.id);
+    results.push({ action: 'delete', path: `${entry.namespace || 'default'}/${entry.key || entry.id}`, id: entry.id, ok: isOk(res), error: isOk(res) ? null : getError(res) });
+    if (state && isOk(res) && state.entries) delete state.entries[entry.id];
+  }
+
+  if (state) workdir.saveState(root, state);
+
+  const failed = results.filter(r => !r.ok);
+
+  if (flags.json) {
+    out.jsonCompact({ plan: reconcile.planJson(changes), results });
+    if (failed.length > 0) process.exit(1);
+    return;
+  }
+
+  for (const r of results) {
+    const label = r.action.padEnd(6);
+    if (r.ok) {
+      console.log(`  ${out.style.green('✓')} ${label} ${r.path}`);
+    } else {
+      console.log(`  ${out.style.red('✗')} ${label} ${r.path} ${out.style.dim(`— ${r.error}`)}`);
+    }
+  }
+  console.log('');
+
+  if (failed.length > 0) {
+    out.error(`${failed.length} of ${results.length} change${results.length === 1 ? '' : 's'} failed`);
+    process.exit(1);
+  }
+  out.success(`Pushed ${results.length} change${results.length === 1 ? '' : 's'} ${out.style.green('(published)')}`);
+}
+
 async function handlePush(args, flags) {
   requireAuth();
 
+  if (args.length === 1 && reconcile.isDirectory(args[0])) {
+    try {
+      return await pushDirectory(args[0], flags);
+    } catch (err) {
+      out.error(`Push failed: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  if (input.usesFiles(args, flags)) return await input.forEachFile(args, flags, pushEntry);
+  return await pushEntry(args, flags);
+}
+
+/**
+ * Publish one entry built from the message and flags.
+ */
+async function pushEntry(args, flags) {
   // Parse the commit message (first positional arg or --title/--content flags)
   const message = args.join(' ');
   const title = flags.title || (flags.key ? flags.key.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase()) : null) || message.slice(0, 80);
@@ -38,9 +176,18 @@ async function handlePush(args, flags) {
     console.log(`  ${out.style.bold('Options:')}`);
     console.log(`  --key <key>         Unique key for this entry`);
     console.log(`  --title <title>     Entry title`);
+    console.log(`  --file <path...>    Read content (and frontmatter) from files, or - for stdin`);
     console.log(`  --content <text>    Entry content`);
     console.log(`  --tags <t1,t2>      Comma-separated tags`);
-    console.log(`  --namespace <ns>    Namespace (default: "default")`);
+    console.log(`  --namespace <ns>    Namespace (default: checked-out namespace, else "default")`);
+    console.log(`  --force             Skip the duplicate check`);
+    console.log(`  --allow-secrets     Publish content the secret scanner would block`);
+    console.log('');
+    console.log(`  ${out.style.bold('Directory mode:')}`);
+    console.log(`  beeboo push <dir>   Reconcile <namespace>/<key>.md files with the server`);
+    console.log(`  --prune             Also delete entries that have no local file`);
+    console.log(`  --dry-run           Show the plan without applying it`);
+    console.log(`  --yes               Skip the confirmation prompt`);
     console.log('');
     console.log(`  ${out.style.dim('Push publishes directly — no approval needed.')}`);
     console.log(`  ${out.style.dim('Use "beeboo commit" to stage for review instead.')}`);
@@ -48,16 +195,24 @@ async function handlePush(args, flags) {
   }
 
   try {
+    const fields = secrets.guard({
+      title,
+      content,
+      tags: flags.tags ? flags.tags.split(',').map(t => t.trim()) : undefined,
+    }, flags);
+
     // Check if entry with this key already exists — update instead of create
     let existingId = null;
+    const scope = config.getNamespace(flags);
     if (flags.key) {
       const listRes = await api.listKnowledgeEntries({});
       if (isOk(listRes)) {
         const all = getData(listRes);
         const items = Array.isArray(all) ? all : [];
-        const existing = items.find(e => e.key === flags.key);
+        const existing = items.find(e => e.key === flags.key && (!scope || (e.namespace || 'default') === scope));
         if (existing) {
           existingId = existing.id;
+          history.record(existing);
         }
       }
     }
@@ -66,12 +221,12 @@ async function handlePush(args, flags) {
     if (existingId) {
       // Update existing entry
       const updates = {
-        title: title,
-        content: content,
+        title: fields.title,
+        content: fields.content,
         status: 'published',
       };
-      if (flags.tags) {
-        updates.tags = flags.tags.split(',').map(t => t.trim());
+      if (fields.tags) {
+        updates.tags = fields.tags;
       }
       if (flags.namespace) {
         updates.namespace = flags.namespace;
@@ -81,24 +236,33 @@ async function handlePush(args, flags) {
     } else {
       // Create new entry (published immediately)
       const entry = {
-        title: title,
-        content: content,
+        title: fields.title,
+        content: fields.content,
         content_type: flags.type || 'text',
-        namespace: flags.namespace || 'default',
+        namespace: scope || 'default',
         status: 'published',
       };
 
       if (flags.key) {
         entry.key = flags.key;
       } else {
-        entry.key = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 64);
+        entry.key = fields.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 64);
       }
 
-      if (flags.tags) {
-        entry.tags = flags.tags.split(',').map(t => t.trim());
+      if (fields.tags) {
+        entry.tags = fields.tags;
       }
 
-      res = await api.createKnowledgeEntry(entry);
+      const decision = await duplicates.check(entry, flags);
+      if (decision.action === 'update') {
+        existingId = decision.target.id;
+        history.record(decision.target);
+        const updates = { title: fields.title, content: fields.content, status: 'published' };
+        if (entry.tags) updates.tags = entry.tags;
+        res = await api.updateKnowledgeEntry(existingId, updates);
+      } else {
+        res = await api.createKnowledgeEntry(entry);
+      }
     }
 
     if (!isOk(res)) {
@@ -107,6 +271,7 @@ async function handlePush(args, flags) {
     }
 
     const data = getData(res);
+    history.record(data);
     const entryId = data?.id || existingId || 'unknown';
     const action = existingId ? 'updated' : 'created';
 
@@ -134,7 +299,7 @@ async function handlePush(args, flags) {
     console.log('');
 
     // Show what was pushed
-    const lines = content.split('\n');
+    const lines = fields.content.split('\n');
     for (const line of lines.slice(0, 5)) {
       console.log(`  ${out.style.green('+ ' + line)}`);
     }
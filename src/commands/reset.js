@@ -0,0 +1,175 @@
+'use strict';
+
+/**
+ * reset.js — Withdraw a pending commit (like git reset).
+ *
+ * Deletes the draft (or archives it with --archive) and cancels its
+ * approval with a note, so reviewers aren't left with a request for a
+ * draft that no longer exists. A draft that is part of a batch approval is
+ * taken out of the batch; the rest of the batch stays pending.
+ *
+ * Usage:
+ *   beeboo reset refund-policy
+ *   beeboo reset 3f2a9c1e --archive --note "Wrong numbers, recommitting"
+ */
+
+const { api, isOk, getData, getError } = require('../api');
+const out = require('../output');
+const credentials = require('../credentials');
+const prompt = require('../prompt');
+const search = require('../search');
+const { resolveEntry, forget } = require('../resolve');
+const { linkedApprovals } = require('./commit');
+
+const DEFAULT_NOTE = 'Withdrawn by the author.';
+
+function requireAuth() {
+  if (!credentials.isAuthenticated()) {
+    out.error('Not authenticated. Run: npx beeboo auth');
+    process.exit(1);
+  }
+}
+
+function showUsage() {
+  console.log('');
+  console.log(`  ${out.style.bold('Usage:')}`);
+  console.log(`  beeboo reset <entry|key>            Delete a pending commit and cancel its approval`);
+  console.log(`  beeboo reset <entry|key> --archive  Keep the draft, archived`);
+  console.log(`  --note <text>                       Note for the reviewer (default: "${DEFAULT_NOTE}")`);
+  console.log(`  --yes                               Skip the confirmation prompt`);
+  console.log('');
+  console.log(`  ${out.style.dim('To change a pending commit instead: beeboo commit --amend <entry|key> "..."')}`);
+}
+
+/**
+ * Cancel an approval. Servers that don't allow cancelling get a denial
+ * with the same note instead.
+ * @returns {Promise<{status: string|null, error: string|null}>}
+ */
+async function cancelApproval(approval, note) {
+  const res = await api.updateApproval(approval.id, { status: 'cancelled', note });
+  if (isOk(res) && (getData(res)?.status || 'cancelled') === 'cancelled') return { status: 'cancelled', error: null };
+
+  const denied = await api.decideApproval(approval.id, 'denied', note);
+  if (isOk(denied)) return { status: 'denied', error: null };
+  return { status: null, error: getError(denied) };
+}
+
+/**
+ * Take one draft out of a batch approval, cancelling the batch once
+ * nothing is left in it.
+ */
+async function withdrawFromBatch(approval, entryId, note) {
+  const meta = approval.metadata || {};
+  const remaining = (meta.knowledge_entry_ids || []).filter(id => id !== entryId);
+  if (remaining.length === 0 && (meta.delete_entry_ids || []).length === 0) {
+    return cancelApproval(approval, note);
+  }
+
+  const replaces = { ...(meta.replaces_entry_ids || {}) };
+  delete replaces[entryId];
+  const hashes = { ...(meta.content_hashes || {}) };
+  delete hashes[entryId];
+  const res = await api.updateApproval(approval.id, {
+    metadata: {
+      ...meta,
+      knowledge_entry_ids: remaining,
+      replaces_entry_ids: replaces,
+      content_hashes: hashes,
+      withdrawn_entry_ids: [...(meta.withdrawn_entry_ids || []), entryId],
+    },
+  });
+  return isOk(res) ? { status: 'updated', error: null } : { status: null, error: getError(res) };
+}
+
+async function handleReset(args, flags) {
+  requireAuth();
+
+  if (!args[0]) {
+    out.error('Entry is required.');
+    showUsage();
+    process.exit(1);
+  }
+
+  const note = typeof flags.note === 'string' ? flags.note : DEFAULT_NOTE;
+
+  try {
+    const draft = await resolveEntry(args[0], { prefer: 'draft', destructive: true });
+    const name = draft.key || draft.id;
+
+    if (draft.status !== 'draft') {
+      out.error(`${name} is ${draft.status || 'not a draft'}, not a pending commit. Nothing to reset.`);
+      console.log(`  To remove a published entry: ${out.style.cyan(`npx beeboo knowledge delete ${name}`)}`);
+      process.exit(1);
+    }
+
+    const approvals = await linkedApprovals(draft.id);
+
+    if (!flags.yes && !flags.json && prompt.isInteractive()) {
+      console.log('');
+      console.log(`  ${out.style.dim('draft:')}    ${draft.namespace || 'default'}/${name} ${out.style.dim(`"${draft.title || ''}"`)}`);
+      for (const a of approvals) console.log(`  ${out.style.dim('approval:')} ${a.id} ${out.style.dim(`"${a.title || ''}"`)}`);
+      const ok = await prompt.confirm(`  ${flags.archive ? 'Archive' : 'Delete'} this draft and withdraw ${approvals.length === 1 ? 'its approval' : 'its approvals'}?`);
+      if (!ok) {
+        out.info('Reset cancelled.');
+        return;
+      }
+    }
+
+    // Approvals first: a failed cancel shouldn't leave one pointing at nothing
+    const withdrawn = [];
+    for (const a of approvals) {
+      const batch = !a.metadata?.knowledge_entry_id && Array.isArray(a.metadata?.knowledge_entry_ids);
+      const result = batch ? await withdrawFromBatch(a, draft.id, note) : await cancelApproval(a, note);
+      withdrawn.push({ id: a.id, batch, ...result });
+    }
+
+    const failed = withdrawn.filter(w => !w.status);
+    if (failed.length > 0) {
+      out.error(`Could not withdraw approval ${failed[0].id}: ${failed[0].error}`);
+      console.log(`  The draft was left in place. Deny it instead: ${out.style.cyan(`npx beeboo approvals deny ${failed[0].id}`)}`);
+      process.exit(1);
+    }
+
+    const res = flags.archive
+      ? await api.updateKnowledgeEntry(draft.id, { status: 'archived' })
+      : await api.deleteKnowledgeEntry(draft.id);
+
+    if (!isOk(res)) {
+      out.error(`Reset failed: ${getError(res)}`);
+      process.exit(1);
+    }
+
+    if (!flags.archive) {
+      search.remove([draft.id]);
+      forget('entry', draft.id);
+    }
+
+    if (flags.json) {
+      out.jsonCompact({
+        entry_id: draft.id,
+        key: draft.key || null,
+        action: flags.archive ? 'archived' : 'deleted',
+        approvals: withdrawn.map(w => ({ id: w.id, status: w.status })),
+        note,
+      });
+      return;
+    }
+
+    console.log('');
+    console.log(`↩️  ${out.style.bold(`Reset ${name}`)} ${out.style.dim(`(draft ${flags.archive ? 'archived' : 'deleted'})`)}`);
+    console.log('');
+    for (const w of withdrawn) {
+      const what = w.status === 'updated' ? 'removed from batch' : w.status;
+      console.log(`  ${out.style.dim('approval:')} ${out.style.cyan(w.id)} ${out.style.yellow(what)}`);
+    }
+    if (withdrawn.length === 0) console.log(`  ${out.style.dim('No pending approval was linked to this draft.')}`);
+    console.log(`  ${out.style.dim('note:')}     ${note}`);
+    console.log('');
+  } catch (err) {
+    out.error(`Reset failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { handleReset };
@@ -0,0 +1,148 @@
+'use strict';
+
+/**
+ * revert.js — Restore a knowledge entry to an earlier version (like git revert).
+ *
+ * By default the old version is committed as a draft that goes through
+ * approval. With --push it is published directly.
+ *
+ * Usage:
+ *   beeboo revert refund-policy --to v3
+ *   beeboo revert refund-policy@v3 --push
+ */
+
+const { api, isOk, getData, getError } = require('../api');
+const out = require('../output');
+const credentials = require('../credentials');
+const history = require('../history');
+const textdiff = require('../textdiff');
+const { resolveEntry } = require('../resolve');
+const { commitApproval } = require('./commit');
+
+function requireAuth() {
+  if (!credentials.isAuthenticated()) {
+    out.error('Not authenticated. Run: npx beeboo auth');
+    process.exit(1);
+  }
+}
+
+function showUsage() {
+  console.log('');
+  console.log(`  ${out.style.bold('Usage:')}`);
+  console.log(`  beeboo revert <key|id> --to v<n>        Commit version n for approval`);
+  console.log(`  beeboo revert <key|id> --to v<n> --push Publish version n directly`);
+  console.log('');
+  console.log(`  ${out.style.dim('List versions with "beeboo log --key <key> --versions".')}`);
+}
+
+async function handleRevert(args, flags) {
+  requireAuth();
+
+  const parsed = history.parseRef(args[0]);
+  const version = flags.to ? history.parseVersion(flags.to) : parsed.version;
+
+  if (!parsed.ref || !version) {
+    out.error('Entry and target version are required.');
+    showUsage();
+    process.exit(1);
+  }
+
+  try {
+    const entry = await resolveEntry(parsed.ref, { prefer: 'published' });
+    const name = entry.key || entry.id;
+    const snap = await history.getVersion(entry, version);
+
+    if (!snap) {
+      out.error(`Version v${version} of ${name} not found.`);
+      console.log(`  List versions: ${out.style.cyan(`beeboo log --key ${name} --versions`)}`);
+      process.exit(1);
+    }
+
+    const restored = {
+      title: snap.title || entry.title,
+      content: snap.content || '',
+      tags: snap.tags || [],
+    };
+
+    const unchanged = restored.title === entry.title &&
+      restored.content === (entry.content || '') &&
+      JSON.stringify(restored.tags) === JSON.stringify(entry.tags || []);
+    if (unchanged) {
+      out.info(`${name} already matches v${version}. Nothing to revert.`);
+      return;
+    }
+
+    const counts = textdiff.stat(textdiff.diffLines(entry.content || '', restored.content));
+
+    if (flags.push) {
+      const res = await api.updateKnowledgeEntry(entry.id, restored);
+
+      if (!isOk(res)) {
+        out.error(`Revert failed: ${getError(res)}`);
+        process.exit(1);
+      }
+
+      const data = getData(res);
+      history.record(data);
+
+      if (flags.json) {
+        out.jsonCompact({ entry_id: entry.id, key: entry.key, reverted_to: version, status: 'published', version: data?.version });
+        return;
+      }
+
+      console.log('');
+      console.log(`⏪ ${out.style.bold(`Reverted ${name} to v${version}`)} ${out.style.green('(published)')}`);
+      console.log('');
+      console.log(`  ${out.style.dim('entry:')}   ${out.style.cyan(entry.id)}`);
+      if (data?.version) console.log(`  ${out.style.dim('version:')} v${data.version}`);
+      console.log(`  ${out.style.dim('changes:')} ${out.style.green(`+${counts.insertions}`)} ${out.style.red(`-${counts.deletions}`)} lines`);
+      console.log('');
+      return;
+    }
+
+    // Default: stage the old version as a draft for review
+    const draft = {
+      ...restored,
+      key: entry.key,
+      namespace: entry.namespace || 'default',
+      content_type: entry.content_type || 'text',
+      status: 'draft',
+    };
+
+    const res = await api.createKnowledgeEntry(draft);
+
+    if (!isOk(res)) {
+      out.error(`Revert failed: ${getError(res)}`);
+      process.exit(1);
+    }
+
+    const data = getData(res);
+    const draftId = data?.id || 'unknown';
+    history.record(data);
+
+    const approvalRes = await api.submitApproval(commitApproval({ ...draft, ...data }, draftId, {
+      replaces_entry_id: entry.id,
+      reverts_to_version: version,
+    }));
+    const approvalId = isOk(approvalRes) ? (getData(approvalRes)?.id || null) : null;
+
+    if (flags.json) {
+      out.jsonCompact({ entry_id: draftId, approval_id: approvalId, key: entry.key, reverted_to: version, status: 'pending' });
+      return;
+    }
+
+    console.log('');
+    console.log(`⏪ ${out.style.bold(`Reverted ${name} to v${version}`)} ${out.style.yellow('(pending approval)')}`);
+    console.log('');
+    console.log(`  ${out.style.dim('entry:')}    ${out.style.cyan(draftId)}`);
+    if (approvalId) console.log(`  ${out.style.dim('approval:')} ${out.style.cyan(approvalId)}`);
+    console.log(`  ${out.style.dim('changes:')}  ${out.style.green(`+${counts.insertions}`)} ${out.style.red(`-${counts.deletions}`)} lines`);
+    console.log('');
+    console.log(`  ${out.style.dim('Review:')} beeboo diff ${draftId}`);
+  } catch (err) {
+    out.error(`Revert failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { handleRevert };
@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * show.js — Print a knowledge entry, optionally at an earlier version (like git show).
+ *
+ * Usage:
+ *   beeboo show refund-policy        # Current version
+ *   beeboo show refund-policy@v3     # Version 3
+ *   beeboo show <entry-id>@2
+ */
+
+const out = require('../output');
+const credentials = require('../credentials');
+const history = require('../history');
+const { resolveEntry } = require('../resolve');
+
+function requireAuth() {
+  if (!credentials.isAuthenticated()) {
+    out.error('Not authenticated. Run: npx beeboo auth');
+    process.exit(1);
+  }
+}
+
+async function handleShow(args, flags) {
+  requireAuth();
+
+  const { ref, version } = history.parseRef(args[0]);
+  if (!ref || Number.isNaN(version)) {
+    out.error('Entry key or ID is required.');
+    console.log('  Usage: beeboo show <key|id>[@v<n>]');
+    process.exit(1);
+  }
+
+  try {
+    const entry = await resolveEntry(ref, { prefer: 'published' });
+    const snap = version ? await history.getVersion(entry, version) : entry;
+
+    if (!snap) {
+      out.error(`Version v${version} of ${entry.key || entry.id} not found.`);
+      console.log(`  List versions: ${out.style.cyan(`beeboo log --key ${entry.key || entry.id} --versions`)}`);
+      process.exit(1);
+    }
+
+    if (flags.json) {
+      out.jsonCompact(snap);
+      return;
+    }
+
+    const current = (snap.version || 1) === (entry.version || 1);
+    console.log(`${out.style.yellow(`version ${snap.version || 1}`)}${current ? ` ${out.style.cyan('(current)')}` : ''} ${out.style.dim(entry.id)}`);
+    console.log(`Key:    ${out.style.cyan(entry.key || '—')} ${out.style.dim(`(${snap.namespace || entry.namespace || 'default'})`)}`);
+    if (snap.status) console.log(`Status: ${snap.status}`);
+    if (snap.updated_at) console.log(`Date:   ${new Date(snap.updated_at).toString()}`);
+    if (snap.tags?.length) console.log(`Tags:   ${snap.tags.map(t => out.style.magenta(t)).join(', ')}`);
+    console.log('');
+    console.log(`    ${out.style.bold(snap.title || '(untitled)')}`);
+    console.log('');
+    if (snap.content) console.log(snap.content);
+  } catch (err) {
+    out.error(`Show failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { handleShow };
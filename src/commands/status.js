@@ -10,6 +10,7 @@
 const { api, isOk, getData, getError } = require('../api');
 const out = require('../output');
 const credentials = require('../credentials');
+const config = require('../config');
 
 function requireAuth() {
   if (!credentials.isAuthenticated()) {
@@ -29,12 +30,14 @@ async function handleStatus(args, flags) {
       api.listApprovals({ status: 'pending' }),
     ]);
 
-    // Knowledge entries
+    // Knowledge entries (only the checked-out namespace, if any)
+    const namespace = config.getNamespace(flags);
     let entries = [];
     if (isOk(kbRes)) {
       const data = getData(kbRes);
       entries = Array.isArray(data) ? data : [];
     }
+    if (namespace) entries = entries.filter(e => (e.namespace || 'default') === namespace);
 
     // All approvals
     let allApprovals = [];
@@ -72,6 +75,7 @@ async function handleStatus(args, flags) {
 
     if (flags.json) {
       out.jsonCompact({
+        namespace: namespace || 'default',
         pending_commits: draftEntries.length,
         pending_approvals: pendingApprovals.length,
         approved_today: approvedToday.length,
@@ -89,7 +93,7 @@ async function handleStatus(args, flags) {
     console.log('');
 
     // Branch info (namespace)
-    console.log(`On namespace ${out.style.cyan('default')}`);
+    console.log(`On namespace ${out.style.cyan(namespace || 'default')}`);
     console.log('');
 
     // Pending commits (staged)
@@ -48,10 +48,22 @@ function del(key) {
   save(cfg);
 }
 
+/**
+ * Namespace a command should use: --namespace, then the one set with
+ * `beeboo checkout`. Returns `fallback` when neither applies (or with
+ * --all-namespaces).
+ */
+function getNamespace(flags = {}, fallback = null) {
+  if (typeof flags.namespace === 'string') return flags.namespace;
+  if (flags['all-namespaces']) return fallback;
+  return get('namespace') || fallback;
+}
+
 const KNOWN_KEYS = {
   'api.url': 'BeeBoo API URL',
   'output.format': 'Default output format: text or json',
   'output.color': 'Enable color output: true or false',
+  'namespace': 'Active namespace (set with beeboo checkout)',
 };
 
 async function handleConfig(args) {
@@ -125,6 +137,7 @@ module.exports = {
   get,
   set,
   del,
+  getNamespace,
   handleConfig,
   KNOWN_KEYS,
 };
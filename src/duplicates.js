@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * duplicates.js — Look for existing entries that a new one would duplicate
+ * (same key, very similar title or heavily overlapping content) and ask the
+ * user what to do. Used before creating entries in knowledge add, commit,
+ * push and run.
+ */
+
+const { api, isOk, getData } = require('./api');
+const out = require('./output');
+const prompt = require('./prompt');
+const similarity = require('./similarity');
+
+const TITLE_THRESHOLD = 0.85;
+const CONTENT_THRESHOLD = 0.6;
+// Below this many characters content overlap says little
+const MIN_CONTENT_LENGTH = 40;
+
+/**
+ * Score `candidate` against `entries` (assumed to be in its namespace).
+ * @returns {{entry: object, reason: string, score: number}[]} best first
+ */
+function findSimilar(candidate, entries) {
+  const matches = [];
+  for (const entry of entries) {
+    if (candidate.key && entry.key === candidate.key) {
+      matches.push({ entry, reason: 'same key', score: 1 });
+      continue;
+    }
+
+    const title = candidate.title && entry.title ? similarity.ratio(candidate.title, entry.title) : 0;
+    if (title >= TITLE_THRESHOLD) {
+      matches.push({ entry, reason: `title ${Math.round(title * 100)}% similar`, score: title });
+      continue;
+    }
+
+    const a = String(candidate.content || '');
+    const b = String(entry.content || '');
+    if (a.length >= MIN_CONTENT_LENGTH && b.length >= MIN_CONTENT_LENGTH) {
+      const content = similarity.contentSimilarity(a, b);
+      if (content >= CONTENT_THRESHOLD) {
+        matches.push({ entry, reason: `content ${Math.round(content * 100)}% overlapping`, score: content });
+      }
+    }
+  }
+
+  // Published entries first on ties; they're what an update should target
+  return matches.sort((x, y) =>
+    y.score - x.score || (y.entry.status === 'published') - (x.entry.status === 'published'));
+}
+
+function printMatches(matches) {
+  out.warn(`Similar entr${matches.length === 1 ? 'y already exists' : 'ies already exist'}:`);
+  matches.slice(0, 5).forEach((m, i) => {
+    const e = m.entry;
+    console.log(`  ${out.style.dim(`${i + 1}.`)} ${e.namespace || 'default'}/${e.key || '—'}  "${e.title || ''}"  ${out.style.dim(`(${String(e.id).slice(0, 8)}, ${e.status || '—'})`)} — ${out.style.yellow(m.reason)}`);
+  });
+  if (matches.length > 5) console.log(`  ${out.style.dim(`... and ${matches.length - 5} more`)}`);
+}
+
+/**
+ * Decide whether to create `candidate`, update an existing entry instead,
+ * or abort. With --force (or when nothing similar exists) the answer is
+ * "create". Without a terminal to ask, a duplicate is an error.
+ *
+ * @param {object} candidate - Entry about to be created (title, content, key, namespace)
+ * @param {object} flags
+ * @param {object} [opts]
+ * @param {boolean} [opts.keyMeansUpdate] - An exact key match is an intended update; don't ask
+ * @param {string} [opts.prefer] - Status to pick first among exact key matches
+ * @returns {Promise<{action: 'create'}|{action: 'update', target: object}>}
+ */
+async function check(candidate, flags, opts = {}) {
+  if (flags.force) return { action: 'create' };
+
+  const res = await api.listAllKnowledgeEntries({ namespace: candidate.namespace || 'default' });
+  if (!isOk(res)) return { action: 'create' };
+
+  const entries = (getData(res) || []).filter(e => (e.namespace || 'default') === (candidate.namespace || 'default'));
+  const matches = findSimilar(candidate, entries);
+  if (matches.length === 0) return { action: 'create' };
+
+  if (opts.keyMeansUpdate && matches[0].reason === 'same key') {
+    const sameKey = matches.filter(m => m.reason === 'same key').map(m => m.entry);
+    return { action: 'update', target: sameKey.find(e => e.status === opts.prefer) || sameKey[0] };
+  }
+
+  if (flags.json || !prompt.isInteractive()) {
+    out.error(`Possible duplicate of ${matches[0].entry.key || matches[0].entry.id} (${matches[0].reason}).`);
+    console.error('  Re-run with --force to create it anyway.');
+    process.exit(1);
+  }
+
+  printMatches(matches);
+  const target = matches[0].entry;
+  const answer = (await prompt.ask(`  [u]pdate ${target.key || String(target.id).slice(0, 8)}, [c]reate anyway or [a]bort? (1-${Math.min(matches.length, 5)} updates that entry) `)).toLowerCase();
+
+  if (answer === 'u' || answer === 'update') return { action: 'update', target };
+  if (/^\d+$/.test(answer) && matches[Number(answer) - 1] && Number(answer) <= 5) {
+    return { action: 'update', target: matches[Number(answer) - 1].entry };
+  }
+  if (answer === 'c' || answer === 'create') return { action: 'create' };
+
+  out.info('Aborted.');
+  process.exit(1);
+}
+
+module.exports = {
+  findSimilar,
+  check,
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * duration.js — Parse lengths of time like "90d", "12w", "6mo" or "30min".
+ *
+ * Units: s (seconds), min (minutes), h (hours), d (days), w (weeks),
+ * mo (months, 30 days), y (years, 365 days). A bare number means days.
+ * A bare "m" is rejected: it could mean minutes or months.
+ */
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const UNITS = {
+  s: SECOND, sec: SECOND, secs: SECOND, second: SECOND, seconds: SECOND,
+  min: MINUTE, mins: MINUTE, minute: MINUTE, minutes: MINUTE,
+  h: HOUR, hr: HOUR, hrs: HOUR, hour: HOUR, hours: HOUR,
+  d: DAY, day: DAY, days: DAY,
+  w: 7 * DAY, wk: 7 * DAY, week: 7 * DAY, weeks: 7 * DAY,
+  mo: 30 * DAY, month: 30 * DAY, months: 30 * DAY,
+  y: 365 * DAY, yr: 365 * DAY, year: 365 * DAY, years: 365 * DAY,
+};
+
+/**
+ * Parse a duration into milliseconds. Throws on anything it can't read.
+ * @param {string|number} str - e.g. "90d", "2w", "6mo", "1y", "90"
+ * @returns {number}
+ */
+function parse(str) {
+  const match = String(str ?? '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/);
+  if (match && match[2] === 'm') {
+    throw new Error(`Ambiguous duration: "${str}" (use ${match[1]}min for minutes or ${match[1]}mo for months)`);
+  }
+  if (!match || (match[2] && !UNITS[match[2]])) {
+    throw new Error(`Invalid duration: "${str}" (use e.g. 30min, 2h, 90d, 12w, 6mo, 1y)`);
+  }
+  return Math.round(parseFloat(match[1]) * (match[2] ? UNITS[match[2]] : DAY));
+}
+
+module.exports = {
+  DAY,
+  parse,
+};
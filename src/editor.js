@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * editor.js — Open text in the user's $VISUAL / $EDITOR via a temp file.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+
+function getEditor() {
+  return process.env.VISUAL || process.env.EDITOR || (process.platform === 'win32' ? 'notepad' : 'vi');
+}
+
+/**
+ * Write `text` to a temp file, open it in the editor and return the saved
+ * contents. Throws if the editor exits non-zero. The temp file is always
+ * removed afterwards.
+ *
+ * @param {string} text - Initial file contents
+ * @param {object} [opts]
+ * @param {string} [opts.name] - Base name for the temp file (e.g., entry key)
+ * @param {string} [opts.ext] - File extension, including the dot (default: .md)
+ * @returns {string}
+ */
+function edit(text, opts = {}) {
+  const safeName = (opts.name || 'entry').replace(/[^A-Za-z0-9_.-]+/g, '-');
+  const file = path.join(
+    os.tmpdir(),
+    `beeboo-${safeName}-${crypto.randomBytes(4).toString('hex')}${opts.ext || '.md'}`
+  );
+
+  fs.writeFileSync(file, text, { mode: 0o600 });
+
+  try {
+    // Run through the shell so EDITOR values like "code --wait" work
+    const result = spawnSync(`${getEditor()} "${file}"`, {
+      stdio: 'inherit',
+      shell: true,
+    });
+
+    if (result.error) {
+      throw new Error(`Could not start editor: ${result.error.message}`);
+    }
+    if (result.status !== 0) {
+      throw new Error(`Editor exited with code ${result.status}`);
+    }
+
+    return fs.readFileSync(file, 'utf8');
+  } finally {
+    try {
+      fs.unlinkSync(file);
+    } catch {
+      // already gone
+    }
+  }
+}
+
+module.exports = {
+  getEditor,
+  edit,
+};
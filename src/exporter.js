@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * exporter.js — Render knowledge entries as JSON, JSONL, a markdown bundle
+ * or a tar archive for `knowledge export`.
+ *
+ * Every export carries a manifest: when and from where it was taken, the
+ * filters used, and a sha256 for each entry's content and each file written.
+ *
+ * Formats:
+ *   json   <name>.json           { manifest, entries }
+ *   jsonl  <name>.jsonl          One entry per line, manifest in <name>.manifest.json
+ *   md     <name>/               <namespace>/<key>.md + manifest.json (same layout as clone)
+ *   tar    <name>.tar[.gz]       The md bundle, archived
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const workdir = require('./workdir');
+const tar = require('./tar');
+
+const FORMATS = ['json', 'jsonl', 'md', 'tar'];
+
+const EXTENSIONS = { json: '.json', jsonl: '.jsonl', md: '', tar: '.tar' };
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Default output name: beeboo-export-20250101[.ext]
+ */
+function defaultOutput(format, date = new Date()) {
+  const stamp = date.toISOString().slice(0, 10).replace(/-/g, '');
+  return `beeboo-export-${stamp}${EXTENSIONS[format]}`;
+}
+
+/**
+ * Markdown files for the bundle, laid out like `beeboo clone`.
+ */
+function bundleFiles(entries) {
+  const taken = new Set();
+  return entries.map(entry => {
+    let rel = workdir.entryPath(entry).split(path.sep).join('/');
+    if (taken.has(rel)) rel = rel.replace(/\.md$/, `.${String(entry.id).slice(0, 8)}.md`);
+    taken.add(rel);
+
+    const doc = workdir.toDocument(entry, rel);
+    return { path: rel, content: doc, entry };
+  });
+}
+
+function buildManifest(entries, meta, paths = new Map()) {
+  const namespaces = {};
+  for (const e of entries) {
+    const ns = e.namespace || 'default';
+    namespaces[ns] = (namespaces[ns] || 0) + 1;
+  }
+
+  return {
+    format: 'beeboo-knowledge-export',
+    version: 1,
+    exported_at: (meta.date || new Date()).toISOString(),
+    source: meta.source || null,
+    filters: meta.filters || {},
+    count: entries.length,
+    namespaces,
+    entries: entries.map(e => {
+      const item = {
+        id: e.id,
+        key: e.key || null,
+        namespace: e.namespace || 'default',
+        status: e.status || null,
+        version: e.version || null,
+        sha256: sha256(e.content || ''),
+      };
+      if (paths.has(e.id)) item.path = paths.get(e.id);
+      return item;
+    }),
+  };
+}
+
+function fileRecord(file) {
+  const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8');
+  return { path: file.path, bytes: data.length, sha256: sha256(data) };
+}
+
+/**
+ * Render entries in `format`.
+ *
+ * @param {object[]} entries
+ * @param {string} format - json, jsonl, md or tar
+ * @param {object} meta - { source, filters, date, name, gzip }
+ * @returns {{files: {path: string, content: string|Buffer}[], manifest: object}}
+ *   Paths are relative to the output location; for md they are inside the
+ *   bundle directory.
+ */
+function render(entries, format, meta = {}) {
+  const name = meta.name || 'export';
+
+  if (format === 'json') {
+    const manifest = buildManifest(entries, meta);
+    return {
+      manifest,
+      files: [{ path: `${name}.json`, content: JSON.stringify({ manifest, entries }, null, 2) + '\n' }],
+    };
+  }
+
+  if (format === 'jsonl') {
+    const data = { path: `${name}.jsonl`, content: entries.map(e => JSON.stringify(e)).join('\n') + (entries.length ? '\n' : '') };
+    const manifest = { ...buildManifest(entries, meta), files: [fileRecord(data)] };
+    return {
+      manifest,
+      files: [data, { path: `${name}.manifest.json`, content: JSON.stringify(manifest, null, 2) + '\n' }],
+    };
+  }
+
+  const docs = bundleFiles(entries);
+  const manifest = {
+    ...buildManifest(entries, meta, new Map(docs.map(d => [d.entry.id, d.path]))),
+    files: docs.map(fileRecord),
+  };
+  const bundle = [
+    ...docs.map(d => ({ path: d.path, content: d.content })),
+    { path: 'manifest.json', content: JSON.stringify(manifest, null, 2) + '\n' },
+  ];
+
+  if (format === 'md') return { manifest, files: bundle };
+
+  // tar: bundle under a top-level directory, like `git archive --prefix`
+  let archive = tar.create(bundle.map(f => ({ ...f, path: `${name}/${f.path}` })), meta.date);
+  if (meta.gzip) archive = zlib.gzipSync(archive);
+  return {
+    manifest,
+    files: [{ path: `${name}.tar${meta.gzip ? '.gz' : ''}`, content: archive }],
+  };
+}
+
+module.exports = {
+  FORMATS,
+  defaultOutput,
+  render,
+  sha256,
+};
@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * frontmatter.js — Read and write markdown files with a YAML frontmatter block.
+ *
+ * Only the subset of YAML that knowledge entries need is supported:
+ * scalars (strings, numbers, booleans, null), inline lists ([a, b]) and
+ * block lists ("- a"). Zero dependencies.
+ */
+
+const FENCE = '---';
+
+/**
+ * Parse a scalar YAML value.
+ */
+function parseScalar(raw) {
+  const v = raw.trim();
+  if (v === '' || v === '~' || v === 'null') return null;
+  if (v === 'true') return true;
+  if (v === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(v)) return Number(v);
+  if (v.startsWith('"') && v.endsWith('"') && v.length >= 2) {
+    try {
+      return JSON.parse(v);
+    } catch {
+      return v.slice(1, -1);
+    }
+  }
+  if (v.startsWith("'") && v.endsWith("'") && v.length >= 2) {
+    return v.slice(1, -1).replace(/''/g, "'");
+  }
+  if (v.startsWith('[') && v.endsWith(']')) {
+    const inner = v.slice(1, -1).trim();
+    if (!inner) return [];
+    return inner.split(',').map(s => parseScalar(s)).filter(s => s !== null);
+  }
+  return v;
+}
+
+/**
+ * Format a scalar for YAML output. Strings are quoted only when needed.
+ */
+function formatScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (Array.isArray(value)) return `[${value.map(formatScalar).join(', ')}]`;
+  const s = String(value);
+  if (s === '' || /^[\s-]|\s$|[:#\[\]{},"'&*!|>%@`]|^(true|false|null|~|-?\d+(\.\d+)?)$/.test(s)) {
+    return JSON.stringify(s);
+  }
+  return s;
+}
+
+/**
+ * Split a document into { data, body }. Documents without frontmatter
+ * return an empty data object and the full text as body. One trailing
+ * newline is dropped from the body.
+ */
+function parse(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const lines = src.split(/\r?\n/);
+
+  if (lines[0].trim() !== FENCE) {
+    return { data: {}, body: src.replace(/\r?\n$/, '') };
+  }
+
+  const end = lines.findIndex((l, i) => i > 0 && l.trim() === FENCE);
+  if (end === -1) {
+    return { data: {}, body: src.replace(/\r?\n$/, '') };
+  }
+
+  const data = {};
+  let listKey = null;
+  for (const line of lines.slice(1, end)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+
+    const item = line.match(/^\s+-\s*(.*)$/) || line.match(/^-\s+(.*)$/);
+    if (item && listKey) {
+      if (!Array.isArray(data[listKey])) data[listKey] = [];
+      data[listKey].push(parseScalar(item[1]));
+      continue;
+    }
+
+    const kv = line.match(/^([A-Za-z0-9_.-]+)\s*:\s*(.*)$/);
+    if (!kv) continue;
+
+    const [, key, value] = kv;
+    if (value.trim() === '') {
+      // Either null or the start of a block list
+      data[key] = null;
+      listKey = key;
+    } else {
+      data[key] = parseScalar(value);
+      listKey = null;
+    }
+  }
+
+  let body = lines.slice(end + 1).join('\n');
+  if (body.startsWith('\n')) body = body.slice(1);
+  if (body.endsWith('\n')) body = body.slice(0, -1);
+  return { data, body };
+}
+
+/**
+ * Serialize data + body into a frontmatter document. Keys with undefined
+ * values are skipped; the order of `data` is preserved.
+ */
+function stringify(data, body) {
+  const lines = [FENCE];
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+    lines.push(`${key}: ${formatScalar(value)}`);
+  }
+  lines.push(FENCE);
+  lines.push('');
+
+  // The file always ends with a newline; parse() strips exactly one back off
+  return lines.join('\n') + (body || '') + '\n';
+}
+
+module.exports = {
+  parse,
+  stringify,
+};
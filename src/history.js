@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * history.js — Version history for knowledge entries.
+ *
+ * Uses the server's version endpoints when available. Otherwise falls back
+ * to local snapshots in ~/.beeboo/history/<entry-id>.json, recorded every
+ * time the CLI reads or writes an entry.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const credentials = require('./credentials');
+const { api, isOk, getData } = require('./api');
+
+// Fields worth keeping in a snapshot
+const SNAPSHOT_FIELDS = ['id', 'key', 'title', 'content', 'content_type', 'tags', 'namespace', 'status', 'version', 'updated_at'];
+
+function getDir() {
+  return path.join(credentials.getDir(), 'history');
+}
+
+function fileFor(id) {
+  return path.join(getDir(), `${String(id).replace(/[^A-Za-z0-9_-]/g, '_')}.json`);
+}
+
+function load(id) {
+  try {
+    const data = JSON.parse(fs.readFileSync(fileFor(id), 'utf8'));
+    return Array.isArray(data) ? data : [];
+  } catch {
+    return [];
+  }
+}
+
+function snapshot(entry) {
+  const snap = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    if (entry[field] !== undefined) snap[field] = entry[field];
+  }
+  snap.version = entry.version || 1;
+  snap.author = entry.updated_by || entry.created_by || null;
+  return snap;
+}
+
+/**
+ * Remember this version of an entry. No-op for partial entries (e.g. a
+ * PATCH response without content) and versions already recorded.
+ */
+function record(entry) {
+  if (!entry?.id || entry.content === undefined) return;
+
+  try {
+    const snaps = load(entry.id);
+    const version = entry.version || 1;
+    const existing = snaps.findIndex(s => s.version === version);
+    if (existing !== -1 && snaps[existing].updated_at === entry.updated_at) return;
+
+    const snap = { ...snapshot(entry), recorded_at: new Date().toISOString() };
+    if (existing !== -1) snaps[existing] = snap;
+    else snaps.push(snap);
+    snaps.sort((a, b) => a.version - b.version);
+
+    fs.mkdirSync(getDir(), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(fileFor(entry.id), JSON.stringify(snaps, null, 2) + '\n', { mode: 0o600 });
+  } catch {
+    // History is best-effort; never fail a command over it
+  }
+}
+
+/**
+ * Record every entry in a list.
+ */
+function recordAll(entries) {
+  for (const entry of entries || []) record(entry);
+}
+
+/**
+ * All known versions of an entry, newest first.
+ * @returns {Promise<{source: 'server'|'local', versions: object[]}>}
+ */
+async function versions(entry) {
+  const res = await api.listKnowledgeEntryVersions(entry.id);
+  if (isOk(res)) {
+    const data = getData(res);
+    const list = Array.isArray(data) ? data : (data?.versions || []);
+    if (list.length > 0) {
+      return {
+        source: 'server',
+        versions: list.map(v => snapshot({ ...entry, ...v })).sort((a, b) => b.version - a.version),
+      };
+    }
+  }
+
+  record(entry);
+  return {
+    source: 'local',
+    versions: load(entry.id).sort((a, b) => b.version - a.version),
+  };
+}
+
+/**
+ * One specific version of an entry, or null if it isn't known.
+ */
+async function getVersion(entry, version) {
+  if ((entry.version || 1) === version) return snapshot(entry);
+
+  const res = await api.getKnowledgeEntryVersion(entry.id, version);
+  if (isOk(res)) {
+    const data = getData(res);
+    if (data && typeof data === 'object') return snapshot({ ...entry, ...data, version });
+  }
+
+  return load(entry.id).find(s => s.version === version) || null;
+}
+
+/**
+ * Parse "v3" or "3" into a version number (NaN if invalid).
+ */
+function parseVersion(str) {
+  const match = String(str || '').match(/^v?(\d+)$/i);
+  return match ? parseInt(match[1], 10) : NaN;
+}
+
+/**
+ * Split "refund-policy@v3" into { ref: 'refund-policy', version: 3 }.
+ * Version is null when the argument has no @v<n> suffix.
+ */
+function parseRef(arg) {
+  const match = String(arg || '').match(/^(.+)@(v?\d+)$/i);
+  if (!match) return { ref: arg, version: null };
+  return { ref: match[1], version: parseVersion(match[2]) };
+}
+
+module.exports = {
+  getDir,
+  record,
+  recordAll,
+  versions,
+  getVersion,
+  parseVersion,
+  parseRef,
+};
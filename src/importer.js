@@ -0,0 +1,294 @@
+'use strict';
+
+/**
+ * importer.js — Parse CSV, JSONL, Markdown and HTML files into knowledge
+ * entries for `knowledge import`.
+ *
+ * Every source row becomes { source, fields, error }. Fields are mapped onto
+ * the entry shape used by `knowledge add`: title, content, key, namespace,
+ * tags, content_type.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const frontmatter = require('./frontmatter');
+
+const FORMATS = ['csv', 'jsonl', 'md', 'html'];
+
+const EXTENSIONS = {
+  '.csv': 'csv',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+  '.md': 'md',
+  '.markdown': 'md',
+  '.html': 'html',
+  '.htm': 'html',
+};
+
+// Column / property names accepted for each entry field
+const ALIASES = {
+  title: ['title', 'name', 'subject', 'heading'],
+  content: ['content', 'body', 'text', 'description'],
+  key: ['key', 'slug'],
+  namespace: ['namespace', 'ns'],
+  tags: ['tags', 'tag', 'labels', 'keywords'],
+  content_type: ['content_type', 'type', 'format'],
+};
+
+const KEY_PATTERN = /^[a-z0-9][a-z0-9._-]*$/;
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 64);
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, newlines in quotes).
+ * Returns an array of rows, each an array of cell strings.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+/**
+ * Parse a "col=field,col2=field2" --map flag.
+ */
+function parseMapping(spec) {
+  const mapping = {};
+  if (!spec || spec === true) return mapping;
+  for (const pair of String(spec).split(',')) {
+    const [from, to] = pair.split('=').map(s => s.trim());
+    if (from && to) mapping[from.toLowerCase()] = to;
+  }
+  return mapping;
+}
+
+/**
+ * Map an object with arbitrary property names onto entry fields.
+ */
+function mapFields(obj, mapping = {}) {
+  const fields = {};
+  const lower = {};
+  for (const [k, v] of Object.entries(obj)) lower[k.trim().toLowerCase()] = v;
+
+  for (const [from, to] of Object.entries(mapping)) {
+    if (lower[from] !== undefined) fields[to] = lower[from];
+  }
+  for (const [field, names] of Object.entries(ALIASES)) {
+    if (fields[field] !== undefined) continue;
+    const name = names.find(n => lower[n] !== undefined && lower[n] !== '');
+    if (name) fields[field] = lower[name];
+  }
+  return fields;
+}
+
+function fromCsv(file, mapping) {
+  const rows = parseCsv(fs.readFileSync(file, 'utf8'));
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(h => h.trim());
+  return rows.slice(1).map((cells, i) => {
+    const obj = {};
+    header.forEach((h, j) => { obj[h] = cells[j] ?? ''; });
+    return { source: `${path.basename(file)}:${i + 2}`, fields: mapFields(obj, mapping) };
+  });
+}
+
+function fromJsonl(file, mapping) {
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  const rows = [];
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    const source = `${path.basename(file)}:${i + 1}`;
+    try {
+      const obj = JSON.parse(line);
+      if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+        rows.push({ source, fields: {}, error: 'line is not a JSON object' });
+        return;
+      }
+      rows.push({ source, fields: mapFields(obj, mapping) });
+    } catch (err) {
+      rows.push({ source, fields: {}, error: `invalid JSON: ${err.message}` });
+    }
+  });
+  return rows;
+}
+
+function fromMarkdown(file, mapping) {
+  const { data, body } = frontmatter.parse(fs.readFileSync(file, 'utf8'));
+  const fields = mapFields(data, mapping);
+  const content = body;
+
+  // Title from the first "# Heading" if frontmatter doesn't set one
+  if (!fields.title) {
+    const heading = content.match(/^#\s+(.+)$/m);
+    if (heading) fields.title = heading[1].trim();
+  }
+  if (!fields.title) fields.title = path.basename(file, path.extname(file)).replace(/[-_]+/g, ' ');
+  if (!fields.key) fields.key = slugify(path.basename(file, path.extname(file)));
+
+  fields.content = content;
+  if (!fields.content_type) fields.content_type = 'markdown';
+  return [{ source: path.basename(file), fields }];
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+function fromHtml(file) {
+  const html = fs.readFileSync(file, 'utf8');
+  const strip = (s) => decodeEntities(s.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+
+  const titleTag = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const h1 = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+  const keywords = html.match(/<meta\s+name=["']keywords["']\s+content=["']([^"']*)["']/i);
+  const body = html.match(/<body[^>]*>([\s\S]*?)<\/body>/i);
+
+  const fields = {
+    title: strip((titleTag || h1 || [])[1] || '') || path.basename(file, path.extname(file)),
+    key: slugify(path.basename(file, path.extname(file))),
+    content: (body ? body[1] : html).trim(),
+    content_type: 'html',
+  };
+  if (keywords) fields.tags = keywords[1];
+
+  return [{ source: path.basename(file), fields }];
+}
+
+const READERS = {
+  csv: fromCsv,
+  jsonl: fromJsonl,
+  md: fromMarkdown,
+  html: fromHtml,
+};
+
+/**
+ * List the files to import: the file itself, or every file under a
+ * directory whose extension matches `format` (or any known format).
+ */
+function listFiles(target, format) {
+  const stat = fs.statSync(target);
+  if (!stat.isDirectory()) return [target];
+
+  const files = [];
+  const walk = (dir) => {
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (dirent.name.startsWith('.')) continue;
+      const full = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) {
+        walk(full);
+      } else {
+        const detected = EXTENSIONS[path.extname(dirent.name).toLowerCase()];
+        if (detected && (!format || detected === format)) files.push(full);
+      }
+    }
+  };
+  walk(target);
+  return files.sort();
+}
+
+/**
+ * Read every row from a file or directory.
+ * @param {string} target - File or directory
+ * @param {object} [opts]
+ * @param {string} [opts.format] - csv, jsonl, md or html (default: from extension)
+ * @param {object} [opts.mapping] - Extra column → field mapping
+ * @returns {{source: string, fields: object, error?: string}[]}
+ */
+function load(target, opts = {}) {
+  const rows = [];
+  for (const file of listFiles(target, opts.format)) {
+    const format = opts.format || EXTENSIONS[path.extname(file).toLowerCase()];
+    if (!format) {
+      rows.push({ source: path.basename(file), fields: {}, error: 'unknown format (use --format)' });
+      continue;
+    }
+    rows.push(...READERS[format](file, opts.mapping || {}));
+  }
+  return rows;
+}
+
+/**
+ * Turn mapped fields into an entry and list what's wrong with it.
+ * @param {object} fields
+ * @param {object} defaults - { namespace, content_type, tags }
+ * @returns {{entry: object, errors: string[]}}
+ */
+function toEntry(fields, defaults = {}) {
+  const errors = [];
+  const title = String(fields.title ?? '').trim();
+  const content = String(fields.content ?? '');
+
+  let tags = fields.tags ?? [];
+  if (typeof tags === 'string') tags = tags.split(/[,;]/);
+  tags = [...new Set([...(Array.isArray(tags) ? tags : []), ...(defaults.tags || [])]
+    .map(t => String(t).trim()).filter(Boolean))];
+
+  const entry = {
+    title,
+    content,
+    key: String(fields.key || slugify(title)).trim(),
+    namespace: String(fields.namespace || defaults.namespace || 'default').trim(),
+    content_type: String(fields.content_type || defaults.content_type || 'text').trim(),
+  };
+  if (tags.length) entry.tags = tags;
+
+  if (!title) errors.push('missing title');
+  if (!content.trim()) errors.push('empty content');
+  if (!entry.key) errors.push('could not derive a key');
+  else if (!KEY_PATTERN.test(entry.key)) errors.push(`invalid key "${entry.key}"`);
+
+  return { entry, errors };
+}
+
+module.exports = {
+  FORMATS,
+  parseCsv,
+  parseMapping,
+  load,
+  toEntry,
+  slugify,
+};
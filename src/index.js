@@ -6,6 +6,11 @@
  * Commands:
  *   auth [status|logout]              Authenticate
  *   run "<instruction>"               Natural language command
+ *   clone [dir] | pull [dir]          Local working copy of the knowledge base
+ *   show <key>[@v<n>] | revert <key>  Version history
+ *   reset <entry>                     Withdraw a pending commit
+ *   merge <approval>                  Approve a commit and publish it
+ *   checkout <ns> | namespaces <sub> Active namespace and namespace management
  *   knowledge <sub>                   Knowledge management
  *   approvals <sub>                   Approval workflows
  *   requests <sub>                    Request management
@@ -20,7 +25,7 @@ const out = require('./output');
 
 /**
  * Parse CLI arguments into { command, args, flags }.
- * Supports: --flag value, --flag=value, --bool-flag, -v, -h
+ * Supports: --flag value, --flag=value, --bool-flag, -v, -h, -U<n>
  */
 function parseArgs(argv) {
   const raw = argv.slice(2);
@@ -45,14 +50,17 @@ function parseArgs(argv) {
         flags[key] = arg.slice(eqIdx + 1);
       } else {
         const key = arg.slice(2);
-        // Check if next arg is a value (not a flag)
-        if (i + 1 < raw.length && !raw[i + 1].startsWith('-')) {
+        // Check if next arg is a value (not a flag); "--file -" means stdin
+        if (i + 1 < raw.length && (!raw[i + 1].startsWith('-') || (key === 'file' && raw[i + 1] === '-'))) {
           flags[key] = raw[i + 1];
           i++;
         } else {
           flags[key] = true;
         }
       }
+    } else if (/^-U\d+$/.test(arg)) {
+      // Attached numeric value, like diff -U5
+      flags.unified = arg.slice(2);
     } else if (arg.startsWith('-') && arg.length === 2) {
       // Short flags
       const key = arg[1];
@@ -98,19 +106,35 @@ ${out.style.bold('Commands:')}
                                     ${out.style.dim('"show pending approvals"')}
 
   ${out.style.amber('commit')} ${out.style.dim('"message"')} ${out.style.dim('[--key key]')}    Stage knowledge for review (like git commit)
+                                    ${out.style.dim('--amend <entry>: change a pending commit')}
+  ${out.style.amber('reset')} ${out.style.dim('<entry>')} ${out.style.dim('[--archive]')}       Withdraw a pending commit and its approval
+  ${out.style.amber('merge')} ${out.style.dim('<approval>')}                 Approve a commit and publish its draft
   ${out.style.amber('push')} ${out.style.dim('"message"')} ${out.style.dim('[--key key]')}      Direct publish (like git push, no approval)
   ${out.style.amber('log')} ${out.style.dim('[--key key]')}                   Show knowledge history (like git log)
+                                    ${out.style.dim('--key key --versions: every version of an entry')}
+  ${out.style.amber('show')} ${out.style.dim('<key>[@v<n>]')}                 Print an entry at a version
+  ${out.style.amber('revert')} ${out.style.dim('<key> --to v<n>')}            Restore a version (commit, or --push)
   ${out.style.amber('diff')} ${out.style.dim('<id>')} ${out.style.dim('[--pending]')}          Show changes (like git diff)
+                                    ${out.style.dim('-U<n>, --word-diff, --stat')}
   ${out.style.amber('status')}                            Show pending commits & activity
-
-  ${out.style.amber('knowledge')} list|add|search|get|delete
-  ${out.style.amber('approvals')} list|request|approve|deny|get
+  ${out.style.amber('lint')} ${out.style.dim('[--fix]')}                       Check entries for problems (--json for CI)
+  ${out.style.amber('clone')} ${out.style.dim('[dir]')}                       Mirror knowledge into a local directory
+  ${out.style.amber('pull')} ${out.style.dim('[dir]')}                        Refresh a cloned directory
+  ${out.style.amber('checkout')} ${out.style.dim('<namespace>')}              Switch the active namespace
+  ${out.style.amber('namespaces')}                        List namespaces (rename, move)
+
+  ${out.style.amber('knowledge')} list|add|import|export|search|index|get|graph|edit|update|tag|tags|review|delete
+  ${out.style.amber('approvals')} list|request|approve|deny|get|review|auto|wait    ${out.style.dim('(approve|deny --all: batch)')}
   ${out.style.amber('requests')}  list|create|get|complete
   ${out.style.amber('config')}    list|set|get|delete
   ${out.style.amber('version')}                           Show version
 
 ${out.style.bold('Flags:')}
   --json                            Output as JSON
+  --namespace <ns>                  Override the checked-out namespace
+  --all-namespaces                  Ignore the checked-out namespace
+  --offline                         Search the local index (knowledge search, run)
+  --allow-secrets                   Send content the secret scanner would block
   --api-key <key>                   API key (for auth)
   --help, -h                        Show help
   --version, -v                     Show version
@@ -181,12 +205,69 @@ async function main() {
         break;
       }
 
+      case 'clone': {
+        const { handleClone } = require('./commands/clone');
+        await handleClone(args, flags);
+        break;
+      }
+
+      case 'pull': {
+        const { handlePull } = require('./commands/pull');
+        await handlePull(args, flags);
+        break;
+      }
+
+      case 'checkout':
+      case 'co': {
+        const { handleCheckout } = require('./commands/checkout');
+        await handleCheckout(args, flags);
+        break;
+      }
+
+      case 'namespaces':
+      case 'namespace':
+      case 'ns': {
+        const { handleNamespaces } = require('./commands/namespaces');
+        await handleNamespaces(args, flags);
+        break;
+      }
+
+      case 'lint': {
+        const { handleLint } = require('./commands/lint');
+        await handleLint(args, flags);
+        break;
+      }
+
       case 'log': {
         const { handleLog } = require('./commands/log');
         await handleLog(args, flags);
         break;
       }
 
+      case 'show': {
+        const { handleShow } = require('./commands/show');
+        await handleShow(args, flags);
+        break;
+      }
+
+      case 'revert': {
+        const { handleRevert } = require('./commands/revert');
+        await handleRevert(args, flags);
+        break;
+      }
+
+      case 'merge': {
+        const { handleMerge } = require('./commands/merge');
+        await handleMerge(args, flags);
+        break;
+      }
+
+      case 'reset': {
+        const { handleReset } = require('./commands/reset');
+        await handleReset(args, flags);
+        break;
+      }
+
       case 'diff': {
         const { handleDiff } = require('./commands/diff');
         await handleDiff(args, flags);
@@ -0,0 +1,176 @@
+'use strict';
+
+/**
+ * input.js — Read entry content from files or stdin for knowledge add,
+ * commit and push.
+ *
+ *   beeboo commit --file report.md
+ *   beeboo push --file a.md b.md c.md          # One entry per file
+ *   agent-report | beeboo commit - --key weekly-summary
+ *
+ * Markdown frontmatter (title, key, tags, namespace, content_type) fills in
+ * the entry, and content_type otherwise comes from the file extension.
+ * Flags given on the command line win over both.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const out = require('./output');
+const frontmatter = require('./frontmatter');
+const { slugify } = require('./importer');
+const { shortTitle } = require('./lint');
+
+const STDIN = '-';
+
+const CONTENT_TYPES = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.mdx': 'markdown',
+  '.txt': 'text',
+  '.text': 'text',
+  '.html': 'html',
+  '.htm': 'html',
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.csv': 'csv',
+};
+
+// Types whose files may start with a frontmatter block
+const FRONTMATTER_TYPES = new Set(['markdown', 'text']);
+
+/**
+ * True when content should be read from files or stdin rather than argv.
+ */
+function usesFiles(args, flags) {
+  return flags.file !== undefined || (args.length === 1 && args[0] === STDIN);
+}
+
+function sources(args, flags) {
+  if (flags.file === undefined) return [STDIN];
+  if (flags.file === true) throw new Error('--file needs a path (or - for stdin)');
+  return [flags.file, ...args];
+}
+
+function readSource(source) {
+  if (source === STDIN) {
+    if (process.stdin.isTTY) throw new Error('Nothing on stdin. Pipe content in, or use --file <path>');
+    return fs.readFileSync(0, 'utf8');
+  }
+
+  let stat;
+  try {
+    stat = fs.statSync(source);
+  } catch {
+    throw new Error(`File not found: ${source}`);
+  }
+  if (stat.isDirectory()) throw new Error(`${source} is a directory (to sync a directory, pass it without --file)`);
+  return fs.readFileSync(source, 'utf8');
+}
+
+/**
+ * Guess whether text piped in without frontmatter is markdown.
+ */
+function looksLikeMarkdown(text) {
+  return /^#{1,6}\s|^\s*([-*+]|\d+\.)\s+\S|^```|\[[^\]]+\]\([^)]+\)|\*\*[^*]+\*\*/m.test(text);
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  if (typeof value === 'string') return value.split(',').map(t => t.trim()).filter(Boolean);
+  return [];
+}
+
+/**
+ * Turn one file's text into the flags the single-entry code paths read:
+ * title, content, key, tags (comma-separated), namespace and type.
+ */
+function toFlags(source, text, flags) {
+  const ext = source === STDIN ? '' : path.extname(source).toLowerCase();
+  const detected = CONTENT_TYPES[ext] || (source === STDIN && looksLikeMarkdown(text) ? 'markdown' : 'text');
+
+  const parsed = FRONTMATTER_TYPES.has(detected) || source === STDIN
+    ? frontmatter.parse(text)
+    : { data: {}, body: text.replace(/\r?\n$/, '') };
+  const data = parsed.data;
+  const content = parsed.body;
+  const hasFrontmatter = Object.keys(data).length > 0;
+
+  const type = (typeof flags.type === 'string' && flags.type) || data.content_type ||
+    (source === STDIN && hasFrontmatter ? 'markdown' : detected);
+
+  const name = source === STDIN ? null : path.basename(source, ext);
+  const heading = type === 'markdown' ? content.match(/^#\s+(.+)$/m)
+    : type === 'html' ? content.match(/<(?:title|h1)[^>]*>\s*([^<]+?)\s*</i) : null;
+
+  const title = (typeof flags.title === 'string' && flags.title) ||
+    (data.title != null ? String(data.title) : null) ||
+    (heading && heading[1].trim()) ||
+    (name && name.replace(/[-_]+/g, ' ')) ||
+    shortTitle(content);
+
+  const key = (typeof flags.key === 'string' && flags.key) ||
+    (data.key != null ? String(data.key) : null) ||
+    (name ? slugify(name) : undefined);
+
+  const tags = typeof flags.tags === 'string' ? flags.tags : toList(data.tags).join(',') || undefined;
+  const namespace = (typeof flags.namespace === 'string' && flags.namespace) ||
+    (data.namespace != null ? String(data.namespace) : undefined);
+
+  const merged = { ...flags, title, content, type };
+  delete merged.file;
+  if (key) merged.key = key;
+  if (tags) merged.tags = tags;
+  if (namespace) merged.namespace = namespace;
+  return merged;
+}
+
+/**
+ * Read every file (or stdin) named by the arguments. Everything is read
+ * and checked before anything is sent, so a bad path aborts cleanly.
+ *
+ * @returns {{source: string, flags: object}[]}
+ */
+function readAll(args, flags) {
+  const list = sources(args, flags);
+
+  if (list.filter(s => s === STDIN).length > 1) throw new Error('stdin (-) can only be read once');
+  if (typeof flags.content === 'string') throw new Error('--content can\'t be combined with --file or -');
+  if (list.length > 1) {
+    for (const flag of ['key', 'title']) {
+      if (typeof flags[flag] === 'string') throw new Error(`--${flag} can't be used with several files (set it in each file's frontmatter)`);
+    }
+  }
+
+  return list.map(source => {
+    const docFlags = toFlags(source, readSource(source), flags);
+    if (!docFlags.content.trim()) throw new Error(`${source === STDIN ? 'stdin' : source}: no content`);
+    return { source, flags: docFlags };
+  });
+}
+
+/**
+ * Call `handler([], flags)` once per file, with the flags for that file.
+ */
+async function forEachFile(args, flags, handler) {
+  let docs;
+  try {
+    docs = readAll(args, flags);
+  } catch (err) {
+    out.error(err.message);
+    process.exit(1);
+  }
+
+  for (const doc of docs) {
+    if (docs.length > 1 && !flags.json) console.log(out.style.dim(`── ${doc.source}`));
+    await handler([], doc.flags);
+  }
+}
+
+module.exports = {
+  STDIN,
+  CONTENT_TYPES,
+  usesFiles,
+  readAll,
+  forEachFile,
+};
@@ -1,12 +1,34 @@
 'use strict';
 
 /**
- * knowledge.js — Knowledge subcommands: list, add, search, get, delete
+ * knowledge.js — Knowledge subcommands: list, add, import, export, search,
+ * index, get, graph, edit, update, tag, tags, review, delete
  */
 
-const { api, isOk, getData, getError } = require('./api');
+const fs = require('fs');
+const path = require('path');
+const { api, isOk, getData, getError, paginate } = require('./api');
 const out = require('./output');
 const credentials = require('./credentials');
+const config = require('./config');
+const frontmatter = require('./frontmatter');
+const editor = require('./editor');
+const history = require('./history');
+const prompt = require('./prompt');
+const { resolveEntry, remember, forget } = require('./resolve');
+const importer = require('./importer');
+const exporter = require('./exporter');
+const tags = require('./tags');
+const markdown = require('./markdown');
+const duplicates = require('./duplicates');
+const search = require('./search');
+const duration = require('./duration');
+const input = require('./input');
+const references = require('./references');
+const secrets = require('./secrets');
+
+// Fields that `edit` and `update` are allowed to change
+const EDITABLE_FIELDS = ['title', 'content', 'tags', 'namespace', 'status', 'content_type'];
 
 function requireAuth() {
   if (!credentials.isAuthenticated()) {
@@ -25,18 +47,38 @@ async function handleKnowledge(args, flags) {
       return await listEntries(flags);
     case 'add':
     case 'create':
+      if (input.usesFiles(args.slice(1), flags)) return await input.forEachFile(args.slice(1), flags, addEntry);
       return await addEntry(args.slice(1), flags);
+    case 'import':
+      return await importEntries(args[1], flags);
+    case 'export':
+      return await exportEntries(flags);
     case 'search':
     case 'find':
       return await searchEntries(args.slice(1), flags);
+    case 'index':
+      return await indexEntries(flags);
     case 'get':
       return await getEntry(args[1], flags);
+    case 'graph':
+      return await graphEntries(flags);
+    case 'edit':
+      return await editEntry(args[1], flags);
+    case 'update':
+    case 'set':
+      return await updateEntry(args[1], flags);
+    case 'tag':
+      return await tagEntry(args[1], args.slice(2), flags);
+    case 'tags':
+      return await handleTags(args.slice(1), flags);
+    case 'review':
+      return await reviewEntries(flags);
     case 'delete':
     case 'rm':
       return await deleteEntry(args[1], flags);
     default:
       out.error(`Unknown knowledge command: ${sub}`);
-      console.log('  Commands: list, add, search, get, delete');
+      console.log('  Commands: list, add, import, export, search, index, get, graph, edit, update, tag, tags, review, delete');
       process.exit(1);
   }
 }
@@ -44,10 +86,15 @@ async function handleKnowledge(args, flags) {
 async function listEntries(flags) {
   try {
     const query = {};
-    if (flags.namespace) query.namespace = flags.namespace;
+    const namespace = config.getNamespace(flags);
+    if (namespace) query.namespace = namespace;
     if (flags.status) query.status = flags.status;
 
-    const res = await api.listKnowledgeEntries(query);
+    // Tag filters are applied client-side, so they need every page
+    const required = tags.fromFlags(flags);
+    const res = required.length
+      ? await api.listAllKnowledgeEntries(query)
+      : await api.listKnowledgeEntries(query);
 
     if (!isOk(res)) {
       out.error(`Failed to list entries: ${getError(res)}`);
@@ -55,7 +102,8 @@ async function listEntries(flags) {
     }
 
     const entries = getData(res);
-    const items = Array.isArray(entries) ? entries : [];
+    const items = tags.filter(Array.isArray(entries) ? entries : [], required);
+    remember('entry', items);
 
     if (flags.json) {
       out.jsonCompact({ entries: items });
@@ -99,20 +147,36 @@ async function addEntry(args, flags) {
   if (!title) {
     out.error('Title is required.');
     console.log('  Usage: npx beeboo knowledge add --title "Title" --content "Content"');
+    console.log('         npx beeboo knowledge add --file doc.md [more.md ...]   (or - for stdin)');
     process.exit(1);
   }
 
   try {
-    const entry = {
-      title: title,
+    // Scanned before the key is derived from the title
+    const fields = secrets.guard({
+      title,
       content: content || '',
-      namespace: flags.namespace || 'default',
+      tags: flags.tags ? flags.tags.split(',').map(t => t.trim()) : undefined,
+    }, flags);
+
+    const entry = {
+      title: fields.title,
+      content: fields.content,
+      namespace: config.getNamespace(flags, 'default'),
       content_type: flags.type || 'text',
-      key: flags.key || title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+      key: flags.key || fields.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
     };
 
-    if (flags.tags) {
-      entry.tags = flags.tags.split(',').map(t => t.trim());
+    if (fields.tags) {
+      entry.tags = fields.tags;
+    }
+
+    const decision = await duplicates.check(entry, flags);
+    if (decision.action === 'update') {
+      const updates = { title: entry.title, content: entry.content };
+      if (entry.tags) updates.tags = entry.tags;
+      await applyUpdates(decision.target, diffFields(decision.target, updates), flags, { scanned: true });
+      return;
     }
 
     const res = await api.createKnowledgeEntry(entry);
@@ -123,6 +187,7 @@ async function addEntry(args, flags) {
     }
 
     const data = getData(res);
+    history.record(data);
 
     if (flags.json) {
       out.jsonCompact(data);
@@ -139,18 +204,309 @@ async function addEntry(args, flags) {
   }
 }
 
+/**
+ * Load entries from CSV, JSONL, markdown or HTML. Every row is validated
+ * before anything is created; invalid rows abort the import unless
+ * --skip-invalid is given.
+ */
+async function importEntries(target, flags) {
+  if (!target) {
+    out.error('File or directory is required.');
+    console.log('  Usage: npx beeboo knowledge import <file|dir> [--format csv|jsonl|md|html] [--dry-run] [--as-draft]');
+    process.exit(1);
+  }
+
+  const format = typeof flags.format === 'string' ? flags.format.toLowerCase() : undefined;
+  if (format && !importer.FORMATS.includes(format)) {
+    out.error(`Unknown format: ${format}`);
+    console.log(`  Formats: ${importer.FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  let rows;
+  try {
+    rows = importer.load(target, { format, mapping: importer.parseMapping(flags.map) });
+  } catch (err) {
+    out.error(`Cannot read ${target}: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (rows.length === 0) {
+    out.info(`Nothing to import from ${target}.`);
+    return;
+  }
+
+  // Validate everything up front
+  const defaults = {
+    namespace: config.getNamespace(flags) || undefined,
+    content_type: typeof flags.type === 'string' ? flags.type : undefined,
+    tags: typeof flags.tags === 'string' ? flags.tags.split(',').map(t => t.trim()).filter(Boolean) : [],
+  };
+  let policy = null;
+  if (!flags['allow-secrets']) {
+    try {
+      policy = secrets.loadPolicy();
+    } catch (err) {
+      out.error(err.message);
+      process.exit(1);
+    }
+  }
+
+  const seen = new Map();
+  const checked = rows.map((row, i) => {
+    let { entry, errors: problems } = importer.toEntry(row.fields, defaults);
+    const errors = row.error ? [row.error] : problems;
+    const id = `${entry.namespace}/${entry.key}`;
+    if (entry.key && seen.has(id)) errors.push(`duplicate key ${id} (also row ${seen.get(id)})`);
+    else seen.set(id, i + 1);
+
+    // Rows with secrets are invalid; warnings and redactions are reported as we go
+    if (policy && errors.length === 0) {
+      const scan = secrets.check(entry, policy);
+      if (scan.blocked) {
+        for (const f of scan.findings.filter(f => f.action === 'block')) errors.push(`${f.label.toLowerCase()} in ${f.field} (--allow-secrets to import anyway)`);
+      } else {
+        entry = scan.fields;
+        if (scan.findings.length > 0) secrets.report(scan.findings, row.source);
+      }
+    }
+
+    if (flags['as-draft']) entry.status = 'draft';
+    return { row: i + 1, source: row.source, entry, errors };
+  });
+
+  const invalid = checked.filter(c => c.errors.length > 0);
+  const valid = checked.filter(c => c.errors.length === 0);
+  const abort = invalid.length > 0 && !flags['skip-invalid'];
+
+  if (flags['dry-run'] || abort) {
+    if (flags.json) {
+      out.jsonCompact({
+        dry_run: !!flags['dry-run'],
+        total: checked.length,
+        valid: valid.length,
+        invalid: invalid.length,
+        rows: checked.map(c => ({
+          row: c.row,
+          source: c.source,
+          key: c.entry.key,
+          namespace: c.entry.namespace,
+          title: c.entry.title,
+          errors: c.errors,
+        })),
+      });
+    } else {
+      console.log('');
+      for (const c of checked) {
+        if (c.errors.length === 0) {
+          console.log(`  ${out.style.green('✓')} ${c.source}  ${c.entry.namespace}/${c.entry.key} ${out.style.dim(`"${c.entry.title}"`)}`);
+        } else {
+          console.log(`  ${out.style.red('✗')} ${c.source}  ${out.style.red(c.errors.join('; '))}`);
+        }
+      }
+      console.log('');
+      console.log(`  ${valid.length} valid, ${invalid.length} invalid ${out.style.dim(`(${checked.length} rows)`)}`);
+    }
+
+    if (abort) {
+      if (!flags.json) {
+        out.error('Import aborted: fix the invalid rows or re-run with --skip-invalid.');
+      }
+      process.exit(1);
+    }
+    if (!flags.json) out.info('Dry run — nothing was created.');
+    return;
+  }
+
+  try {
+    const results = [];
+    for (const c of valid) {
+      const res = await api.createKnowledgeEntry(c.entry);
+      if (isOk(res)) {
+        const data = getData(res);
+        history.record(data);
+        results.push({ ...c, id: data?.id, saved: { ...c.entry, ...data }, ok: true });
+        if (!flags.json) console.log(`  ${out.style.green('✓')} ${c.source}  ${c.entry.namespace}/${c.entry.key} ${out.style.dim(`(${String(data?.id || '').slice(0, 8)})`)}`);
+      } else {
+        results.push({ ...c, ok: false, error: getError(res) });
+        if (!flags.json) console.log(`  ${out.style.red('✗')} ${c.source}  ${c.entry.namespace}/${c.entry.key}: ${getError(res)}`);
+      }
+    }
+    for (const c of invalid) {
+      if (!flags.json) console.log(`  ${out.style.yellow('-')} ${c.source}  skipped: ${c.errors.join('; ')}`);
+    }
+
+    const created = results.filter(r => r.ok);
+    const failed = results.filter(r => !r.ok);
+
+    // Drafts go out for review as a single approval
+    let approval = null;
+    if (flags['as-draft'] && created.length > 0) {
+      const { batchApproval } = require('./commands/commit');
+      const staged = created.map(r => ({ action: 'create', key: r.entry.key, entry: r.saved, entry_id: r.id }));
+      const res = await api.submitApproval(batchApproval(staged, path.basename(path.resolve(target))));
+      if (isOk(res)) approval = getData(res);
+      else if (!flags.json) out.warn(`Drafts created but approval request failed: ${getError(res)}`);
+    }
+
+    if (flags.json) {
+      out.jsonCompact({
+        total: checked.length,
+        created: created.length,
+        failed: failed.length,
+        skipped: invalid.length,
+        approval_id: approval?.id || null,
+        rows: [...results, ...invalid].sort((a, b) => a.row - b.row).map(r => ({
+          row: r.row,
+          source: r.source,
+          key: r.entry.key,
+          namespace: r.entry.namespace,
+          ok: !!r.ok,
+          id: r.id || null,
+          error: r.error || (r.errors.length ? r.errors.join('; ') : null),
+        })),
+      });
+    } else {
+      console.log('');
+      const summary = `Imported ${created.length}/${checked.length} entr${checked.length === 1 ? 'y' : 'ies'}${flags['as-draft'] ? ' as drafts' : ''}`;
+      if (failed.length > 0) out.warn(`${summary} (${failed.length} failed)`);
+      else out.success(summary);
+      if (approval?.id) console.log(`  Approval: ${out.style.dim(approval.id)} (${approval.status || 'pending'})`);
+    }
+
+    if (failed.length > 0) process.exit(1);
+  } catch (err) {
+    out.error(`Network error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Guess the export format from an output path.
+ */
+function formatFromOutput(output) {
+  if (typeof output !== 'string') return null;
+  if (/\.(tar|tar\.gz|tgz)$/i.test(output)) return 'tar';
+  if (/\.jsonl$/i.test(output)) return 'jsonl';
+  if (/\.json$/i.test(output)) return 'json';
+  return null;
+}
+
+/**
+ * Write the whole knowledge base (or a namespace/tag/status subset) to
+ * a file, directory or stdout, with a manifest of checksums.
+ */
+async function exportEntries(flags) {
+  const outputFlag = typeof flags.output === 'string' ? flags.output : (typeof flags.o === 'string' ? flags.o : null);
+  const format = (typeof flags.format === 'string' ? flags.format.toLowerCase() : null) || formatFromOutput(outputFlag) || 'json';
+
+  if (!exporter.FORMATS.includes(format)) {
+    out.error(`Unknown format: ${format}`);
+    console.log(`  Formats: ${exporter.FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  const toStdout = flags.stdout === true || outputFlag === '-';
+  if (toStdout && format === 'md') {
+    out.error('The md format writes a directory; use --output <dir> or --format tar.');
+    process.exit(1);
+  }
+
+  const gzip = flags.gzip === true || /\.(tar\.gz|tgz)$/i.test(outputFlag || '');
+  const output = path.resolve(outputFlag && outputFlag !== '-' ? outputFlag : exporter.defaultOutput(format) + (gzip ? '.gz' : ''));
+  const display = path.relative(process.cwd(), output) || '.';
+
+  if (!toStdout && fs.existsSync(output) && !flags.force) {
+    const isEmptyDir = format === 'md' && fs.statSync(output).isDirectory() && fs.readdirSync(output).length === 0;
+    if (!isEmptyDir) {
+      out.error(`'${display}' already exists. Use --force to overwrite.`);
+      process.exit(1);
+    }
+  }
+
+  try {
+    const query = {};
+    const namespace = config.getNamespace(flags);
+    if (namespace) query.namespace = namespace;
+    if (flags.status) query.status = flags.status;
+
+    const res = await api.listAllKnowledgeEntries(query);
+
+    if (!isOk(res)) {
+      out.error(`Export failed: ${getError(res)}`);
+      process.exit(1);
+    }
+
+    const required = tags.fromFlags(flags);
+    const entries = tags.filter(getData(res) || [], required);
+
+    const filters = {};
+    if (query.namespace) filters.namespace = query.namespace;
+    if (query.status) filters.status = query.status;
+    if (required.length) filters.tags = required;
+
+    // Files are named after the output path (minus extensions)
+    const name = path.basename(output).replace(/\.(tar\.gz|tgz|tar|jsonl|json)$/i, '') || 'export';
+    const { files, manifest } = exporter.render(entries, format, {
+      source: credentials.getApiUrl(),
+      filters,
+      name,
+      gzip,
+    });
+
+    if (toStdout) {
+      // The data file only; a JSONL manifest has nowhere to go
+      process.stdout.write(files[0].content);
+      return;
+    }
+
+    const base = format === 'md' ? output : path.dirname(output);
+    for (const file of files) {
+      const target = path.join(base, file.path);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, file.content);
+    }
+
+    const written = files.map(f => path.relative(process.cwd(), path.join(base, f.path)));
+
+    if (flags.json) {
+      out.jsonCompact({
+        format,
+        output: display,
+        count: entries.length,
+        files: format === 'md' ? [display] : written,
+        namespaces: manifest.namespaces,
+      });
+      return;
+    }
+
+    out.success(`Exported ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} to ${display}`);
+    console.log(`  Format: ${format}${gzip ? ' (gzip)' : ''}`);
+    const nsList = Object.entries(manifest.namespaces).map(([ns, n]) => `${ns} (${n})`);
+    if (nsList.length) console.log(`  Namespaces: ${nsList.join(', ')}`);
+    if (format === 'jsonl') console.log(`  Manifest: ${out.style.dim(written[1])}`);
+    else if (format !== 'json') console.log(`  Manifest: ${out.style.dim(format === 'md' ? path.join(display, 'manifest.json') : 'manifest.json (inside archive)')}`);
+  } catch (err) {
+    out.error(`Network error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
 async function searchEntries(args, flags) {
   const query = flags.query || args.join(' ');
 
   if (!query) {
     out.error('Search query is required.');
-    console.log('  Usage: npx beeboo knowledge search "query"');
+    console.log('  Usage: npx beeboo knowledge search "query" [--offline]');
     process.exit(1);
   }
 
+  if (flags.offline) return await searchOffline(query, flags);
+
   try {
     const opts = {};
-    if (flags.namespace) opts.namespace = flags.namespace;
+    const namespace = config.getNamespace(flags);
+    if (namespace) opts.namespace = namespace;
     if (flags.limit) opts.limit = parseInt(flags.limit);
 
     const res = await api.searchKnowledge(query, opts);
@@ -161,7 +517,7 @@ async function searchEntries(args, flags) {
     }
 
     const data = getData(res);
-    const results = Array.isArray(data) ? data : (data?.results || []);
+    const results = tags.filter(Array.isArray(data) ? data : (data?.results || []), tags.fromFlags(flags));
 
     if (flags.json) {
       out.jsonCompact({ query, results });
@@ -178,41 +534,164 @@ async function searchEntries(args, flags) {
     for (const r of results) {
       console.log(`  ${out.style.amber(r.title || r.key || '(untitled)')}`);
       if (r.content) {
-        const preview = r.content.length > 120 ? r.content.slice(0, 120) + '...' : r.content;
+        const preview = markdown.isMarkdown(r) && !flags.raw
+          ? markdown.preview(r.content, 120)
+          : (r.content.length > 120 ? r.content.slice(0, 120) + '...' : r.content);
         console.log(`  ${out.style.dim(preview)}`);
       }
       if (r.id) console.log(`  ${out.style.dim('ID: ' + r.id)}`);
       console.log('');
     }
   } catch (err) {
+    // No connection: answer from the local index if there is one
+    if (search.load()) {
+      out.warn(`${err.message} — searching the local index`);
+      return await searchOffline(query, { ...flags, refresh: false });
+    }
     out.error(`Network error: ${err.message}`);
     process.exit(1);
   }
 }
 
-async function getEntry(id, flags) {
-  if (!id) {
+/**
+ * Search the local index (built by `knowledge index`) without the server.
+ */
+async function searchOffline(query, flags) {
+  if (flags.refresh) {
+    try {
+      await search.refresh();
+    } catch (err) {
+      out.warn(`Could not refresh the index: ${err.message}`);
+    }
+  }
+
+  const index = search.load();
+  if (!index) {
+    out.error('No local index yet. Run: npx beeboo knowledge index');
+    process.exit(1);
+  }
+
+  const opts = { limit: flags.limit ? parseInt(flags.limit) : 10 };
+  const namespace = config.getNamespace(flags);
+  if (namespace) opts.namespace = namespace;
+  if (typeof flags.status === 'string') opts.status = flags.status;
+
+  const results = tags.filter(search.search(index, query, { ...opts, limit: Infinity }), tags.fromFlags(flags)).slice(0, opts.limit);
+
+  if (flags.json) {
+    out.jsonCompact({ query, offline: true, synced_at: index.synced_at, results });
+    return;
+  }
+
+  const synced = out.style.dim(`(offline, index synced ${out.timeAgo(index.synced_at)})`);
+  if (results.length === 0) {
+    out.info(`No results for "${query}". ${synced}`);
+    return;
+  }
+
+  console.log(`📚 ${out.style.bold(`${results.length} result${results.length === 1 ? '' : 's'}`)} for "${query}" ${synced}\n`);
+
+  for (const r of results) {
+    console.log(`  ${out.style.amber(r.title || r.key || '(untitled)')} ${out.style.dim(r.score.toFixed(2))}`);
+    if (r.content) {
+      const text = markdown.isMarkdown(r) && !flags.raw ? markdown.preview(r.content, Infinity) : r.content;
+      console.log(`  ${out.style.dim(search.snippet(text, query, 120))}`);
+    }
+    if (r.id) console.log(`  ${out.style.dim('ID: ' + r.id)}`);
+    console.log('');
+  }
+}
+
+/**
+ * Build or refresh the local search index used by `search --offline`.
+ */
+async function indexEntries(flags) {
+  try {
+    const result = await search.refresh({ rebuild: !!flags.rebuild });
+
+    if (flags.json) {
+      out.jsonCompact({ path: search.getDir(), ...result });
+      return;
+    }
+
+    const changes = [`${result.added} new`, `${result.updated} updated`];
+    if (result.full) changes.push(`${result.removed} removed`);
+    out.success(`${result.full ? 'Built' : 'Refreshed'} search index: ${result.count} entr${result.count === 1 ? 'y' : 'ies'} (${changes.join(', ')})`);
+    console.log(`  ${out.style.dim(search.getDir())}`);
+    console.log(`  Search it offline: ${out.style.cyan('npx beeboo knowledge search "query" --offline')}`);
+  } catch (err) {
+    out.error(`Indexing failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Resolve an entry's own [[links]] one at a time: by key, then by title
+ * through search. Much cheaper than listing every entry, which only
+ * backlinks need.
+ * @returns {Promise<{ref: string, entry: object|null}[]>}
+ */
+async function outboundLinks(entry) {
+  const links = [];
+  const seen = new Set();
+  for (const { ref } of references.extract(entry.content)) {
+    if (seen.has(ref)) continue;
+    seen.add(ref);
+
+    const slash = ref.indexOf('/');
+    const namespace = slash === -1 ? entry.namespace || 'default' : ref.slice(0, slash);
+    const name = slash === -1 ? ref : ref.slice(slash + 1);
+
+    const byKey = await api.listKnowledgeEntries({ namespace, key: name });
+    if (!isOk(byKey)) throw new Error(getError(byKey));
+    let candidates = getData(byKey) || [];
+    if (!references.resolve(ref, entry.namespace || 'default', references.indexEntries(candidates))) {
+      const found = await api.searchKnowledge(name, { namespace });
+      if (!isOk(found)) throw new Error(getError(found));
+      const data = getData(found);
+      candidates = candidates.concat(Array.isArray(data) ? data : (data?.results || []));
+    }
+    links.push({ ref, entry: references.resolve(ref, entry.namespace || 'default', references.indexEntries(candidates)) });
+  }
+  return links;
+}
+
+async function getEntry(ref, flags) {
+  if (!ref) {
     out.error('Entry ID is required.');
-    console.log('  Usage: npx beeboo knowledge get <id>');
+    console.log('  Usage: npx beeboo knowledge get <id|prefix|key|title> [--raw] [--links]');
     process.exit(1);
   }
 
   try {
-    const res = await api.getKnowledgeEntry(id);
+    const entry = await resolveEntry(ref, { namespace: config.getNamespace(flags) });
+    history.record(entry);
 
-    if (!isOk(res)) {
-      if (res.status === 404) {
-        out.error('Entry not found. Run: npx beeboo knowledge list');
+    // Backlinks need every entry, so only with --links; show the entry
+    // anyway if the links can't be looked up
+    let links = [];
+    let backlinks = [];
+    let linksFailed = false;
+    try {
+      if (flags.links) {
+        const all = await api.listAllKnowledgeEntries({});
+        if (!isOk(all)) throw new Error(getError(all));
+        ({ links, backlinks } = references.linksOf(entry, getData(all) || []));
       } else {
-        out.error(`Failed: ${getError(res)}`);
+        links = await outboundLinks(entry);
       }
-      process.exit(1);
+    } catch (err) {
+      linksFailed = true;
+      if (!flags.json) out.warn(`Links could not be looked up: ${err.message}`);
     }
 
-    const entry = getData(res);
-
     if (flags.json) {
-      out.jsonCompact(entry);
+      const json = { ...entry };
+      if (!linksFailed) json.links = links.map(l => ({ ref: l.ref, id: l.entry?.id || null, key: l.entry?.key || null, missing: !l.entry }));
+      if (flags.links && !linksFailed) {
+        json.backlinks = backlinks.map(b => ({ id: b.id, key: b.key || null, namespace: b.namespace || 'default', title: b.title || null }));
+      }
+      out.jsonCompact(json);
       return;
     }
 
@@ -221,21 +700,630 @@ async function getEntry(id, flags) {
     if (entry.status) console.log(`  Status: ${entry.status}`);
     if (entry.tags?.length) console.log(`  Tags: ${entry.tags.join(', ')}`);
     console.log('');
-    if (entry.content) console.log(entry.content);
+    if (entry.content) {
+      console.log(markdown.isMarkdown(entry) && !flags.raw ? markdown.render(entry.content) : entry.content);
+    }
+
+    if (links.length > 0) {
+      console.log(`\n  ${out.style.bold('Links to:')}`);
+      for (const l of links) {
+        console.log(l.entry
+          ? `    ${out.style.green('→')} ${references.nodeId(l.entry)}  ${out.style.dim(l.entry.title || '')}`
+          : `    ${out.style.red('✗')} [[${l.ref}]]  ${out.style.red('missing')}`);
+      }
+    }
+    if (backlinks.length > 0) {
+      console.log(`\n  ${out.style.bold('Linked from:')}`);
+      for (const b of backlinks) {
+        console.log(`    ${out.style.cyan('←')} ${references.nodeId(b)}  ${out.style.dim(b.title || '')}`);
+      }
+    }
+    if (!flags.links && !linksFailed) {
+      console.log(`\n  ${out.style.dim('Entries linking here:')} ${out.style.cyan(`npx beeboo knowledge get ${/\s/.test(ref) ? `"${ref}"` : ref} --links`)}`);
+    }
+  } catch (err) {
+    out.error(`Network error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Print the [[key]] reference graph as DOT, Mermaid or JSON. Dangling
+ * links and orphaned entries are reported on stderr, so the graph itself
+ * can be piped straight into `dot` or a file.
+ */
+async function graphEntries(flags) {
+  const format = flags.json ? 'json' : (typeof flags.format === 'string' ? flags.format.toLowerCase() : 'dot');
+  if (!references.FORMATS.includes(format)) {
+    out.error(`Unknown format: ${format}`);
+    console.log(`  Formats: ${references.FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    const res = await api.listAllKnowledgeEntries({});
+
+    if (!isOk(res)) {
+      out.error(`Graph failed: ${getError(res)}`);
+      process.exit(1);
+    }
+
+    const graph = references.build(getData(res) || [], { namespace: config.getNamespace(flags) });
+    const text = format === 'json'
+      ? JSON.stringify(references.toJson(graph), null, flags.json ? 0 : 2)
+      : format === 'mermaid' ? references.toMermaid(graph) : references.toDot(graph);
+
+    const output = typeof flags.output === 'string' ? flags.output : (typeof flags.o === 'string' ? flags.o : null);
+    if (output) {
+      fs.writeFileSync(output, text + '\n');
+    } else {
+      console.log(text);
+    }
+
+    if (flags.json) return;
+
+    // The report goes to stderr so it never ends up in the graph file
+    const report = (line) => console.error(line);
+    report('');
+    report(out.style.dim(`${graph.nodes.length} entries, ${graph.edges.length} link${graph.edges.length === 1 ? '' : 's'}${output ? ` → ${output}` : ''}`));
+    if (graph.dangling.length > 0) {
+      report(out.style.red(`✗ ${graph.dangling.length} dangling link${graph.dangling.length === 1 ? '' : 's'}:`));
+      for (const d of graph.dangling) report(`    ${d.from} → [[${d.ref}]]`);
+    }
+    if (graph.orphans.length > 0) {
+      report(out.style.yellow(`⚠ ${graph.orphans.length} orphaned entr${graph.orphans.length === 1 ? 'y' : 'ies'} (no links in or out):`));
+      for (const o of graph.orphans) report(`    ${references.nodeId(o)}`);
+    }
+  } catch (err) {
+    out.error(`Network error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Compare edited fields against the original entry and return only the
+ * ones that actually changed.
+ */
+function diffFields(entry, fields) {
+  const updates = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (fields[key] === undefined) continue;
+    const before = entry[key] ?? (key === 'tags' ? [] : '');
+    const after = fields[key] ?? (key === 'tags' ? [] : '');
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      updates[key] = after;
+    }
+  }
+  return updates;
+}
+
+/**
+ * PATCH the changed fields and print the result. The fields are checked
+ * for secrets first unless `opts.scanned` says the caller already did.
+ */
+async function applyUpdates(entry, updates, flags, opts = {}) {
+  const changed = Object.keys(updates);
+  history.record(entry);
+
+  if (changed.length === 0) {
+    if (flags.json) {
+      out.jsonCompact({ id: entry.id, changed: [] });
+      return;
+    }
+    out.info('No changes.');
+    return;
+  }
+
+  if (!opts.scanned) updates = secrets.guard(updates, flags);
+  const res = await api.updateKnowledgeEntry(entry.id, updates);
+
+  if (!isOk(res)) {
+    out.error(`Failed to update entry: ${getError(res)}`);
+    process.exit(1);
+  }
+
+  const data = getData(res);
+  history.record(data);
+
+  if (flags.json) {
+    out.jsonCompact({ ...data, changed });
+    return;
+  }
+
+  out.success(`Knowledge entry updated: "${updates.title || entry.title || entry.key}"`);
+  console.log(`  ID: ${out.style.dim(entry.id)}`);
+  console.log(`  Changed: ${changed.join(', ')}`);
+  if (data?.version) console.log(`  Version: v${data.version}`);
+}
+
+async function editEntry(ref, flags) {
+  if (!ref) {
+    out.error('Entry ID or key is required.');
+    console.log('  Usage: npx beeboo knowledge edit <id|key>');
+    process.exit(1);
+  }
+
+  try {
+    const entry = await resolveEntry(ref, { namespace: config.getNamespace(flags) });
+
+    // Diff against what the editor showed, so filled-in defaults for fields
+    // the server left out don't count as edits
+    const shown = {
+      title: entry.title || '',
+      tags: entry.tags || [],
+      namespace: entry.namespace || 'default',
+      status: entry.status || 'published',
+    };
+    const doc = frontmatter.stringify(shown, entry.content || '');
+    const header = `# Editing ${entry.key || entry.id}. Save and close to apply, or exit without saving to cancel.\n`;
+
+    let edited;
+    try {
+      edited = editor.edit(doc.replace('---\n', `---\n${header}`), {
+        name: entry.key || entry.id,
+        ext: entry.content_type === 'markdown' ? '.md' : '.txt',
+      });
+    } catch (err) {
+      out.error(`Edit aborted: ${err.message}`);
+      process.exit(1);
+    }
+
+    const { data, body } = frontmatter.parse(edited);
+    const fields = { ...data, content: body };
+    if (typeof fields.tags === 'string') {
+      fields.tags = fields.tags.split(',').map(t => t.trim()).filter(Boolean);
+    }
+
+    await applyUpdates(entry, diffFields({ ...shown, content: entry.content }, fields), flags);
+  } catch (err) {
+    out.error(`Network error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+async function updateEntry(ref, flags) {
+  if (!ref) {
+    out.error('Entry ID or key is required.');
+    console.log('  Usage: npx beeboo knowledge update <id> [--title ...] [--content ...] [--tags t1,t2] [--namespace ns] [--status status]');
+    process.exit(1);
+  }
+
+  const fields = {};
+  if (typeof flags.title === 'string') fields.title = flags.title;
+  if (typeof flags.content === 'string') fields.content = flags.content;
+  if (typeof flags.namespace === 'string') fields.namespace = flags.namespace;
+  if (typeof flags.status === 'string') fields.status = flags.status;
+  if (typeof flags.type === 'string') fields.content_type = flags.type;
+  if (typeof flags.tags === 'string') {
+    fields.tags = flags.tags.split(',').map(t => t.trim()).filter(Boolean);
+  }
+
+  if (Object.keys(fields).length === 0) {
+    out.error('Nothing to update.');
+    console.log('  Pass at least one of: --title, --content, --tags, --namespace, --status, --type');
+    process.exit(1);
+  }
+
+  try {
+    // --namespace here is the new value to write, not where to look
+    const entry = await resolveEntry(ref, { namespace: config.getNamespace({ ...flags, namespace: undefined }) });
+    await applyUpdates(entry, diffFields(entry, fields), flags);
+  } catch (err) {
+    out.error(`Network error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Add and remove tags on one entry: `knowledge tag <id> +policy -draft`.
+ * Single-letter tags parse as flags, so --add/--remove are accepted too.
+ */
+async function tagEntry(ref, args, flags) {
+  const edits = tags.parseEdits(args);
+  edits.add.push(...tags.parse(flags.add));
+  edits.remove.push(...tags.parse(flags.remove));
+
+  if (!ref || (edits.add.length === 0 && edits.remove.length === 0)) {
+    out.error('Entry and at least one tag are required.');
+    console.log('  Usage: npx beeboo knowledge tag <id|key> +add -remove [--add t1,t2] [--remove t3]');
+    process.exit(1);
+  }
+
+  try {
+    const entry = await resolveEntry(ref, { namespace: config.getNamespace(flags) });
+    const next = tags.applyEdits(entry.tags, edits);
+    await applyUpdates(entry, diffFields(entry, { tags: next }), flags);
+  } catch (err) {
+    out.error(`Network error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * When an entry was last checked: updated, or marked reviewed.
+ */
+function lastReviewed(entry) {
+  const times = [entry.reviewed_at, entry.updated_at || entry.created_at].filter(Boolean);
+  return times.length ? times.reduce((a, b) => (new Date(a) > new Date(b) ? a : b)) : null;
+}
+
+/**
+ * Open review requests, by the entry they're about.
+ */
+async function openReviewRequests() {
+  const res = await paginate(api.listRequests, { status: 'open' });
+  if (!isOk(res)) throw new Error(getError(res));
+
+  const byEntry = new Map();
+  for (const r of getData(res) || []) {
+    if ((r.status || 'open') !== 'open' || r.metadata?.action !== 'knowledge.review') continue;
+    const id = r.metadata.knowledge_entry_id;
+    if (!id) continue;
+    if (!byEntry.has(id)) byEntry.set(id, []);
+    byEntry.get(id).push(r);
+  }
+  return byEntry;
+}
+
+function reviewRequest(entry, reviewedAt, olderThan, priority) {
+  const ref = `${entry.namespace || 'default'}/${entry.key || entry.id}`;
+  const url = `${credentials.getApiUrl()}/api/v1/knowledge/entries/${entry.id}`;
+  const days = reviewedAt ? Math.floor((Date.now() - new Date(reviewedAt).getTime()) / duration.DAY) : null;
+
+  return {
+    title: `Review knowledge: ${entry.title || entry.key}`,
+    description: `${ref} ${days === null ? 'has never been reviewed' : `was last reviewed ${days} days ago (${reviewedAt.slice(0, 10)})`}.\n\n` +
+      `Check it is still correct, update it if not, then run:\n  npx beeboo knowledge review --mark-reviewed ${entry.id}\n\n` +
+      `Entry: ${entry.id}\nLink: ${url}`,
+    priority,
+    metadata: {
+      action: 'knowledge.review',
+      knowledge_entry_id: entry.id,
+      knowledge_entry_key: entry.key || null,
+      knowledge_entry_url: url,
+      namespace: entry.namespace || 'default',
+      last_reviewed_at: reviewedAt,
+      older_than: olderThan,
+    },
+  };
+}
+
+/**
+ * Open a review request for every published entry not updated or
+ * reviewed within --older-than. Entries that already have an open review
+ * request are skipped, so this is safe to run on a schedule.
+ */
+async function reviewEntries(flags) {
+  if (flags['mark-reviewed'] !== undefined) return await markReviewed(flags['mark-reviewed'], flags);
+
+  const olderThan = typeof flags['older-than'] === 'string' ? flags['older-than'] : '90d';
+  let cutoff;
+  try {
+    cutoff = Date.now() - duration.parse(olderThan);
+  } catch (err) {
+    out.error(err.message);
+    console.log('  Usage: npx beeboo knowledge review --older-than 90d [--tag t] [--dry-run]');
+    process.exit(1);
+  }
+
+  try {
+    const query = { status: 'published' };
+    const namespace = config.getNamespace(flags);
+    if (namespace) query.namespace = namespace;
+
+    const res = await api.listAllKnowledgeEntries(query);
+    if (!isOk(res)) {
+      out.error(`Review failed: ${getError(res)}`);
+      process.exit(1);
+    }
+
+    const entries = tags.filter(getData(res) || [], tags.fromFlags(flags))
+      .filter(e => (e.status || 'published') === 'published')
+      .filter(e => !namespace || (e.namespace || 'default') === namespace);
+
+    const stale = entries
+      .map(entry => ({ entry, reviewedAt: lastReviewed(entry) }))
+      .filter(s => !s.reviewedAt || new Date(s.reviewedAt).getTime() < cutoff)
+      .sort((a, b) => String(a.reviewedAt || '').localeCompare(String(b.reviewedAt || '')));
+
+    const open = stale.length > 0 ? await openReviewRequests() : new Map();
+    const priority = flags.priority || 'medium';
+
+    for (const s of stale) {
+      const existing = open.get(s.entry.id);
+      if (existing) {
+        s.request = existing[0];
+        s.result = 'open';
+      } else if (flags['dry-run']) {
+        s.result = 'would create';
+      } else {
+        const created = await api.createRequest(reviewRequest(s.entry, s.reviewedAt, olderThan, priority));
+        if (isOk(created)) {
+          s.request = getData(created);
+          s.result = 'created';
+        } else {
+          s.result = 'failed';
+          s.error = getError(created);
+        }
+      }
+    }
+
+    const count = (r) => stale.filter(s => s.result === r).length;
+    const failed = count('failed');
+
+    if (flags.json) {
+      out.jsonCompact({
+        older_than: olderThan,
+        cutoff: new Date(cutoff).toISOString(),
+        checked: entries.length,
+        dry_run: !!flags['dry-run'],
+        stale: stale.map(s => ({
+          id: s.entry.id,
+          key: s.entry.key || null,
+          namespace: s.entry.namespace || 'default',
+          title: s.entry.title || null,
+          last_reviewed_at: s.reviewedAt,
+          result: s.result,
+          request_id: s.request?.id || null,
+          ...(s.error ? { error: s.error } : {}),
+        })),
+      });
+      if (failed) process.exit(1);
+      return;
+    }
+
+    if (stale.length === 0) {
+      out.success(`${entries.length} published entries checked — all reviewed within ${olderThan}`);
+      return;
+    }
+
+    console.log(`\n📋 ${out.style.bold(`${stale.length} of ${entries.length} entries`)} not reviewed in ${olderThan}:\n`);
+    out.table(stale.map(s => ({
+      key: `${s.entry.namespace || 'default'}/${s.entry.key || String(s.entry.id).slice(0, 8)}`,
+      reviewed: s.reviewedAt ? out.timeAgo(s.reviewedAt) : 'never',
+      request: s.request?.id ? `${String(s.request.id).slice(0, 8)} (${s.result})` : s.result,
+    })), [
+      { key: 'key', label: 'ENTRY', color: 'cyan' },
+      { key: 'reviewed', label: 'LAST REVIEWED', color: 'gray' },
+      { key: 'request', label: 'REVIEW REQUEST' },
+    ]);
+    console.log('');
+
+    for (const s of stale.filter(s => s.error)) {
+      out.error(`Could not open a request for ${s.entry.key || s.entry.id}: ${s.error}`);
+    }
+
+    if (flags['dry-run']) {
+      out.info(`Dry run — would open ${count('would create')} review request${count('would create') === 1 ? '' : 's'} (${count('open')} already open)`);
+    } else {
+      out.success(`Opened ${count('created')} review request${count('created') === 1 ? '' : 's'} (${count('open')} already open)`);
+    }
+    console.log(`  After checking an entry: ${out.style.cyan('npx beeboo knowledge review --mark-reviewed <id|key>')}`);
+    if (failed) process.exit(1);
+  } catch (err) {
+    out.error(`Network error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Record that an entry was checked and is still correct: sets reviewed_at
+ * (content is untouched) and completes its open review requests.
+ */
+async function markReviewed(ref, flags) {
+  if (!ref || ref === true) {
+    out.error('Entry ID or key is required.');
+    console.log('  Usage: npx beeboo knowledge review --mark-reviewed <id|key>');
+    process.exit(1);
+  }
+
+  try {
+    const entry = await resolveEntry(ref, { namespace: config.getNamespace(flags), prefer: 'published' });
+    const reviewedAt = new Date().toISOString();
+
+    history.record(entry);
+    const res = await api.updateKnowledgeEntry(entry.id, { reviewed_at: reviewedAt });
+    if (!isOk(res)) {
+      out.error(`Failed: ${getError(res)}`);
+      process.exit(1);
+    }
+    history.record(getData(res));
+
+    const completed = [];
+    for (const request of (await openReviewRequests()).get(entry.id) || []) {
+      const done = await api.completeRequest(request.id, flags.note || `Reviewed ${reviewedAt.slice(0, 10)}, still correct.`);
+      if (isOk(done)) completed.push(request.id);
+      else out.warn(`Could not complete review request ${String(request.id).slice(0, 8)}: ${getError(done)}`);
+    }
+
+    if (flags.json) {
+      out.jsonCompact({ id: entry.id, key: entry.key || null, reviewed_at: reviewedAt, completed_requests: completed });
+      return;
+    }
+
+    out.success(`Marked reviewed: ${entry.namespace || 'default'}/${entry.key || entry.id}`);
+    for (const id of completed) console.log(`  Completed review request ${out.style.dim(id)}`);
   } catch (err) {
     out.error(`Network error: ${err.message}`);
     process.exit(1);
   }
 }
 
-async function deleteEntry(id, flags) {
-  if (!id) {
+async function handleTags(args, flags) {
+  const sub = args[0] || 'list';
+
+  try {
+    switch (sub) {
+      case 'list':
+      case 'ls':
+        return await listTags(flags);
+      case 'rename':
+      case 'mv':
+        return await renameTag(args[1], args[2], flags);
+      default:
+        out.error(`Unknown tags command: ${sub}`);
+        console.log('  Commands: list, rename');
+        process.exit(1);
+    }
+  } catch (err) {
+    out.error(`Network error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+async function listTags(flags) {
+  const query = {};
+  const namespace = config.getNamespace(flags);
+  if (namespace) query.namespace = namespace;
+  if (flags.status) query.status = flags.status;
+
+  const res = await api.listAllKnowledgeEntries(query);
+
+  if (!isOk(res)) {
+    out.error(`Failed to list entries: ${getError(res)}`);
+    process.exit(1);
+  }
+
+  const entries = getData(res) || [];
+  const counts = tags.count(entries);
+
+  if (flags.json) {
+    out.jsonCompact({ tags: counts, untagged: entries.filter(e => !e.tags?.length).length });
+    return;
+  }
+
+  out.brand('Tags');
+  console.log('');
+
+  if (counts.length === 0) {
+    out.info('No tags yet.');
+    console.log(`  Add some: ${out.style.cyan('npx beeboo knowledge tag <id> +policy')}`);
+    return;
+  }
+
+  out.table(counts.map(c => ({ tag: c.tag, count: String(c.count) })), [
+    { key: 'tag', label: 'TAG', color: 'cyan' },
+    { key: 'count', label: 'ENTRIES' },
+  ]);
+
+  const untagged = entries.filter(e => !e.tags?.length).length;
+  console.log(`\n  ${out.style.dim(`${counts.length} tags${untagged ? `, ${untagged} untagged entries` : ''}`)}`);
+}
+
+/**
+ * Rewrite a tag on every entry that has it. Renaming onto an existing tag
+ * merges the two.
+ */
+async function renameTag(from, to, flags) {
+  if (!from || !to) {
+    out.error('Usage: npx beeboo knowledge tags rename <old> <new>');
+    process.exit(1);
+  }
+
+  // Every entry unless a namespace is named explicitly
+  const query = {};
+  if (typeof flags.namespace === 'string') query.namespace = flags.namespace;
+
+  const res = await api.listAllKnowledgeEntries(query);
+
+  if (!isOk(res)) {
+    out.error(`Failed to list entries: ${getError(res)}`);
+    process.exit(1);
+  }
+
+  const changes = [];
+  for (const entry of getData(res) || []) {
+    const next = tags.rename(entry.tags, from, to);
+    if (next) changes.push({ entry, tags: next });
+  }
+
+  if (changes.length === 0) {
+    if (flags.json) {
+      out.jsonCompact({ from, to, renamed: [] });
+      return;
+    }
+    out.info(`No entries tagged "${from}".`);
+    return;
+  }
+
+  if (!flags.json) {
+    console.log(`\n${out.style.bold('Rename:')} ${out.style.cyan(from)} → ${out.style.cyan(to)} on ${changes.length} entr${changes.length === 1 ? 'y' : 'ies'}\n`);
+    for (const c of changes) {
+      console.log(`  ${out.style.yellow('~')} ${c.entry.namespace || 'default'}/${c.entry.key || c.entry.id} ${out.style.dim(`[${c.tags.join(', ')}]`)}`);
+    }
+    console.log('');
+  }
+
+  if (flags['dry-run']) {
+    if (flags.json) {
+      out.jsonCompact({ from, to, dry_run: true, entries: changes.map(c => ({ id: c.entry.id, key: c.entry.key, tags: c.tags })) });
+      return;
+    }
+    out.info('Dry run — nothing was changed.');
+    return;
+  }
+
+  if (!flags.yes && !flags.json && prompt.isInteractive()) {
+    const ok = await prompt.confirm(`  Rename the tag on ${changes.length} entr${changes.length === 1 ? 'y' : 'ies'}?`);
+    if (!ok) {
+      out.info('Rename cancelled.');
+      return;
+    }
+  }
+
+  const results = [];
+  for (const c of changes) {
+    history.record(c.entry);
+    const upd = await api.updateKnowledgeEntry(c.entry.id, { tags: c.tags });
+    if (isOk(upd)) history.record(getData(upd));
+    results.push({ id: c.entry.id, key: c.entry.key, ok: isOk(upd), error: isOk(upd) ? null : getError(upd) });
+  }
+  const failed = results.filter(r => !r.ok);
+
+  if (flags.json) {
+    out.jsonCompact({ from, to, renamed: results });
+  } else {
+    for (const r of failed) {
+      console.log(`  ${out.style.red('✗')} ${r.key || r.id} ${out.style.dim(`— ${r.error}`)}`);
+    }
+    if (failed.length) out.warn(`Renamed on ${results.length - failed.length} of ${results.length} entries`);
+    else out.success(`Renamed "${from}" to "${to}" on ${results.length} entr${results.length === 1 ? 'y' : 'ies'}`);
+  }
+
+  if (failed.length > 0) process.exit(1);
+}
+
+async function deleteEntry(ref, flags) {
+  if (!ref) {
     out.error('Entry ID is required.');
-    console.log('  Usage: npx beeboo knowledge delete <id>');
+    console.log('  Usage: npx beeboo knowledge delete <id|prefix|key|title>');
     process.exit(1);
   }
 
   try {
+    const entry = await resolveEntry(ref, { namespace: config.getNamespace(flags), destructive: true });
+    const id = entry.id;
+
+    // Deleting an entry breaks every [[link]] to it
+    let backlinks = [];
+    const all = await api.listAllKnowledgeEntries({});
+    if (isOk(all)) {
+      ({ backlinks } = references.linksOf(entry, getData(all) || []));
+    } else if (!flags.json) {
+      out.warn(`Links to ${references.nodeId(entry)} could not be checked: ${getError(all)}`);
+    }
+    if (backlinks.length > 0 && !flags.json) {
+      out.warn(`${backlinks.length} entr${backlinks.length === 1 ? 'y links' : 'ies link'} to ${references.nodeId(entry)}:`);
+      for (const b of backlinks) console.log(`    ${out.style.cyan('←')} ${references.nodeId(b)}  ${out.style.dim(b.title || '')}`);
+      if (!flags.yes && prompt.isInteractive()) {
+        const ok = await prompt.confirm('  Delete it anyway?');
+        if (!ok) {
+          out.info('Delete cancelled.');
+          return;
+        }
+      }
+    }
+
     const res = await api.deleteKnowledgeEntry(id);
 
     if (!isOk(res)) {
@@ -243,8 +1331,11 @@ async function deleteEntry(id, flags) {
       process.exit(1);
     }
 
+    search.remove([id]);
+    forget('entry', id);
+
     if (flags.json) {
-      out.jsonCompact({ deleted: id });
+      out.jsonCompact({ deleted: id, broken_backlinks: backlinks.map(b => b.id) });
       return;
     }
 
@@ -0,0 +1,401 @@
+'use strict';
+
+/**
+ * lint.js — Knowledge base lint rules and rule configuration.
+ *
+ * Each rule looks at every entry and returns problems:
+ *   { rule, severity, entry, message, fix? }
+ * where `fix` is a set of field updates that are safe to PATCH without review.
+ *
+ * Rules are configured in .beeboo-lint.json (current directory) or
+ * ~/.beeboo/lint.json:
+ *
+ *   {
+ *     "rules": {
+ *       "missing-tags": "off",
+ *       "stale": ["warning", { "days": 90 }],
+ *       "oversized-content": { "severity": "error", "max_bytes": 20000 }
+ *     }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const similarity = require('./similarity');
+const references = require('./references');
+
+const SEVERITIES = ['error', 'warning', 'info', 'off'];
+
+// `commit` falls back to the first 80 characters of the message as title
+const COMMIT_TITLE_LIMIT = 80;
+
+function nsOf(entry) {
+  return entry.namespace || 'default';
+}
+
+/**
+ * Group entries by namespace (most rules only compare within one).
+ */
+function byNamespace(entries) {
+  const groups = new Map();
+  for (const e of entries) {
+    if (!groups.has(nsOf(e))) groups.set(nsOf(e), []);
+    groups.get(nsOf(e)).push(e);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * A short title from the start of some content: the first line, cut at the
+ * end of a sentence or a word boundary.
+ */
+function shortTitle(content, max = 72) {
+  const first = String(content || '').split('\n').map(l => l.replace(/^#+\s*/, '').trim()).find(Boolean) || '';
+  const sentence = first.match(/^(.+?[.!?])(\s|$)/);
+  let title = sentence && sentence[1].length <= max ? sentence[1].replace(/[.]$/, '') : first;
+  if (title.length > max) {
+    title = title.slice(0, max);
+    const space = title.lastIndexOf(' ');
+    if (space > max / 2) title = title.slice(0, space);
+    title = title.replace(/[\s,;:-]+$/, '') + '…';
+  }
+  return title;
+}
+
+/**
+ * Index pairs [i, j] (i < j) of entries whose `field` could be `threshold`
+ * similar, so near-duplicate doesn't compare every pair.
+ *
+ * Strings within edit distance d share at least (longer length - 2 - 3d)
+ * trigrams. With every string's trigrams sorted rarest first, two strings
+ * sharing that many must share one near the front, so only those are
+ * indexed and looked up, and each pair found is checked against the bound.
+ * Below a threshold of about 0.7 the bound reaches zero, and pairs with no
+ * trigram in common are skipped.
+ */
+function candidatePairs(group, field, threshold) {
+  const docs = [];
+  const frequency = new Map();
+  group.forEach((e, i) => {
+    if (!e[field]) return;
+    const text = similarity.normalize(e[field]);
+    const trigrams = text.length < 3 ? [text] : Array.from({ length: text.length - 2 }, (_, k) => text.slice(k, k + 3));
+    // Repeats are numbered, so shared trigrams are counted with multiplicity
+    const seen = new Map();
+    const grams = trigrams.map(g => {
+      seen.set(g, (seen.get(g) || 0) + 1);
+      return `${g}\u0000${seen.get(g)}`;
+    });
+    for (const g of grams) frequency.set(g, (frequency.get(g) || 0) + 1);
+    docs.push({ i, length: text.length, grams, set: new Set(grams) });
+  });
+
+  const postings = new Map();
+  const pairs = [];
+  for (const doc of docs) {
+    // Fewest trigrams this string shares with any string similar enough
+    const least = Math.max(1, Math.ceil(doc.length * (3 * threshold - 2) - 2));
+    const prefix = doc.grams
+      .sort((a, b) => frequency.get(a) - frequency.get(b) || (a < b ? -1 : 1))
+      .slice(0, doc.grams.length - least + 1);
+
+    const matched = new Set();
+    for (const gram of prefix) {
+      if (!postings.has(gram)) postings.set(gram, []);
+      const list = postings.get(gram);
+      for (const other of list) {
+        if (matched.has(other.i)) continue;
+        matched.add(other.i);
+        const longest = Math.max(other.length, doc.length);
+        const distance = Math.floor((1 - threshold) * longest + 1e-9);
+        if (Math.abs(other.length - doc.length) > distance) continue;
+        let shared = 0;
+        for (const g of doc.grams) if (other.set.has(g)) shared++;
+        if (shared >= longest - 2 - 3 * distance) pairs.push([other.i, doc.i]);
+      }
+      list.push(doc);
+    }
+  }
+  return pairs;
+}
+
+const RULES = {
+  'duplicate-key': {
+    description: 'Two entries with the same status share a key in one namespace',
+    severity: 'error',
+    check(entries) {
+      const problems = [];
+      const seen = new Map();
+      for (const e of entries) {
+        if (!e.key) continue;
+        const id = `${nsOf(e)}\u0000${e.key}\u0000${e.status || ''}`;
+        if (seen.has(id)) {
+          problems.push({ entry: e, message: `Key "${e.key}" is also used by ${String(seen.get(id).id).slice(0, 8)}` });
+        } else {
+          seen.set(id, e);
+        }
+      }
+      return problems;
+    },
+  },
+
+  'duplicate-title': {
+    description: 'Two entries in one namespace have the same title',
+    severity: 'warning',
+    check(entries) {
+      const problems = [];
+      for (const group of byNamespace(entries)) {
+        const seen = new Map();
+        for (const e of group) {
+          const title = similarity.normalize(e.title);
+          if (!title) continue;
+          const other = seen.get(title);
+          // A draft next to its published version is expected
+          if (other && other.key !== e.key) {
+            problems.push({ entry: e, message: `Title "${e.title}" is also used by ${other.key || String(other.id).slice(0, 8)}` });
+          } else if (!other) {
+            seen.set(title, e);
+          }
+        }
+      }
+      return problems;
+    },
+  },
+
+  'near-duplicate': {
+    description: 'Keys or titles that are almost the same (likely duplicates)',
+    severity: 'warning',
+    options: { threshold: 0.85 },
+    check(entries, opts) {
+      const problems = [];
+      for (const group of byNamespace(entries)) {
+        const pairs = [...candidatePairs(group, 'key', opts.threshold), ...candidatePairs(group, 'title', opts.threshold)];
+        const seen = new Set();
+        for (const [i, j] of pairs.sort((x, y) => x[0] - y[0] || x[1] - y[1])) {
+          if (seen.has(`${i} ${j}`)) continue;
+          seen.add(`${i} ${j}`);
+          const a = group[i];
+          const b = group[j];
+          if (a.key && a.key === b.key) continue;
+          if (similarity.normalize(a.title) === similarity.normalize(b.title)) continue;
+          const score = Math.max(
+            a.key && b.key ? similarity.ratio(a.key, b.key) : 0,
+            a.title && b.title ? similarity.ratio(a.title, b.title) : 0);
+          if (score >= opts.threshold) {
+            problems.push({ entry: b, message: `Looks like a duplicate of ${a.key || String(a.id).slice(0, 8)} (${Math.round(score * 100)}% similar)` });
+          }
+        }
+      }
+      return problems;
+    },
+  },
+
+  'empty-content': {
+    description: 'Entry has no content',
+    severity: 'error',
+    check(entries) {
+      return entries.filter(e => !String(e.content || '').trim()).map(e => ({ entry: e, message: 'Content is empty' }));
+    },
+  },
+
+  'missing-tags': {
+    description: 'Entry has no tags',
+    severity: 'warning',
+    check(entries) {
+      return entries.filter(e => !e.tags?.length).map(e => ({ entry: e, message: 'No tags' }));
+    },
+  },
+
+  'tag-format': {
+    description: 'Tags with uppercase letters, surrounding spaces or duplicates',
+    severity: 'warning',
+    fixable: true,
+    check(entries) {
+      const problems = [];
+      for (const e of entries) {
+        if (!e.tags?.length) continue;
+        const fixed = [...new Set(e.tags.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+        if (JSON.stringify(fixed) !== JSON.stringify(e.tags)) {
+          problems.push({ entry: e, message: `Tags should be [${fixed.join(', ')}]`, fix: { tags: fixed } });
+        }
+      }
+      return problems;
+    },
+  },
+
+  'truncated-title': {
+    description: 'Title was cut off at 80 characters by `commit`',
+    severity: 'warning',
+    fixable: true,
+    check(entries) {
+      return entries
+        .filter(e => e.title && e.title.length === COMMIT_TITLE_LIMIT && String(e.content || '').startsWith(e.title))
+        .map(e => {
+          const title = shortTitle(e.content);
+          const problem = { entry: e, message: 'Title is the first 80 characters of the content' };
+          if (title && title !== e.title) problem.fix = { title };
+          return problem;
+        });
+    },
+  },
+
+  'title-whitespace': {
+    description: 'Title has leading, trailing or repeated whitespace',
+    severity: 'warning',
+    fixable: true,
+    check(entries) {
+      return entries
+        .filter(e => typeof e.title === 'string' && e.title !== e.title.trim().replace(/\s+/g, ' '))
+        .map(e => ({ entry: e, message: 'Title has stray whitespace', fix: { title: e.title.trim().replace(/\s+/g, ' ') } }));
+    },
+  },
+
+  'stale': {
+    description: 'Entry has not been updated or reviewed in a long time',
+    severity: 'info',
+    options: { days: 180 },
+    check(entries, opts) {
+      const cutoff = Date.now() - opts.days * 86400000;
+      return entries
+        .filter(e => e.status !== 'draft')
+        .map(e => ({ e, t: Math.max(...[e.reviewed_at, e.updated_at || e.created_at].map(d => new Date(d || 0).getTime() || 0)) }))
+        .filter(({ t }) => t && t < cutoff)
+        .map(({ e, t }) => ({ entry: e, message: `Not updated or reviewed in ${Math.floor((Date.now() - t) / 86400000)} days` }));
+    },
+  },
+
+  'broken-reference': {
+    description: 'Content links to an entry ([[key]] or [[namespace/key]]) that does not exist',
+    severity: 'error',
+    check(entries) {
+      const index = references.indexEntries(entries);
+      const problems = [];
+      for (const e of entries) {
+        for (const { ref } of references.extract(e.content)) {
+          if (!references.resolve(ref, nsOf(e), index)) {
+            problems.push({ entry: e, message: `Reference [[${ref}]] points to a missing entry` });
+          }
+        }
+      }
+      return problems;
+    },
+  },
+
+  'oversized-content': {
+    description: 'Content is larger than agents can use comfortably',
+    severity: 'warning',
+    options: { max_bytes: 50000 },
+    check(entries, opts) {
+      return entries
+        .filter(e => Buffer.byteLength(String(e.content || '')) > opts.max_bytes)
+        .map(e => ({ entry: e, message: `Content is ${Math.round(Buffer.byteLength(e.content) / 1024)} KB (limit ${Math.round(opts.max_bytes / 1024)} KB)` }));
+    },
+  },
+};
+
+/**
+ * Find the lint config: an explicit path, ./.beeboo-lint.json or
+ * ~/.beeboo/lint.json. Returns { path, config } (path null if none).
+ */
+function loadConfig(explicit) {
+  const candidates = explicit
+    ? [path.resolve(explicit)]
+    : [path.resolve('.beeboo-lint.json'), path.join(os.homedir(), '.beeboo', 'lint.json')];
+
+  for (const file of candidates) {
+    if (!fs.existsSync(file)) {
+      if (explicit) throw new Error(`Lint config not found: ${explicit}`);
+      continue;
+    }
+    try {
+      return { path: file, config: JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (err) {
+      throw new Error(`Invalid lint config ${file}: ${err.message}`);
+    }
+  }
+  return { path: null, config: {} };
+}
+
+/**
+ * Effective settings per rule: { severity, options }.
+ * A rule setting may be a severity string, [severity, options] or
+ * { severity, ...options }.
+ */
+function resolveRules(config = {}, only = null) {
+  const settings = {};
+  for (const [id, rule] of Object.entries(RULES)) {
+    let severity = rule.severity;
+    let options = { ...(rule.options || {}) };
+    const raw = config.rules?.[id];
+
+    if (typeof raw === 'string') {
+      severity = raw;
+    } else if (Array.isArray(raw)) {
+      severity = raw[0] || severity;
+      options = { ...options, ...(raw[1] || {}) };
+    } else if (raw && typeof raw === 'object') {
+      const { severity: s, ...rest } = raw;
+      severity = s || severity;
+      options = { ...options, ...rest };
+    }
+
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Unknown severity "${severity}" for rule ${id} (use ${SEVERITIES.join(', ')})`);
+    }
+    if (only && !only.includes(id)) severity = 'off';
+    settings[id] = { severity, options };
+  }
+
+  for (const id of Object.keys(config.rules || {})) {
+    if (!RULES[id]) throw new Error(`Unknown lint rule: ${id}`);
+  }
+  return settings;
+}
+
+/**
+ * Apply every enabled fixable rule to one entry in turn, each checking the
+ * entry as the previous fixes left it, so two fixes to the same field
+ * don't overwrite each other. Returns the changed fields (empty if none).
+ */
+function fixEntry(entry, settings) {
+  let current = entry;
+  for (const [id, rule] of Object.entries(RULES)) {
+    if (!rule.fixable || settings[id].severity === 'off') continue;
+    for (const p of rule.check([current], settings[id].options)) {
+      if (p.fix) current = { ...current, ...p.fix };
+    }
+  }
+
+  const updates = {};
+  for (const [field, value] of Object.entries(current)) {
+    if (JSON.stringify(value) !== JSON.stringify(entry[field])) updates[field] = value;
+  }
+  return updates;
+}
+
+/**
+ * Run every enabled rule.
+ * @returns {{rule: string, severity: string, entry: object, message: string, fix?: object}[]}
+ */
+function run(entries, settings) {
+  const problems = [];
+  for (const [id, rule] of Object.entries(RULES)) {
+    const { severity, options } = settings[id];
+    if (severity === 'off') continue;
+    for (const p of rule.check(entries, options)) {
+      problems.push({ rule: id, severity, ...p });
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  RULES,
+  SEVERITIES,
+  loadConfig,
+  resolveRules,
+  run,
+  fixEntry,
+  shortTitle,
+};
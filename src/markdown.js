@@ -0,0 +1,304 @@
+'use strict';
+
+/**
+ * markdown.js — Render markdown for the terminal using the styles in
+ * output.js: headings, lists, block quotes, code blocks, tables, emphasis
+ * and links, wrapped to the terminal width.
+ *
+ * With NO_COLOR (or when piped) the styles are no-ops and the result is
+ * plain text: setext-underlined headings, "•" bullets, indented code.
+ */
+
+const out = require('./output');
+
+const ANSI = /\x1b\[[0-9;]*m/g;
+const RESET = '\x1b[0m';
+
+const MARKDOWN_TYPES = new Set(['markdown', 'md', 'text/markdown']);
+
+/**
+ * True when an entry's content should be rendered as markdown.
+ */
+function isMarkdown(entry) {
+  return MARKDOWN_TYPES.has(String(entry?.content_type || '').toLowerCase());
+}
+
+function visibleLength(text) {
+  return text.replace(ANSI, '').length;
+}
+
+function terminalWidth() {
+  return Math.max(40, process.stdout.columns || 80);
+}
+
+/**
+ * Word-wrap styled text. Styles that span a line break are closed at the
+ * end of the line and reopened after the next line's prefix.
+ */
+function wrap(text, width, firstPrefix = '', restPrefix = firstPrefix) {
+  const lines = [];
+  let line = firstPrefix;
+  let lineLength = visibleLength(firstPrefix);
+  let empty = true;
+  let active = '';
+
+  for (const word of text.split(/ +/)) {
+    if (!word) continue;
+    const len = visibleLength(word);
+    if (!empty && lineLength + 1 + len > width) {
+      lines.push(active ? line + RESET : line);
+      line = restPrefix + active;
+      lineLength = visibleLength(restPrefix);
+      empty = true;
+    }
+    line += (empty ? '' : ' ') + word;
+    lineLength += (empty ? 0 : 1) + len;
+    empty = false;
+
+    for (const code of word.match(ANSI) || []) {
+      active = code === RESET ? '' : active + code;
+    }
+  }
+  lines.push(line);
+  return lines;
+}
+
+/**
+ * Inline markup: code spans, bold, italics, strikethrough, links, images,
+ * [[references]].
+ */
+function inline(text) {
+  // Pull code spans out first so their contents aren't styled
+  const spans = [];
+  let s = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => {
+    spans.push(out.style.cyan(code.trim()));
+    return `\u0000${spans.length - 1}\u0000`;
+  });
+
+  s = s
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g, (_, alt) => out.style.dim(`[image${alt ? `: ${alt}` : ''}]`))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (_, label, url) =>
+      (label === url ? out.style.underline(url) : `${out.style.underline(label)} ${out.style.dim(`(${url})`)}`))
+    .replace(/<((?:https?|mailto):[^>\s]+)>/g, (_, url) => out.style.underline(url))
+    .replace(/\[\[([^\]|#]+)(?:#[^\]|]*)?(?:\|([^\]]*))?\]\]/g, (_, ref, label) => out.style.cyan(label || ref))
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, (_, m, t) => out.style.bold(t))
+    .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?!\w)/g, (_, pre, t) => pre + out.style.italic(t))
+    .replace(/(^|[^\w_])_(?=\S)([^_]*?\S)_(?!\w)/g, (_, pre, t) => pre + out.style.italic(t))
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, (_, t) => out.style.dim(t))
+    .replace(/\\([\\`*_{}[\]()#+\-.!~|>])/g, '$1');
+
+  return s.replace(/\u0000(\d+)\u0000/g, (_, i) => spans[Number(i)]);
+}
+
+function splitRow(line) {
+  return line.trim().replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map(c => c.trim().replace(/\\\|/g, '|'));
+}
+
+function isTableSeparator(line) {
+  return /^\s*\|?\s*:?-{1,}:?\s*(\|\s*:?-{1,}:?\s*)*\|?\s*$/.test(line) && line.includes('-');
+}
+
+function renderTable(rows, aligns, indent) {
+  const cells = rows.map(r => r.map(inline));
+  const cols = Math.max(...cells.map(r => r.length));
+  const widths = [];
+  for (let i = 0; i < cols; i++) {
+    widths[i] = Math.max(3, ...cells.map(r => visibleLength(r[i] || '')));
+  }
+
+  const pad = (text, i) => {
+    const gap = widths[i] - visibleLength(text);
+    if (aligns[i] === 'right') return ' '.repeat(gap) + text;
+    if (aligns[i] === 'center') return ' '.repeat(Math.floor(gap / 2)) + text + ' '.repeat(Math.ceil(gap / 2));
+    return text + ' '.repeat(gap);
+  };
+  const bar = out.style.dim('│');
+  const rule = (l, m, r) => indent + out.style.dim(l + widths.map(w => '─'.repeat(w + 2)).join(m) + r);
+  const row = (r, header) => indent + bar + widths.map((_, i) => {
+    const text = pad(r[i] || '', i);
+    return ` ${header ? out.style.bold(text) : text} `;
+  }).join(bar) + bar;
+
+  const lines = [rule('┌', '┬', '┐'), row(cells[0], true), rule('├', '┼', '┤')];
+  for (const r of cells.slice(1)) lines.push(row(r, false));
+  lines.push(rule('└', '┴', '┘'));
+  return lines;
+}
+
+function renderHeading(level, text, width, indent) {
+  const styled = inline(text);
+  if (!out.useColor) {
+    const lines = wrap(styled, width, indent);
+    if (level <= 2) lines.push(indent + (level === 1 ? '=' : '-').repeat(Math.min(visibleLength(text), width - indent.length)));
+    return lines;
+  }
+  const color = level === 1 ? out.style.amber : level === 2 ? out.style.cyan : (t) => t;
+  return wrap(styled, width, indent).map(l => color(out.style.bold(l)));
+}
+
+/**
+ * Render markdown to a terminal string.
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {number} [opts.width] - Wrap width (default: terminal width)
+ * @param {number} [opts.indent] - Left margin in spaces
+ * @returns {string}
+ */
+function render(text, opts = {}) {
+  const width = opts.width || terminalWidth();
+  const margin = ' '.repeat(opts.indent || 0);
+  const src = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const result = [];
+  let para = [];
+
+  const blank = () => {
+    if (result.length && result[result.length - 1] !== '') result.push('');
+  };
+  const flush = () => {
+    if (para.length === 0) return;
+    // Two trailing spaces or a backslash force a line break
+    const segments = [];
+    let current = [];
+    for (const l of para) {
+      const hard = / {2,}$|\\$/.test(l);
+      current.push(l.replace(/ {2,}$|\\$/, '').trim());
+      if (hard) {
+        segments.push(current.join(' '));
+        current = [];
+      }
+    }
+    if (current.length) segments.push(current.join(' '));
+    for (const seg of segments) result.push(...wrap(inline(seg), width, margin));
+    para = [];
+    blank();
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const line = src[i];
+
+    // Fenced code block
+    const fence = line.match(/^\s*(```|~~~)\s*([\w+-]*)/);
+    if (fence) {
+      flush();
+      const code = [];
+      i++;
+      while (i < src.length && !src[i].trim().startsWith(fence[1])) code.push(src[i++]);
+      if (fence[2]) result.push(margin + out.style.dim(fence[2]));
+      for (const c of code) result.push(`${margin}    ${out.style.gray(c)}`);
+      blank();
+      continue;
+    }
+
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+
+    // ATX heading
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      flush();
+      result.push(...renderHeading(heading[1].length, heading[2], width, margin));
+      blank();
+      continue;
+    }
+
+    // Setext heading (underline on the next line)
+    if (para.length === 0 && i + 1 < src.length && /^\s{0,3}(=+|-+)\s*$/.test(src[i + 1]) && !/^\s*([-*+]|\d+[.)])\s/.test(line)) {
+      result.push(...renderHeading(src[i + 1].trim()[0] === '=' ? 1 : 2, line.trim(), width, margin));
+      blank();
+      i++;
+      continue;
+    }
+
+    // Horizontal rule
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+      result.push(margin + out.style.dim('─'.repeat(Math.max(3, width - margin.length))));
+      blank();
+      continue;
+    }
+
+    // Table: header row followed by a separator row
+    if (line.includes('|') && i + 1 < src.length && isTableSeparator(src[i + 1])) {
+      flush();
+      const aligns = splitRow(src[i + 1]).map(c =>
+        (c.startsWith(':') && c.endsWith(':') ? 'center' : c.endsWith(':') ? 'right' : 'left'));
+      const rows = [splitRow(line)];
+      i += 2;
+      while (i < src.length && src[i].includes('|') && src[i].trim()) rows.push(splitRow(src[i++]));
+      i--;
+      result.push(...renderTable(rows, aligns, margin));
+      blank();
+      continue;
+    }
+
+    // Block quote
+    const quote = line.match(/^\s{0,3}>\s?(.*)$/);
+    if (quote) {
+      flush();
+      const lines = [quote[1]];
+      while (i + 1 < src.length && /^\s{0,3}>/.test(src[i + 1])) lines.push(src[++i].replace(/^\s{0,3}>\s?/, ''));
+      const inner = render(lines.join('\n'), { width: width - margin.length - 2 }).split('\n');
+      for (const l of inner) result.push(`${margin}${out.style.dim('│')} ${l}`);
+      blank();
+      continue;
+    }
+
+    // List item (bullets, numbers, task boxes); continuation lines are
+    // indented at least as far as the item text
+    const item = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+    if (item) {
+      flush();
+      const depth = Math.floor(item[1].replace(/\t/g, '  ').length / 2);
+      let body = item[3];
+      let marker = /\d/.test(item[2]) ? item[2].replace(')', '.') : '•';
+      const task = body.match(/^\[([ xX])\]\s+(.*)$/);
+      if (task) {
+        marker = task[1] === ' ' ? '☐' : '☑';
+        body = task[2];
+      }
+      while (i + 1 < src.length && src[i + 1].trim() &&
+        /^\s{2,}\S/.test(src[i + 1]) && !/^\s*([-*+]|\d+[.)])\s/.test(src[i + 1])) {
+        body += ' ' + src[++i].trim();
+      }
+      const lead = margin + '  '.repeat(depth + 1);
+      const first = `${lead}${out.style.dim(marker)} `;
+      result.push(...wrap(inline(body), width, first, lead + ' '.repeat(marker.length + 1)));
+      // Separate the list from what follows
+      if (i + 1 < src.length && !src[i + 1].trim()) blank();
+      continue;
+    }
+
+    para.push(line);
+  }
+  flush();
+
+  while (result.length && result[result.length - 1] === '') result.pop();
+  return result.join('\n');
+}
+
+/**
+ * One-line plain-text preview of markdown (for search results).
+ */
+function preview(text, max = 120) {
+  const plain = String(text || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<((?:https?|mailto):[^>\s]+)>/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+[.)])\s+/gm, '')
+    .replace(/^\s*\|?[\s:|-]+\|?\s*$/gm, ' ')
+    .replace(/[*_`~|]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return plain.length > max ? plain.slice(0, max) + '...' : plain;
+}
+
+module.exports = {
+  isMarkdown,
+  render,
+  preview,
+  wrap,
+  visibleLength,
+};
@@ -0,0 +1,264 @@
+'use strict';
+
+/**
+ * money.js — Read and show amounts of money.
+ *
+ * Understands what people type in requests and on the command line:
+ *
+ *   $1,200.50   €2.5k   $1.2M   5,000 USD   GBP 300   300 pounds
+ *   between $4k and $5k   $4k-$5k   €4-5k   from 300 to 450 EUR
+ *
+ * Amounts are sent as a number plus an ISO currency code. A range is sent
+ * as its upper bound, with the bounds in metadata.amount_range, so limits
+ * like --max-amount stay on the safe side. Approvals without a currency
+ * are taken to be in USD, which is what the CLI always showed them as.
+ */
+
+const DEFAULT_CURRENCY = 'USD';
+
+const CODES = [
+  'USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK',
+  'PLN', 'CZK', 'INR', 'CNY', 'HKD', 'SGD', 'MXN', 'BRL', 'ZAR',
+];
+
+const SYMBOLS = {
+  'US$': 'USD', 'CA$': 'CAD', 'C$': 'CAD', 'AU$': 'AUD', 'A$': 'AUD', 'NZ$': 'NZD',
+  'HK$': 'HKD', 'S$': 'SGD', '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR',
+};
+
+const WORDS = {
+  dollar: 'USD', dollars: 'USD', bucks: 'USD',
+  euro: 'EUR', euros: 'EUR',
+  pound: 'GBP', pounds: 'GBP', quid: 'GBP',
+  yen: 'JPY',
+};
+
+const MULTIPLIERS = {
+  k: 1e3, thousand: 1e3,
+  m: 1e6, mm: 1e6, mn: 1e6, million: 1e6,
+  b: 1e9, bn: 1e9, billion: 1e9,
+};
+
+const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const byLength = (a, b) => b.length - a.length;
+
+const SYMBOL = Object.keys(SYMBOLS).sort(byLength).map(escape).join('|');
+const CODE = CODES.join('|');
+const WORD = Object.keys(WORDS).sort(byLength).join('|');
+const MULTIPLIER = Object.keys(MULTIPLIERS).sort(byLength).join('|');
+
+// One amount: optional currency before, number, optional k/M, optional currency after
+const VALUE = `(?:(?<![A-Za-z])(?:${SYMBOL})\\s?|\\b(?:${CODE})\\s?)?` +
+  `(?<![\\d.,])(?:\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.\\d+)?(?![\\d,]*\\d)` +
+  `(?:\\s?(?:${MULTIPLIER})\\b)?` +
+  `(?:\\s?(?:\\b(?:${CODE}|${WORD})\\b|€))?`;
+
+const RANGE = `\\bbetween\\s+(${VALUE})\\s+and\\s+(${VALUE})|(?:\\bfrom\\s+)?(${VALUE})\\s*(?:-|–|—|\\bto\\b)\\s*(${VALUE})`;
+
+const PARTS = new RegExp(
+  `^(?:(${SYMBOL})\\s?|(${CODE})\\s?)?` +
+  '(\\d{1,3}(?:,\\d{3})+|\\d+)(\\.\\d+)?' +
+  `(?:\\s?(${MULTIPLIER}))?` +
+  `(?:\\s?(${CODE}|${WORD}|€))?$`,
+  'i'
+);
+
+/**
+ * Read one matched amount.
+ * @returns {{amount: number, currency: string|null, scale: number}|null}
+ */
+function parseValue(text) {
+  const m = String(text).trim().match(PARTS);
+  if (!m) return null;
+  const [, symbol, prefixCode, whole, fraction, multiplier, suffix] = m;
+
+  const currencies = [
+    symbol ? SYMBOLS[symbol.toUpperCase()] || SYMBOLS[symbol] : null,
+    prefixCode ? prefixCode.toUpperCase() : null,
+    suffix ? (suffix === '€' ? 'EUR' : WORDS[suffix.toLowerCase()] || suffix.toUpperCase()) : null,
+  ].filter(Boolean);
+  if (new Set(currencies).size > 1) return null;
+
+  const number = parseFloat(`${whole.replace(/,/g, '')}${fraction || ''}`);
+  const scale = multiplier ? MULTIPLIERS[multiplier.toLowerCase()] : 1;
+  return {
+    amount: Math.round(number * scale * 100) / 100,
+    currency: currencies[0] || null,
+    scale,
+  };
+}
+
+/**
+ * Combine the two ends of a range: "€4-5k" is €4,000 to €5,000.
+ */
+function toRange(lowText, highText) {
+  const low = parseValue(lowText);
+  const high = parseValue(highText);
+  if (!low || !high) return null;
+  if (low.currency && high.currency && low.currency !== high.currency) return null;
+
+  let min = low.amount;
+  if (low.scale === 1 && high.scale > 1 && min * high.scale <= high.amount) {
+    min = Math.round(min * high.scale * 100) / 100;
+  }
+  if (min > high.amount) return null;
+
+  return { amount: high.amount, currency: low.currency || high.currency, min, max: high.amount };
+}
+
+function rangeOf(m) {
+  return m[1] !== undefined ? toRange(m[1], m[2]) : toRange(m[3], m[4]);
+}
+
+/**
+ * Whether a range match in free text is really an amount followed by a
+ * count: in "send $50 to 100 users" the bare number after "to" is
+ * followed by a word, so it counts users rather than ending a range.
+ */
+function countsThings(s, m) {
+  if (m[3] === undefined) return false;
+  const high = parseValue(m[4]);
+  if (!parseValue(m[3])?.currency || !high || high.currency || high.scale !== 1) return false;
+
+  const start = m[0].indexOf(m[3]) + m[3].length;
+  const separator = m[0].slice(start, m[0].length - m[4].length);
+  return /\bto\b/i.test(separator) && /^\s+[A-Za-z]/.test(s.slice(m.index + m[0].length));
+}
+
+/**
+ * Parse a whole string as an amount or a range, e.g. an --amount value.
+ * A bare number is allowed and has no currency.
+ * @returns {{amount: number, currency: string|null, min?: number, max?: number}|null}
+ */
+function parse(text) {
+  const s = String(text ?? '').trim();
+  if (!s) return null;
+
+  const range = s.match(new RegExp(`^(?:${RANGE})$`, 'i'));
+  if (range) return rangeOf(range);
+
+  if (!new RegExp(`^${VALUE}$`, 'i').test(s)) return null;
+  const value = parseValue(s);
+  return value && { amount: value.amount, currency: value.currency };
+}
+
+/**
+ * Find the first amount of money in free text. Only amounts with a
+ * currency count here, so "3 laptops" or "Q4" aren't taken for prices.
+ *
+ *   "$4000-5000 catering"        $4,000–$5,000 (sent as $5,000)
+ *   "$4,000 to 5,000"            $4,000–$5,000
+ *   "between $4000 and 5000"     $4,000–$5,000
+ *   "send $50 to 100 users"      $50
+ *
+ * @returns {{amount: number, currency: string, min?: number, max?: number}|null}
+ */
+function find(text) {
+  const s = String(text ?? '');
+
+  const ranges = new RegExp(RANGE, 'gi');
+  let m;
+  while ((m = ranges.exec(s))) {
+    const range = rangeOf(m);
+    if (range?.currency && !countsThings(s, m)) return range;
+  }
+
+  const values = new RegExp(VALUE, 'gi');
+  while ((m = values.exec(s))) {
+    const value = parseValue(m[0]);
+    if (value?.currency) return { amount: value.amount, currency: value.currency };
+  }
+  return null;
+}
+
+/**
+ * A limit such as --max-amount or a policy's max_amount: a number, or an
+ * amount with a currency ("5k", "€500"). Ranges aren't limits. A limit
+ * without a currency is in USD, like approvals without one.
+ * @returns {{amount: number, currency: string}}
+ */
+function limit(value, name) {
+  const parsed = typeof value === 'number' ? { amount: value, currency: null } : parse(value);
+  if (!parsed || !Number.isFinite(parsed.amount) || parsed.max !== undefined) {
+    throw new Error(`Invalid ${name}: ${value} (use e.g. 500, 5k or €500)`);
+  }
+  return { amount: parsed.amount, currency: parsed.currency || DEFAULT_CURRENCY };
+}
+
+/**
+ * An approval's currency (USD when it doesn't say).
+ */
+function currencyOf(approval) {
+  return approval.currency || DEFAULT_CURRENCY;
+}
+
+/**
+ * Whether an approval's amount is within a limit from `limit()`. Only
+ * approvals in the limit's currency match, and an approval without an
+ * amount (or one that isn't a number) never does: a request whose amount
+ * got lost must not pass as free.
+ */
+function within(approval, bound, direction) {
+  if (currencyOf(approval) !== bound.currency) return false;
+  if (approval.amount === null || approval.amount === undefined || approval.amount === '') return false;
+  const amount = Number(approval.amount);
+  if (!Number.isFinite(amount)) return false;
+  return direction === 'min' ? amount >= bound.amount : amount <= bound.amount;
+}
+
+/**
+ * The approval fields for a parsed amount: amount, currency and, for a
+ * range, metadata.amount_range.
+ */
+function approvalFields(parsed, metadata) {
+  const fields = { amount: parsed.amount };
+  if (parsed.currency) fields.currency = parsed.currency;
+  if (parsed.max !== undefined) {
+    fields.metadata = { ...(metadata || {}), amount_range: { min: parsed.min, max: parsed.max } };
+  }
+  return fields;
+}
+
+/**
+ * "€2,500", "$1,200.50", "CA$300".
+ */
+function format(amount, currency) {
+  const code = currency || DEFAULT_CURRENCY;
+  const n = Number(amount);
+  const digits = Number.isInteger(n) ? 0 : 2;
+  try {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: code,
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    }).format(n);
+  } catch {
+    return `${n} ${code}`;
+  }
+}
+
+/**
+ * An approval's amount for display ("$4,000–$5,000" for a range), or null.
+ */
+function display(approval) {
+  if (!approval.amount) return null;
+  const range = approval.metadata?.amount_range;
+  if (range && range.min !== undefined && range.max !== undefined) {
+    return `${format(range.min, approval.currency)}–${format(range.max, approval.currency)}`;
+  }
+  return format(approval.amount, approval.currency);
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  CODES,
+  parse,
+  find,
+  limit,
+  currencyOf,
+  within,
+  approvalFields,
+  format,
+  display,
+};
@@ -11,6 +11,8 @@ const CODES = {
   reset: '\x1b[0m',
   bold: '\x1b[1m',
   dim: '\x1b[2m',
+  italic: '\x1b[3m',
+  underline: '\x1b[4m',
   red: '\x1b[31m',
   green: '\x1b[32m',
   yellow: '\x1b[33m',
@@ -32,6 +34,8 @@ function c(code, text) {
 const style = {
   bold: (t) => c(CODES.bold, t),
   dim: (t) => c(CODES.dim, t),
+  italic: (t) => c(CODES.italic, t),
+  underline: (t) => c(CODES.underline, t),
   red: (t) => c(CODES.red, t),
   green: (t) => c(CODES.green, t),
   yellow: (t) => c(CODES.yellow, t),
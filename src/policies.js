@@ -0,0 +1,211 @@
+'use strict';
+
+/**
+ * policies.js — Rules that approve or deny routine approvals automatically.
+ *
+ * Rules live in ~/.beeboo/policies.json (deliberately not in the current
+ * directory, so a checked-out repo can't approve its own requests); another
+ * file is only used when named with --policy. They are tried in order and
+ * the first rule whose conditions all hold decides; approvals no rule
+ * matches wait for a human.
+ *
+ *   {
+ *     "rules": [
+ *       { "name": "large", "action": "human", "when": { "min_amount": 5000 } },
+ *       { "name": "small-expenses", "action": "approve",
+ *         "when": { "category": ["expense", "travel"], "max_amount": 50 } },
+ *       { "name": "agent-knowledge", "action": "approve",
+ *         "when": { "category": "knowledge", "requester": "agent-*" } },
+ *       { "name": "gift-cards", "action": "deny", "note": "Gift cards need finance sign-off.",
+ *         "when": { "title_match": "gift card" } }
+ *     ]
+ *   }
+ *
+ * Conditions:
+ *   category, urgency   a value or a list of values
+ *   requester           name, ID or email; a value or a list, * wildcards
+ *   min_amount, max_amount
+ *                       a number (USD) or an amount like "€500"; only
+ *                       approvals in that currency match, and approvals
+ *                       without an amount never do
+ *   title_match         case-insensitive regex
+ *   older_than          a duration such as 2d
+ *
+ * A rule with no conditions matches everything, so it works as a default
+ * at the end of the list.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const duration = require('./duration');
+const money = require('./money');
+
+const ACTIONS = ['approve', 'deny', 'human'];
+const CONDITIONS = ['category', 'urgency', 'requester', 'min_amount', 'max_amount', 'title_match', 'older_than'];
+
+function toList(value) {
+  return (Array.isArray(value) ? value : [value]).map(v => String(v));
+}
+
+function glob(pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Every name an approval's requester goes by.
+ */
+function requesterNames(approval) {
+  const who = approval.requested_by || approval.created_by;
+  if (!who) return [];
+  if (typeof who === 'string') return [who];
+  return [who.name, who.id, who.email].filter(Boolean).map(String);
+}
+
+/**
+ * Turn one condition into a test returning { pass, actual }.
+ */
+function compile(field, value, where) {
+  switch (field) {
+    case 'category':
+    case 'urgency': {
+      const allowed = toList(value);
+      const fallback = field === 'category' ? 'general' : 'normal';
+      return (a) => {
+        const actual = a[field] || fallback;
+        return { pass: allowed.includes(actual), actual };
+      };
+    }
+    case 'requester': {
+      const patterns = toList(value).map(glob);
+      return (a) => {
+        const names = requesterNames(a);
+        return { pass: names.some(n => patterns.some(p => p.test(n))), actual: names.join(', ') || null };
+      };
+    }
+    case 'min_amount':
+    case 'max_amount': {
+      let limit;
+      try {
+        limit = money.limit(value, field);
+      } catch (err) {
+        throw new Error(`${where}: ${err.message}`);
+      }
+      return (a) => ({
+        pass: money.within(a, limit, field === 'min_amount' ? 'min' : 'max'),
+        actual: a.amount === null || a.amount === undefined || a.amount === '' ? null : money.display(a) || money.format(a.amount, a.currency),
+      });
+    }
+    case 'title_match': {
+      let re;
+      try {
+        re = new RegExp(String(value), 'i');
+      } catch (err) {
+        throw new Error(`${where}: invalid title_match: ${err.message}`);
+      }
+      return (a) => ({ pass: re.test(a.title || ''), actual: a.title || '' });
+    }
+    case 'older_than': {
+      let ms;
+      try {
+        ms = duration.parse(value);
+      } catch (err) {
+        throw new Error(`${where}: ${err.message}`);
+      }
+      return (a) => {
+        const created = Date.parse(a.created_at || '');
+        return { pass: !!created && created < Date.now() - ms, actual: a.created_at || null };
+      };
+    }
+    default:
+      throw new Error(`${where}: unknown condition "${field}" (use ${CONDITIONS.join(', ')})`);
+  }
+}
+
+function getPath() {
+  return path.join(os.homedir(), '.beeboo', 'policies.json');
+}
+
+/**
+ * Load and check the policy: the explicit --policy path, or
+ * ~/.beeboo/policies.json. Returns { path, rules } (path null if none).
+ * Throws on anything that doesn't parse, so a typo never approves.
+ */
+function load(explicit) {
+  const file = explicit ? path.resolve(explicit) : getPath();
+  if (!fs.existsSync(file)) {
+    if (explicit) throw new Error(`Policy file not found: ${explicit}`);
+    return { path: null, rules: [] };
+  }
+
+  let cfg;
+  try {
+    cfg = JSON.parse(fs.readFileSync(file, 'utf8')) || {};
+  } catch (err) {
+    throw new Error(`Invalid policy file ${file}: ${err.message}`);
+  }
+  if (!Array.isArray(cfg.rules)) throw new Error(`Policy file ${file} needs a "rules" list`);
+
+  const names = new Set();
+  const rules = cfg.rules.map((rule, i) => {
+    const name = String(rule?.name || `rule-${i + 1}`);
+    const where = `${file}: rule ${name}`;
+    if (names.has(name)) throw new Error(`${where}: duplicate rule name`);
+    names.add(name);
+    if (!ACTIONS.includes(rule.action)) {
+      throw new Error(`${where}: unknown action "${rule.action}" (use ${ACTIONS.join(', ')})`);
+    }
+
+    const when = rule.when || {};
+    return {
+      name,
+      action: rule.action,
+      note: rule.note ? String(rule.note) : null,
+      conditions: Object.entries(when).map(([field, expected]) => ({ field, expected, test: compile(field, expected, where) })),
+    };
+  });
+
+  return { path: file, rules };
+}
+
+/**
+ * Run every rule against an approval. The first rule that matches decides;
+ * the trace shows how each one evaluated.
+ *
+ * @returns {{
+ *   rule: object|null,
+ *   action: 'approve'|'deny'|'human',
+ *   trace: {name: string, action: string, matched: boolean, decisive: boolean,
+ *           conditions: {field: string, expected: *, actual: *, pass: boolean}[]}[]
+ * }}
+ */
+function evaluate(approval, policy) {
+  let decided = null;
+  const trace = policy.rules.map(rule => {
+    const conditions = rule.conditions.map(c => ({ field: c.field, expected: c.expected, ...c.test(approval) }));
+    const matched = conditions.every(c => c.pass);
+    const decisive = matched && !decided;
+    if (decisive) decided = rule;
+    return { name: rule.name, action: rule.action, matched, decisive, conditions };
+  });
+
+  return { rule: decided, action: decided ? decided.action : 'human', trace };
+}
+
+/**
+ * The note recorded with a decision, naming the rule that made it.
+ */
+function noteFor(rule) {
+  const verb = rule.action === 'approve' ? 'Auto-approved' : 'Auto-denied';
+  return `${verb} by policy rule "${rule.name}"${rule.note ? `: ${rule.note}` : ''}`;
+}
+
+module.exports = {
+  ACTIONS,
+  CONDITIONS,
+  getPath,
+  load,
+  evaluate,
+  noteFor,
+};
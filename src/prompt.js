@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * prompt.js — Simple interactive prompts (line input, yes/no and single
+ * keypresses).
+ */
+
+const readline = require('readline');
+
+/**
+ * Ask a question and resolve with the trimmed answer.
+ */
+function ask(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+/**
+ * Ask a yes/no question. Resolves `defaultYes` on an empty answer.
+ */
+async function confirm(question, defaultYes = false) {
+  const hint = defaultYes ? '[Y/n]' : '[y/N]';
+  const answer = (await ask(`${question} ${hint} `)).toLowerCase();
+  if (!answer) return defaultYes;
+  return answer === 'y' || answer === 'yes';
+}
+
+/**
+ * Read one keypress without waiting for Enter (raw mode, like the hidden
+ * prompt in auth.js). Keys not in `keys` are ignored. Resolves with the
+ * lowercased key, or null on Ctrl+C / Ctrl+D.
+ *
+ * @param {string} question
+ * @param {string[]} keys - Accepted keys, e.g. ['a', 'd', 's', 'q']
+ * @returns {Promise<string|null>}
+ */
+function key(question, keys) {
+  return new Promise((resolve) => {
+    process.stdout.write(question);
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+    process.stdin.setEncoding('utf8');
+
+    const done = (value) => {
+      process.stdin.setRawMode(false);
+      process.stdin.removeListener('data', onData);
+      process.stdin.pause();
+      process.stdout.write(`${value || ''}\n`);
+      resolve(value);
+    };
+
+    const onData = (ch) => {
+      if (ch === '\u0003' || ch === '\u0004') return done(null);
+      const k = ch.toLowerCase();
+      if (keys.includes(k)) done(k);
+    };
+    process.stdin.on('data', onData);
+  });
+}
+
+/**
+ * True when we can ask the user anything (stdin and stdout are terminals).
+ */
+function isInteractive() {
+  return !!(process.stdin.isTTY && process.stdout.isTTY);
+}
+
+module.exports = {
+  ask,
+  confirm,
+  key,
+  isInteractive,
+};
@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+ * reconcile.js — Compare a directory of frontmatter markdown files against
+ * the server and work out what to create, update and delete.
+ * Used by `push <dir>` and `commit <dir>`.
+ *
+ * Directory layout matches `beeboo clone`: <namespace>/<key>.md. Frontmatter
+ * may override title, key, namespace, tags and content_type; an `id` field
+ * pins the file to a specific server entry.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const out = require('./output');
+const workdir = require('./workdir');
+const secrets = require('./secrets');
+
+const MARKDOWN_EXT = new Set(['.md', '.markdown']);
+
+function isDirectory(p) {
+  try {
+    return fs.statSync(p).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * "refund-policy" → "Refund Policy" (same rule commit/push use for --key).
+ */
+function titleFromKey(key) {
+  return key.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+/**
+ * Read every markdown file under `root` (skipping dot-directories).
+ * @param {string} root
+ * @param {string} [namespace] - Only keep files in this namespace
+ * @returns {{docs: {path: string, entry: object}[], namespaces: string[]}}
+ */
+function readTree(root, namespace) {
+  const docs = [];
+  const namespaces = new Set();
+
+  const walk = (rel) => {
+    for (const dirent of fs.readdirSync(path.join(root, rel), { withFileTypes: true })) {
+      if (dirent.name.startsWith('.') || dirent.name === 'node_modules') continue;
+      const child = rel ? path.join(rel, dirent.name) : dirent.name;
+      if (dirent.isDirectory()) {
+        if (!rel) namespaces.add(dirent.name);
+        walk(child);
+      } else if (MARKDOWN_EXT.has(path.extname(dirent.name).toLowerCase())) {
+        const { entry } = workdir.readDocument(root, child);
+        if (!entry.title) entry.title = titleFromKey(entry.key);
+        docs.push({ path: child, entry });
+      }
+    }
+  };
+  walk('');
+
+  for (const doc of docs) namespaces.add(doc.entry.namespace);
+
+  return {
+    docs: namespace ? docs.filter(d => d.entry.namespace === namespace) : docs,
+    namespaces: namespace ? [namespace] : [...namespaces].sort(),
+  };
+}
+
+function sameTags(a, b) {
+  const x = [...(a || [])].sort();
+  const y = [...(b || [])].sort();
+  return JSON.stringify(x) === JSON.stringify(y);
+}
+
+/**
+ * Names of the fields that differ between a server entry and a local one.
+ */
+function changedFields(server, local) {
+  const changes = [];
+  if ((server.title || '') !== (local.title || '')) changes.push('title');
+  if ((server.content || '') !== (local.content || '')) changes.push('content');
+  if (!sameTags(server.tags, local.tags)) changes.push('tags');
+  if ((server.namespace || 'default') !== local.namespace) changes.push('namespace');
+  if (local.content_type && local.content_type !== server.content_type) changes.push('content_type');
+  return changes;
+}
+
+/**
+ * Compute the changes needed to make the server match the local files.
+ *
+ * Files are matched to server entries by frontmatter `id`, then by
+ * namespace + key (preferring `opts.prefer` status). With `prune`, published
+ * entries in the covered namespaces whose key no file has are deleted.
+ * Drafts are never pruned — they belong to pending commits.
+ *
+ * @param {{path: string, entry: object}[]} docs
+ * @param {object[]} entries - Server entries
+ * @param {object} [opts]
+ * @param {boolean} [opts.prune]
+ * @param {string[]} [opts.namespaces] - Namespaces the directory covers
+ * @param {string} [opts.prefer] - Status to match first on key collisions (default: published)
+ * @param {boolean} [opts.publish] - Count unpublished matches as changed
+ */
+function plan(docs, entries, opts = {}) {
+  const byId = new Map(entries.map(e => [e.id, e]));
+  const claimed = new Set();
+  const result = { create: [], update: [], delete: [], unchanged: [] };
+
+  for (const doc of docs) {
+    let target = doc.entry.id ? byId.get(doc.entry.id) : null;
+    if (!target) {
+      const sameKey = entries.filter(e =>
+        e.key === doc.entry.key &&
+        (e.namespace || 'default') === doc.entry.namespace &&
+        !claimed.has(e.id));
+      target = sameKey.find(e => e.status === (opts.prefer || 'published')) || sameKey[0];
+    }
+
+    if (!target || claimed.has(target.id)) {
+      result.create.push(doc);
+      continue;
+    }
+    claimed.add(target.id);
+
+    const changes = changedFields(target, doc.entry);
+    if (opts.publish && target.status !== 'published') changes.push('status');
+    if (changes.length > 0) {
+      result.update.push({ ...doc, target, changes });
+    } else {
+      result.unchanged.push({ ...doc, target });
+    }
+  }
+
+  if (opts.prune) {
+    // A file covers every entry with its key, not just the one it matched:
+    // a key can have a pending draft next to its published entry
+    const keyOf = (ns, key) => `${ns}\u0000${key}`;
+    const covered = new Set(docs.map(d => keyOf(d.entry.namespace, d.entry.key)));
+    for (const e of entries) {
+      if (claimed.has(e.id) && e.key) covered.add(keyOf(e.namespace || 'default', e.key));
+    }
+
+    const scope = new Set(opts.namespaces || []);
+    result.delete = entries.filter(e =>
+      !claimed.has(e.id) &&
+      e.status !== 'draft' &&
+      !(e.key && covered.has(keyOf(e.namespace || 'default', e.key))) &&
+      scope.has(e.namespace || 'default'));
+  }
+
+  return result;
+}
+
+/**
+ * Entry payload for creating a server entry from a local file.
+ */
+function toEntry(doc) {
+  const e = doc.entry;
+  const entry = {
+    title: e.title,
+    content: e.content || '',
+    key: e.key,
+    namespace: e.namespace,
+    content_type: e.content_type || 'markdown',
+  };
+  if (e.tags?.length) entry.tags = e.tags;
+  return entry;
+}
+
+/**
+ * Only the changed fields, for a PATCH. Status is left to the caller.
+ */
+function toUpdates(change) {
+  const updates = {};
+  for (const field of change.changes) {
+    if (field === 'status') continue;
+    updates[field] = field === 'tags' ? (change.entry.tags || []) : change.entry[field];
+  }
+  return updates;
+}
+
+/**
+ * Check every file a plan would send for secrets before anything is sent,
+ * applying redactions to the plan. Exits if anything is blocked.
+ */
+function guardSecrets(changes, flags) {
+  const items = [...changes.create, ...changes.update].map(c => ({ label: c.path, entry: c.entry, fields: c.entry }));
+  for (const item of secrets.guardAll(items, flags)) Object.assign(item.entry, item.fields);
+}
+
+function hasChanges(changes) {
+  return changes.create.length + changes.update.length + changes.delete.length > 0;
+}
+
+/**
+ * Print a plan like `terraform plan`, one line per change.
+ */
+function printPlan(changes) {
+  const { create, update, unchanged } = changes;
+  const del = changes.delete;
+
+  console.log('');
+  console.log(`${out.style.bold('Plan:')} ${out.style.green(`${create.length} to create`)}, ${out.style.yellow(`${update.length} to update`)}, ${out.style.red(`${del.length} to delete`)} ${out.style.dim(`(${unchanged.length} unchanged)`)}`);
+  console.log('');
+
+  for (const doc of create) {
+    console.log(`  ${out.style.green('+ create')}  ${doc.path}`);
+  }
+  for (const change of update) {
+    console.log(`  ${out.style.yellow('~ update')}  ${change.path} ${out.style.dim(`(${change.changes.join(', ')})`)}`);
+  }
+  for (const entry of del) {
+    console.log(`  ${out.style.red('- delete')}  ${entry.namespace || 'default'}/${entry.key || entry.id} ${out.style.dim(`(${String(entry.id).slice(0, 8)})`)}`);
+  }
+  if (hasChanges(changes)) console.log('');
+}
+
+/**
+ * Plan summary for --json output.
+ */
+function planJson(changes) {
+  return {
+    create: changes.create.map(d => ({ path: d.path, key: d.entry.key, namespace: d.entry.namespace })),
+    update: changes.update.map(c => ({ path: c.path, id: c.target.id, changes: c.changes })),
+    delete: changes.delete.map(e => ({ id: e.id, key: e.key, namespace: e.namespace || 'default' })),
+    unchanged: changes.unchanged.length,
+  };
+}
+
+module.exports = {
+  isDirectory,
+  titleFromKey,
+  readTree,
+  changedFields,
+  plan,
+  toEntry,
+  toUpdates,
+  guardSecrets,
+  hasChanges,
+  printPlan,
+  planJson,
+};
@@ -0,0 +1,228 @@
+'use strict';
+
+/**
+ * references.js — Cross-references between knowledge entries.
+ *
+ * Entry content can link to other entries wiki-style:
+ *
+ *   [[refund-policy]]                 # Key in the same namespace
+ *   [[support/refund-policy]]         # Key in another namespace
+ *   [[Refund Policy]]                 # Title works too
+ *   [[refund-policy|our refund rules]] [[refund-policy#exceptions]]
+ *
+ * `build` turns a list of entries into a graph of those links, with
+ * dangling links (to entries that don't exist) and orphans (entries with
+ * no links in or out), and renders it as DOT, Mermaid or JSON.
+ */
+
+const similarity = require('./similarity');
+
+const REFERENCE = /\[\[([^\]|#]+)(?:#([^\]|]*))?(?:\|([^\]]*))?\]\]/g;
+
+function nsOf(entry) {
+  return entry.namespace || 'default';
+}
+
+/**
+ * "namespace/key" for an entry (its ID when it has no key).
+ */
+function nodeId(entry) {
+  return `${nsOf(entry)}/${entry.key || entry.id}`;
+}
+
+/**
+ * Every [[reference]] in some content, in order.
+ * @returns {{ref: string, section: string|null, label: string|null}[]}
+ */
+function extract(content) {
+  const refs = [];
+  const re = new RegExp(REFERENCE.source, 'g');
+  let m;
+  while ((m = re.exec(String(content || '')))) {
+    refs.push({
+      ref: m[1].trim(),
+      section: m[2] ? m[2].trim() : null,
+      label: m[3] ? m[3].trim() : null,
+    });
+  }
+  return refs;
+}
+
+/**
+ * Index entries for lookups by "namespace/key" and by title. Where a key
+ * has a draft next to its published version, the published one wins.
+ */
+function indexEntries(entries) {
+  const byKey = new Map();
+  const byTitle = new Map();
+  for (const e of entries) {
+    if (!e?.id) continue;
+    const id = nodeId(e);
+    const current = byKey.get(id);
+    if (!current || (current.status === 'draft' && e.status !== 'draft')) byKey.set(id, e);
+
+    const title = `${nsOf(e)}/${similarity.normalize(e.title)}`;
+    if (e.title && !byTitle.has(title)) byTitle.set(title, e);
+  }
+  return { byKey, byTitle };
+}
+
+/**
+ * The entry a reference points to, or null. Plain references are looked
+ * up in `fromNamespace`; "ns/key" anywhere.
+ */
+function resolve(ref, fromNamespace, index) {
+  const slash = ref.indexOf('/');
+  const namespace = slash === -1 ? fromNamespace : ref.slice(0, slash);
+  const name = slash === -1 ? ref : ref.slice(slash + 1);
+
+  return index.byKey.get(`${namespace}/${name}`) ||
+    index.byTitle.get(`${namespace}/${similarity.normalize(name)}`) ||
+    null;
+}
+
+/**
+ * Build the reference graph. With `opts.namespace`, only links from that
+ * namespace are included (plus the entries they point to elsewhere).
+ *
+ * @param {object[]} entries - Every entry references may point at
+ * @param {object} [opts]
+ * @param {string} [opts.namespace]
+ * @returns {{
+ *   nodes: object[],
+ *   edges: {from: string, to: string, ref: string, dangling: boolean}[],
+ *   dangling: {from: string, ref: string}[],
+ *   orphans: object[]
+ * }}
+ */
+function build(entries, opts = {}) {
+  const index = indexEntries(entries);
+  const all = [...index.byKey.values()];
+  const inScope = (e) => !opts.namespace || nsOf(e) === opts.namespace;
+  const edges = [];
+  const seen = new Set();
+
+  for (const entry of all) {
+    for (const { ref } of extract(entry.content)) {
+      const target = resolve(ref, nsOf(entry), index);
+      const to = target ? nodeId(target) : (ref.includes('/') ? ref : `${nsOf(entry)}/${ref}`);
+      const id = `${nodeId(entry)}\u0000${to}`;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      edges.push({ from: nodeId(entry), to, ref, dangling: !target, scoped: inScope(entry) });
+    }
+  }
+
+  // Orphans are judged on every link, including ones from other namespaces
+  const linked = new Set();
+  for (const e of edges) {
+    linked.add(e.from);
+    if (!e.dangling) linked.add(e.to);
+  }
+
+  const shown = edges.filter(e => e.scoped).map(({ scoped, ...e }) => e);
+  const ends = new Set(shown.flatMap(e => [e.from, e.to]));
+
+  return {
+    nodes: all.filter(n => inScope(n) || ends.has(nodeId(n))),
+    edges: shown,
+    dangling: shown.filter(e => e.dangling).map(e => ({ from: e.from, ref: e.ref })),
+    orphans: all.filter(n => inScope(n) && !linked.has(nodeId(n))),
+  };
+}
+
+/**
+ * Outbound links and inbound backlinks of one entry.
+ * @returns {{links: {ref: string, entry: object|null}[], backlinks: object[]}}
+ */
+function linksOf(entry, entries) {
+  const index = indexEntries([entry, ...entries]);
+  const self = nodeId(entry);
+
+  const links = [];
+  const seen = new Set();
+  for (const { ref } of extract(entry.content)) {
+    if (seen.has(ref)) continue;
+    seen.add(ref);
+    links.push({ ref, entry: resolve(ref, nsOf(entry), index) });
+  }
+
+  const backlinks = [...index.byKey.values()].filter(other =>
+    nodeId(other) !== self &&
+    extract(other.content).some(({ ref }) => {
+      const target = resolve(ref, nsOf(other), index);
+      return target && nodeId(target) === self;
+    }));
+
+  return { links, backlinks };
+}
+
+// --- Rendering ---
+
+function dotString(s) {
+  return `"${String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function toDot(graph) {
+  const lines = ['digraph knowledge {', '  rankdir=LR;', '  node [shape=box, style=rounded];'];
+  for (const n of graph.nodes) {
+    lines.push(`  ${dotString(nodeId(n))} [label=${dotString(n.title || n.key || n.id)}];`);
+  }
+  for (const to of new Set(graph.edges.filter(e => e.dangling).map(e => e.to))) {
+    lines.push(`  ${dotString(to)} [label=${dotString(`${to} (missing)`)}, color=red, fontcolor=red, style=dashed];`);
+  }
+  for (const e of graph.edges) {
+    lines.push(`  ${dotString(e.from)} -> ${dotString(e.to)}${e.dangling ? ' [color=red, style=dashed]' : ''};`);
+  }
+  lines.push('}');
+  return lines.join('\n');
+}
+
+function toMermaid(graph) {
+  const ids = new Map();
+  const idFor = (name) => {
+    if (!ids.has(name)) ids.set(name, `n${ids.size}`);
+    return ids.get(name);
+  };
+  const label = (text) => `["${String(text).replace(/"/g, '#quot;')}"]`;
+
+  const lines = ['graph LR'];
+  for (const n of graph.nodes) lines.push(`  ${idFor(nodeId(n))}${label(n.title || n.key || n.id)}`);
+  for (const to of new Set(graph.edges.filter(e => e.dangling).map(e => e.to))) {
+    lines.push(`  ${idFor(to)}${label(`${to} (missing)`)}:::missing`);
+  }
+  for (const e of graph.edges) {
+    lines.push(`  ${idFor(e.from)} ${e.dangling ? '-.->' : '-->'} ${idFor(e.to)}`);
+  }
+  lines.push('  classDef missing stroke:#f00,color:#f00,stroke-dasharray:4');
+  return lines.join('\n');
+}
+
+function toJson(graph) {
+  return {
+    nodes: graph.nodes.map(n => ({
+      id: nodeId(n),
+      entry_id: n.id,
+      key: n.key || null,
+      namespace: nsOf(n),
+      title: n.title || null,
+      status: n.status || null,
+    })),
+    edges: graph.edges,
+    dangling: graph.dangling,
+    orphans: graph.orphans.map(nodeId),
+  };
+}
+
+module.exports = {
+  FORMATS: ['dot', 'mermaid', 'json'],
+  nodeId,
+  extract,
+  indexEntries,
+  resolve,
+  build,
+  linksOf,
+  toDot,
+  toMermaid,
+  toJson,
+};
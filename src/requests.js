@@ -7,6 +7,7 @@
 const { api, isOk, getData, getError } = require('./api');
 const out = require('./output');
 const credentials = require('./credentials');
+const { resolveRequest, remember } = require('./resolve');
 
 function requireAuth() {
   if (!credentials.isAuthenticated()) {
@@ -53,6 +54,7 @@ async function listRequests(flags) {
 
     const requests = getData(res);
     const items = Array.isArray(requests) ? requests : [];
+    remember('request', items);
 
     if (flags.json) {
       out.jsonCompact({ requests: items });
@@ -127,22 +129,15 @@ async function createRequest(args, flags) {
   }
 }
 
-async function getRequest(id, flags) {
-  if (!id) {
+async function getRequest(ref, flags) {
+  if (!ref) {
     out.error('Request ID is required.');
-    console.log('  Usage: npx beeboo requests get <id>');
+    console.log('  Usage: npx beeboo requests get <id|prefix|title>');
     process.exit(1);
   }
 
   try {
-    const res = await api.getRequest(id);
-
-    if (!isOk(res)) {
-      out.error(`Failed: ${getError(res)}`);
-      process.exit(1);
-    }
-
-    const request = getData(res);
+    const request = await resolveRequest(ref);
 
     if (flags.json) {
       out.jsonCompact(request);
@@ -162,14 +157,15 @@ async function getRequest(id, flags) {
   }
 }
 
-async function completeRequest(id, flags) {
-  if (!id) {
+async function completeRequest(ref, flags) {
+  if (!ref) {
     out.error('Request ID is required.');
-    console.log('  Usage: npx beeboo requests complete <id>');
+    console.log('  Usage: npx beeboo requests complete <id|prefix|title>');
     process.exit(1);
   }
 
   try {
+    const { id } = await resolveRequest(ref, { destructive: true });
     const resolution = flags.resolution || flags.reason || 'Completed';
     const res = await api.completeRequest(id, resolution);
 
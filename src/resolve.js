@@ -0,0 +1,356 @@
+'use strict';
+
+/**
+ * resolve.js — Turn what the user typed into an entry, approval or request.
+ *
+ * Anywhere an ID is expected you can type:
+ *   - the full ID
+ *   - a unique prefix of it (the 8 characters `list` shows)
+ *   - an entry key (knowledge only)
+ *   - part of the title ("refund pol")
+ *
+ * IDs seen in lists are cached in ~/.beeboo/cache/ids.json so prefixes
+ * usually resolve without listing everything again. When a prefix or title
+ * matches several things you're asked to pick one (or shown the choices,
+ * without a terminal). Commands that delete or decide also ask before
+ * using a title that only loosely matched.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { api, isOk, getData, getError, paginate } = require('./api');
+const out = require('./output');
+const credentials = require('./credentials');
+const prompt = require('./prompt');
+const similarity = require('./similarity');
+
+const KINDS = {
+  entry: {
+    noun: 'Entry',
+    plural: 'entries',
+    get: (id) => api.getKnowledgeEntry(id),
+    listAll: () => api.listAllKnowledgeEntries({}),
+    hint: 'npx beeboo knowledge list',
+  },
+  approval: {
+    noun: 'Approval',
+    plural: 'approvals',
+    get: (id) => api.getApproval(id),
+    listAll: () => paginate(api.listApprovals, {}),
+    hint: 'npx beeboo approvals list',
+  },
+  request: {
+    noun: 'Request',
+    plural: 'requests',
+    get: (id) => api.getRequest(id),
+    listAll: () => paginate(api.listRequests, {}),
+    hint: 'npx beeboo requests list',
+  },
+};
+
+// Oldest IDs are dropped past this many per kind
+const CACHE_LIMIT = 5000;
+
+// Minimum characters before a string is tried as an ID prefix
+const MIN_PREFIX = 4;
+
+// How close a title must be to count as a fuzzy match
+const FUZZY_THRESHOLD = 0.6;
+
+// --- ID cache ---
+
+function getCacheFile() {
+  return path.join(credentials.getDir(), 'cache', 'ids.json');
+}
+
+function loadCache() {
+  try {
+    const cache = JSON.parse(fs.readFileSync(getCacheFile(), 'utf8'));
+    return cache && typeof cache === 'object' ? cache : {};
+  } catch {
+    return {};
+  }
+}
+
+function summarize(kind, item) {
+  const info = { title: item.title || null };
+  if (kind === 'entry') {
+    info.key = item.key || null;
+    info.namespace = item.namespace || 'default';
+  }
+  if (item.status) info.status = item.status;
+  return info;
+}
+
+/**
+ * Remember the IDs (and titles) of items the user has seen, so their short
+ * IDs resolve later. Best-effort: never fails a command.
+ *
+ * @param {'entry'|'approval'|'request'} kind
+ * @param {object[]} items
+ */
+function remember(kind, items) {
+  const list = (items || []).filter(i => i?.id);
+  if (list.length === 0) return;
+
+  try {
+    const cache = loadCache();
+    const known = cache[kind] || {};
+    for (const item of list) {
+      delete known[item.id];
+      known[String(item.id)] = summarize(kind, item);
+    }
+    const ids = Object.keys(known);
+    for (const id of ids.slice(0, Math.max(0, ids.length - CACHE_LIMIT))) delete known[id];
+    cache[kind] = known;
+
+    fs.mkdirSync(path.dirname(getCacheFile()), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(getCacheFile(), JSON.stringify(cache) + '\n', { mode: 0o600 });
+  } catch {
+    // Cache is best-effort
+  }
+}
+
+function forget(kind, id) {
+  try {
+    const cache = loadCache();
+    if (!cache[kind]?.[id]) return;
+    delete cache[kind][id];
+    fs.writeFileSync(getCacheFile(), JSON.stringify(cache) + '\n', { mode: 0o600 });
+  } catch {
+    // Cache is best-effort
+  }
+}
+
+// --- Matching ---
+
+function looksLikePrefix(ref) {
+  return ref.length >= MIN_PREFIX && /^[0-9a-f-]+$/i.test(ref);
+}
+
+function label(kind, item) {
+  if (kind === 'entry') return `${item.namespace || 'default'}/${item.key || '—'}  ${item.title || ''}`;
+  return item.title || '(untitled)';
+}
+
+/**
+ * Items whose title matches `ref`: exact (ignoring case and punctuation)
+ * first, otherwise titles containing every word of `ref` or close to it.
+ */
+function matchTitles(items, ref) {
+  const wanted = similarity.normalize(ref);
+  if (!wanted) return [];
+
+  const exact = items.filter(i => similarity.normalize(i.title) === wanted);
+  if (exact.length > 0) return exact;
+
+  const words = wanted.split(' ');
+  return items
+    .map(item => {
+      const title = similarity.normalize(item.title);
+      if (!title) return null;
+      const contains = words.every(w => title.split(' ').some(t => t.startsWith(w)));
+      const score = Math.max(contains ? 0.9 : 0, similarity.ratio(title, wanted));
+      return score >= FUZZY_THRESHOLD ? { item, score } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .map(m => m.item);
+}
+
+/**
+ * Narrow several entries using `opts.namespace` and `opts.prefer`.
+ */
+function narrowEntries(matches, opts) {
+  let list = matches;
+  if (list.length > 1 && opts.namespace) {
+    const inNamespace = list.filter(e => (e.namespace || 'default') === opts.namespace);
+    if (inNamespace.length > 0) list = inNamespace;
+  }
+  if (list.length > 1 && opts.prefer) {
+    const preferred = list.filter(e => e.status === opts.prefer);
+    if (preferred.length === 1) list = preferred;
+  }
+  return list;
+}
+
+/**
+ * Ask which of several matches was meant; without a terminal, list them
+ * and exit.
+ */
+async function choose(kind, ref, matches) {
+  const { plural } = KINDS[kind];
+  const shown = matches.slice(0, 9);
+
+  if (!prompt.isInteractive()) {
+    out.error(`"${ref}" matches ${matches.length} ${plural}. Be more specific or use an ID:`);
+    for (const m of shown) {
+      console.log(`  ${out.style.dim(m.id)}  ${label(kind, m)}  ${out.style.dim(m.status || '—')}`);
+    }
+    if (matches.length > shown.length) console.log(`  ${out.style.dim(`... and ${matches.length - shown.length} more`)}`);
+    process.exit(1);
+  }
+
+  out.warn(`"${ref}" matches ${matches.length} ${plural}:`);
+  shown.forEach((m, i) => {
+    console.log(`  ${out.style.cyan(String(i + 1))}. ${out.style.dim(String(m.id).slice(0, 8))}  ${label(kind, m)}  ${out.style.dim(m.status || '—')}`);
+  });
+  if (matches.length > shown.length) console.log(`  ${out.style.dim(`... and ${matches.length - shown.length} more (be more specific)`)}`);
+
+  const answer = await prompt.ask(`  Which one? [1-${shown.length}, Enter to cancel] `);
+  const pick = shown[Number(answer) - 1];
+  if (!/^\d+$/.test(answer) || !pick) {
+    out.info('Cancelled.');
+    process.exit(1);
+  }
+  return pick;
+}
+
+/**
+ * A title that only loosely matched, for a command that deletes or
+ * decides: ask before acting on it; without a terminal, refuse.
+ */
+async function confirmLoose(kind, ref, match) {
+  const name = `${label(kind, match)} (${String(match.id).slice(0, 8)})`;
+
+  if (!prompt.isInteractive()) {
+    out.error(`"${ref}" only loosely matches ${name}.`);
+    console.log('  Use its ID, key or exact title.');
+    process.exit(1);
+  }
+
+  const ok = await prompt.confirm(`  "${ref}" isn't an exact match. Did you mean ${name}?`);
+  if (!ok) {
+    out.info('Cancelled.');
+    process.exit(1);
+  }
+  return match;
+}
+
+function notFound(kind, ref) {
+  out.error(`${KINDS[kind].noun} not found: ${ref}`);
+  console.log(`  Run: ${out.style.cyan(KINDS[kind].hint)}`);
+  process.exit(1);
+}
+
+/**
+ * Fetch an item by ID, treating "no such ID" answers as null.
+ */
+async function fetchById(kind, id) {
+  const res = await KINDS[kind].get(id);
+  if (isOk(res)) return getData(res);
+  if ([400, 404, 422].includes(res.status)) return null;
+  out.error(`Failed: ${getError(res)}`);
+  process.exit(1);
+}
+
+/**
+ * Resolve a full ID, ID prefix, key (entries) or title to one item.
+ * Exits with an error if nothing matches.
+ *
+ * @param {'entry'|'approval'|'request'} kind
+ * @param {string} ref - What the user typed
+ * @param {object} [opts]
+ * @param {string} [opts.prefer] - Entry status to prefer on collisions
+ * @param {string} [opts.namespace] - Entry namespace to prefer on collisions
+ * @param {boolean} [opts.destructive] - The caller deletes or decides: check
+ *   prefixes against the server, not just the cache, and confirm a loose
+ *   title match (refused without a terminal)
+ * @returns {Promise<object>}
+ */
+async function resolve(kind, ref, opts = {}) {
+  ref = String(ref || '').trim();
+  if (!ref) notFound(kind, ref);
+
+  // 1. Full ID
+  const direct = /^[A-Za-z0-9_-]+$/.test(ref) ? await fetchById(kind, ref) : null;
+  if (direct) {
+    remember(kind, [direct]);
+    return direct;
+  }
+
+  // 2. Prefix of an ID we've seen before. The cache can't rule out an item
+  // with the same prefix that was never listed here, so commands that
+  // delete or decide go on to check against everything (step 4).
+  if (looksLikePrefix(ref) && !opts.destructive) {
+    const cached = Object.keys(loadCache()[kind] || {}).filter(id => id.toLowerCase().startsWith(ref.toLowerCase()));
+    if (cached.length === 1) {
+      const item = await fetchById(kind, cached[0]);
+      if (item) return item;
+      forget(kind, cached[0]);
+    }
+  }
+
+  // 3. Entry key
+  if (kind === 'entry') {
+    const byKey = await api.getKnowledgeEntryByKey(ref);
+    if (!isOk(byKey)) {
+      out.error(`Failed: ${getError(byKey)}`);
+      process.exit(1);
+    }
+    const data = getData(byKey);
+    const matches = narrowEntries((Array.isArray(data) ? data : []).filter(e => e.key === ref), opts);
+    if (matches.length > 0) {
+      remember(kind, matches);
+      return matches.length === 1 ? matches[0] : await choose(kind, ref, matches);
+    }
+  }
+
+  // 4. Prefix or title, against everything
+  const res = await KINDS[kind].listAll();
+  if (!isOk(res)) {
+    out.error(`Failed: ${getError(res)}`);
+    process.exit(1);
+  }
+  const items = (getData(res) || []).filter(i => i?.id);
+  remember(kind, items);
+
+  let matches = looksLikePrefix(ref)
+    ? items.filter(i => String(i.id).toLowerCase().startsWith(ref.toLowerCase()))
+    : [];
+  if (matches.length === 0) matches = matchTitles(items, ref);
+  if (kind === 'entry') matches = narrowEntries(matches, opts);
+
+  if (matches.length === 0) notFound(kind, ref);
+  if (matches.length === 1) {
+    const match = matches[0];
+    if (similarity.normalize(match.title) !== similarity.normalize(ref) && !String(match.id).toLowerCase().startsWith(ref.toLowerCase())) {
+      if (opts.destructive) return await confirmLoose(kind, ref, match);
+      console.error(out.style.dim(`→ ${label(kind, match)} (${String(match.id).slice(0, 8)})`));
+    }
+    return match;
+  }
+  return await choose(kind, ref, matches);
+}
+
+/**
+ * Fetch a knowledge entry by ID, ID prefix, key or title.
+ * When a key matches several entries (e.g. a draft next to its published
+ * version), `opts.namespace` and `opts.prefer` narrow it down.
+ *
+ * @param {string} ref - Entry ID, prefix, key or title
+ * @param {object} [opts]
+ * @param {string} [opts.prefer] - Status to prefer on key collisions
+ * @param {string} [opts.namespace] - Namespace to prefer on key collisions
+ * @param {boolean} [opts.destructive] - The caller deletes or decides
+ */
+async function resolveEntry(ref, opts = {}) {
+  return resolve('entry', ref, opts);
+}
+
+async function resolveApproval(ref, opts = {}) {
+  return resolve('approval', ref, opts);
+}
+
+async function resolveRequest(ref, opts = {}) {
+  return resolve('request', ref, opts);
+}
+
+module.exports = {
+  resolve,
+  resolveEntry,
+  resolveApproval,
+  resolveRequest,
+  remember,
+  forget,
+};
@@ -5,6 +5,8 @@
  *
  * Parses natural language input using keyword matching + regex intent detection.
  * No LLMs, no API calls for parsing — fast, offline-capable routing.
+ * Searches fall back to the local index (`knowledge index`) when the API
+ * can't be reached, or always with --offline.
  *
  * Supported intents:
  *   - knowledge.create  → store/save/add/remember + content
@@ -21,6 +23,12 @@
 const { api, isOk, getData, getError } = require('./api');
 const out = require('./output');
 const credentials = require('./credentials');
+const config = require('./config');
+const markdown = require('./markdown');
+const duplicates = require('./duplicates');
+const search = require('./search');
+const secrets = require('./secrets');
+const money = require('./money');
 
 function requireAuth() {
   if (!credentials.isAuthenticated()) {
@@ -75,8 +83,7 @@ const INTENT_RULES = [
         .replace(/\bapproval\s*(for|to|request)\s*/i, '')
         .trim();
 
-      const amountMatch = s.match(/\$[\d,]+(\.\d{2})?/);
-      const amount = amountMatch ? parseFloat(amountMatch[0].replace(/[$,]/g, '')) : undefined;
+      const amount = money.find(s);
 
       // Clean up title
       if (!title || title.length < 3) {
@@ -253,15 +260,20 @@ async function executeIntent(intent, data, flags) {
 
 async function doKnowledgeCreate(data, flags) {
   try {
+    const fields = secrets.guard({ title: data.title, content: data.content || '' }, flags);
     const entry = {
-      title: data.title,
-      content: data.content || '',
-      namespace: 'default',
+      title: fields.title,
+      content: fields.content,
+      namespace: config.getNamespace(flags, 'default'),
       content_type: 'text',
-      key: data.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+      key: fields.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
     };
 
-    const res = await api.createKnowledgeEntry(entry);
+    const decision = await duplicates.check(entry, flags);
+    const updating = decision.action === 'update';
+    const res = updating
+      ? await api.updateKnowledgeEntry(decision.target.id, { title: entry.title, content: entry.content })
+      : await api.createKnowledgeEntry(entry);
 
     if (!isOk(res)) {
       out.error(`Failed: ${getError(res)}`);
@@ -271,11 +283,11 @@ async function doKnowledgeCreate(data, flags) {
     const result = getData(res);
 
     if (flags.json) {
-      out.jsonCompact({ action: 'knowledge.create', ...result });
+      out.jsonCompact({ action: updating ? 'knowledge.update' : 'knowledge.create', ...result });
       return;
     }
 
-    out.success(`Knowledge entry created: "${data.title}"`);
+    out.success(`Knowledge entry ${updating ? 'updated' : 'created'}: "${entry.title}"`);
     if (result?.id) console.log(`  ID: ${out.style.dim(result.id)}`);
   } catch (err) {
     out.error(`Network error: ${err.message}`);
@@ -284,48 +296,75 @@ async function doKnowledgeCreate(data, flags) {
 }
 
 async function doKnowledgeSearch(data, flags) {
-  try {
-    const res = await api.searchKnowledge(data.query, { limit: 5 });
+  let items;
+  let index = null;
 
-    if (!isOk(res)) {
-      out.error(`Search failed: ${getError(res)}`);
+  if (flags.offline) {
+    index = search.load();
+    if (!index) {
+      out.error('No local index yet. Run: npx beeboo knowledge index');
       process.exit(1);
     }
+  } else {
+    try {
+      const res = await api.searchKnowledge(data.query, { limit: 5 });
 
-    const results = getData(res);
-    const items = Array.isArray(results) ? results : (results?.results || []);
+      if (!isOk(res)) {
+        out.error(`Search failed: ${getError(res)}`);
+        process.exit(1);
+      }
 
-    if (flags.json) {
-      out.jsonCompact({ action: 'knowledge.search', query: data.query, results: items });
-      return;
+      const results = getData(res);
+      items = Array.isArray(results) ? results : (results?.results || []);
+    } catch (err) {
+      index = search.load();
+      if (!index) {
+        out.error(`Network error: ${err.message}`);
+        process.exit(1);
+      }
+      if (!flags.json) out.warn(`${err.message} — searching the local index`);
     }
+  }
 
-    if (items.length === 0) {
-      out.info(`No knowledge found for "${data.query}".`);
-      console.log(`  Try: ${out.style.cyan(`npx beeboo run "store ${data.query}: <your content>"`)}`);
-      return;
-    }
+  if (index) {
+    items = search.search(index, data.query, { namespace: config.getNamespace(flags) || undefined, limit: 5 });
+  }
 
-    // If single result, show details
-    if (items.length === 1) {
-      const r = items[0];
-      console.log(`📚 ${out.style.bold('Found:')} ${out.style.amber(r.title || r.key)}`);
-      if (r.content) console.log(`  ${r.content}`);
-      return;
+  if (flags.json) {
+    const result = { action: 'knowledge.search', query: data.query, results: items };
+    if (index) Object.assign(result, { offline: true, synced_at: index.synced_at });
+    out.jsonCompact(result);
+    return;
+  }
+
+  if (items.length === 0) {
+    out.info(`No knowledge found for "${data.query}".`);
+    console.log(`  Try: ${out.style.cyan(`npx beeboo run "store ${data.query}: <your content>"`)}`);
+    return;
+  }
+
+  const offline = index ? ` ${out.style.dim(`(offline, index synced ${out.timeAgo(index.synced_at)})`)}` : '';
+
+  // If single result, show details
+  if (items.length === 1) {
+    const r = items[0];
+    console.log(`📚 ${out.style.bold('Found:')} ${out.style.amber(r.title || r.key)}${offline}`);
+    if (r.content) {
+      console.log(markdown.isMarkdown(r) && !flags.raw ? markdown.render(r.content, { indent: 2 }) : `  ${r.content}`);
     }
+    return;
+  }
 
-    console.log(`📚 ${out.style.bold(`${items.length} results`)} for "${data.query}":\n`);
-    for (const r of items) {
-      console.log(`  ${out.style.amber(r.title || r.key || '(untitled)')}`);
-      if (r.content) {
-        const preview = r.content.length > 100 ? r.content.slice(0, 100) + '...' : r.content;
-        console.log(`  ${out.style.dim(preview)}`);
-      }
-      console.log('');
+  console.log(`📚 ${out.style.bold(`${items.length} results`)} for "${data.query}"${offline}:\n`);
+  for (const r of items) {
+    console.log(`  ${out.style.amber(r.title || r.key || '(untitled)')}`);
+    if (r.content) {
+      const preview = markdown.isMarkdown(r) && !flags.raw
+        ? markdown.preview(r.content, 100)
+        : (r.content.length > 100 ? r.content.slice(0, 100) + '...' : r.content);
+      console.log(`  ${out.style.dim(preview)}`);
     }
-  } catch (err) {
-    out.error(`Network error: ${err.message}`);
-    process.exit(1);
+    console.log('');
   }
 }
 
@@ -343,7 +382,7 @@ async function doApprovalRequest(data, flags) {
       urgency: 'normal',
     };
 
-    if (data.amount) body.amount = data.amount;
+    if (data.amount) Object.assign(body, money.approvalFields(data.amount));
 
     const res = await api.submitApproval(body);
 
@@ -510,6 +549,7 @@ function showRunHelp() {
     ${out.style.dim('# Knowledge')}
     npx beeboo run "store our refund policy: full refund within 30 days"
     npx beeboo run "what's our escalation protocol?"
+    npx beeboo run "what's our escalation protocol?" --offline   ${out.style.dim('# local index')}
 
     ${out.style.dim('# Approvals')}
     npx beeboo run "request approval for $5000 vendor payment"
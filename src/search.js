@@ -0,0 +1,364 @@
+'use strict';
+
+/**
+ * search.js — Local full-text search index for working without a network.
+ *
+ * The index lives in ~/.beeboo/index/index.json and holds every entry with
+ * its title, tags and content already tokenized and stemmed. `refresh` only
+ * fetches entries updated since the newest `updated_at` already indexed;
+ * `refresh({ rebuild: true })` starts over (and drops deleted entries).
+ *
+ * Queries are ranked with BM25F: title matches count 3x, tag matches 2x.
+ *
+ *   refund policy            # Any of the words, best matches first
+ *   "net 30" invoice         # Quoted phrases must appear as written
+ *   refund -draft            # Leave out entries that mention a word
+ */
+
+const fs = require('fs');
+const path = require('path');
+const credentials = require('./credentials');
+const { api, isOk, getData, getError } = require('./api');
+
+const INDEX_VERSION = 1;
+
+// BM25 parameters and per-field weights
+const K1 = 1.2;
+const B = 0.75;
+const FIELDS = { title: 3, tags: 2, content: 1 };
+
+// Fields kept so results can be shown without the server
+const STORED_FIELDS = ['id', 'key', 'title', 'content', 'content_type', 'tags', 'namespace', 'status', 'updated_at'];
+
+const STOPWORDS = new Set(('a an and are as at be but by for from has have how i if in into is it its ' +
+  'of on or our so that the their then there these this to was we were what when where which who why ' +
+  'will with you your').split(' '));
+
+function getDir() {
+  return path.join(credentials.getDir(), 'index');
+}
+
+function getFile() {
+  return path.join(getDir(), 'index.json');
+}
+
+// --- Stemming (Porter, 1980) ---
+
+const C = '[^aeiou][^aeiouy]*';
+const V = '[aeiouy][aeiou]*';
+const MGR0 = new RegExp(`^(${C})?${V}${C}`);
+const MEQ1 = new RegExp(`^(${C})?${V}${C}(${V})?$`);
+const MGR1 = new RegExp(`^(${C})?${V}${C}${V}${C}`);
+const HAS_VOWEL = new RegExp(`^(${C})?[aeiouy]`);
+const CVC = new RegExp(`^${C}[aeiouy][^aeiouwxy]$`);
+
+const STEP2 = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+  alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate',
+  alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive',
+  biliti: 'ble', logi: 'log',
+};
+const STEP3 = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+
+/**
+ * Reduce an English word to its stem ("refunds", "refunded" → "refund").
+ * Words with digits or non-ASCII letters are returned unchanged.
+ */
+function stem(word) {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+  let w = word;
+  const initialY = w[0] === 'y';
+  if (initialY) w = 'Y' + w.slice(1);
+
+  let m;
+  // Step 1a: plurals
+  if ((m = w.match(/^(.+?)(ss|i)es$/))) w = m[1] + m[2];
+  else if ((m = w.match(/^(.+?)([^s])s$/))) w = m[1] + m[2];
+
+  // Step 1b: -eed, -ed, -ing
+  if ((m = w.match(/^(.+?)eed$/))) {
+    if (MGR0.test(m[1])) w = w.slice(0, -1);
+  } else if ((m = w.match(/^(.+?)(ed|ing)$/)) && HAS_VOWEL.test(m[1])) {
+    w = m[1];
+    if (/(at|bl|iz)$/.test(w)) w += 'e';
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (CVC.test(w)) w += 'e';
+  }
+
+  // Step 1c: y → i
+  if ((m = w.match(/^(.+?)y$/)) && HAS_VOWEL.test(m[1])) w = m[1] + 'i';
+
+  // Steps 2 and 3: double and single suffixes
+  if ((m = w.match(/^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/)) && MGR0.test(m[1])) {
+    w = m[1] + STEP2[m[2]];
+  }
+  if ((m = w.match(/^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/)) && MGR0.test(m[1])) {
+    w = m[1] + STEP3[m[2]];
+  }
+
+  // Step 4: remaining suffixes
+  if ((m = w.match(/^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/))) {
+    if (MGR1.test(m[1])) w = m[1];
+  } else if ((m = w.match(/^(.+?)([st])ion$/)) && MGR1.test(m[1] + m[2])) {
+    w = m[1] + m[2];
+  }
+
+  // Step 5: final -e and -ll
+  if ((m = w.match(/^(.+?)e$/)) && (MGR1.test(m[1]) || (MEQ1.test(m[1]) && !CVC.test(m[1])))) w = m[1];
+  if (/ll$/.test(w) && MGR1.test(w)) w = w.slice(0, -1);
+
+  if (initialY) w = 'y' + w.slice(1);
+  return w;
+}
+
+/**
+ * Split text into lowercase stemmed terms, without stopwords.
+ */
+function tokenize(text) {
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words.filter(w => !STOPWORDS.has(w)).map(stem);
+}
+
+/**
+ * Parse a query into terms, required phrases and excluded terms.
+ * @returns {{terms: string[], phrases: string[][], exclude: string[]}}
+ */
+function parseQuery(query) {
+  const phrases = [];
+  const rest = String(query || '').replace(/"([^"]*)"/g, (_, phrase) => {
+    const terms = tokenize(phrase);
+    if (terms.length) phrases.push(terms);
+    return ' ';
+  });
+
+  const terms = [];
+  const exclude = [];
+  for (const word of rest.split(/\s+/).filter(Boolean)) {
+    if (word.startsWith('-') && word.length > 1) exclude.push(...tokenize(word.slice(1)));
+    else terms.push(...tokenize(word));
+  }
+  for (const phrase of phrases) terms.push(...phrase);
+
+  return { terms: [...new Set(terms)], phrases, exclude };
+}
+
+// --- Index storage ---
+
+function emptyIndex() {
+  return { version: INDEX_VERSION, source: null, synced_at: null, watermark: null, docs: {} };
+}
+
+/**
+ * Load the index (null if none has been built yet, or it's unreadable).
+ */
+function load() {
+  try {
+    const index = JSON.parse(fs.readFileSync(getFile(), 'utf8'));
+    return index.version === INDEX_VERSION ? index : null;
+  } catch {
+    return null;
+  }
+}
+
+function save(index) {
+  fs.mkdirSync(getDir(), { recursive: true, mode: 0o700 });
+  // Write then rename so an interrupted refresh never leaves half a file
+  const tmp = `${getFile()}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(index) + '\n', { mode: 0o600 });
+  fs.renameSync(tmp, getFile());
+}
+
+function toDoc(entry) {
+  const stored = {};
+  for (const field of STORED_FIELDS) {
+    if (entry[field] !== undefined) stored[field] = entry[field];
+  }
+  return {
+    entry: stored,
+    terms: {
+      title: tokenize(entry.title),
+      tags: tokenize((entry.tags || []).join(' ')),
+      content: tokenize(entry.content),
+    },
+  };
+}
+
+/**
+ * Bring the index up to date with the server. Only entries updated since
+ * the last refresh are fetched, unless `rebuild` is set or the index was
+ * built against a different API.
+ *
+ * @returns {Promise<{count: number, added: number, updated: number, removed: number, full: boolean, synced_at: string}>}
+ */
+async function refresh(opts = {}) {
+  const source = credentials.getApiUrl();
+  let index = load();
+  const full = !!opts.rebuild || !index || index.source !== source || !index.watermark;
+  if (full) index = { ...emptyIndex(), source };
+
+  const query = full ? {} : { updated_since: index.watermark };
+  const res = await api.listAllKnowledgeEntries(query);
+  if (!isOk(res)) throw new Error(getError(res));
+
+  const entries = getData(res) || [];
+  const previous = full ? (load()?.docs || {}) : index.docs;
+  let added = 0;
+  let updated = 0;
+
+  for (const entry of entries) {
+    if (!entry?.id) continue;
+    const existing = previous[entry.id];
+    if (!existing) added++;
+    else if (existing.entry.updated_at !== entry.updated_at) updated++;
+
+    // Unchanged entries keep their tokens
+    index.docs[entry.id] = existing && existing.entry.updated_at === entry.updated_at && existing.entry.content === entry.content
+      ? existing
+      : toDoc(entry);
+
+    if (entry.updated_at && (!index.watermark || entry.updated_at > index.watermark)) {
+      index.watermark = entry.updated_at;
+    }
+  }
+
+  const removed = full ? Object.keys(previous).filter(id => !index.docs[id]).length : 0;
+  index.synced_at = new Date().toISOString();
+  save(index);
+
+  return { count: Object.keys(index.docs).length, added, updated, removed, full, synced_at: index.synced_at };
+}
+
+/**
+ * Drop entries from the index (after they're deleted).
+ */
+function remove(ids) {
+  const index = load();
+  if (!index) return;
+  let changed = false;
+  for (const id of ids) {
+    if (index.docs[id]) {
+      delete index.docs[id];
+      changed = true;
+    }
+  }
+  try {
+    if (changed) save(index);
+  } catch {
+    // The next rebuild drops it anyway
+  }
+}
+
+// --- Ranking ---
+
+function containsPhrase(terms, phrase) {
+  outer:
+  for (let i = 0; i <= terms.length - phrase.length; i++) {
+    for (let j = 0; j < phrase.length; j++) {
+      if (terms[i + j] !== phrase[j]) continue outer;
+    }
+    return true;
+  }
+  return false;
+}
+
+function counts(terms) {
+  const map = new Map();
+  for (const t of terms) map.set(t, (map.get(t) || 0) + 1);
+  return map;
+}
+
+/**
+ * Rank indexed entries for a query.
+ *
+ * @param {object} index - From load()
+ * @param {string} query
+ * @param {object} [opts]
+ * @param {string} [opts.namespace] - Only this namespace
+ * @param {string} [opts.status] - Only this status (default: everything but drafts)
+ * @param {number} [opts.limit] - Maximum results (default 10)
+ * @returns {object[]} entries with a `score`, best first
+ */
+function search(index, query, opts = {}) {
+  const { terms, phrases, exclude } = parseQuery(query);
+  if (terms.length === 0) return [];
+
+  const docs = Object.values(index.docs).filter(d =>
+    (!opts.namespace || (d.entry.namespace || 'default') === opts.namespace) &&
+    (opts.status ? d.entry.status === opts.status : d.entry.status !== 'draft'));
+  if (docs.length === 0) return [];
+
+  const avg = {};
+  for (const field of Object.keys(FIELDS)) {
+    avg[field] = docs.reduce((sum, d) => sum + d.terms[field].length, 0) / docs.length || 1;
+  }
+
+  const stats = docs.map(d => {
+    const tf = {};
+    for (const field of Object.keys(FIELDS)) tf[field] = counts(d.terms[field]);
+    return { doc: d, tf };
+  });
+
+  const df = new Map(terms.map(t => [t, stats.filter(s => Object.values(s.tf).some(m => m.has(t))).length]));
+
+  const results = [];
+  for (const { doc, tf } of stats) {
+    if (exclude.some(t => Object.values(tf).some(m => m.has(t)))) continue;
+    if (!phrases.every(p => Object.keys(FIELDS).some(f => containsPhrase(doc.terms[f], p)))) continue;
+
+    let score = 0;
+    for (const term of terms) {
+      let weighted = 0;
+      for (const [field, boost] of Object.entries(FIELDS)) {
+        const n = tf[field].get(term);
+        if (!n) continue;
+        weighted += boost * n / (1 - B + B * doc.terms[field].length / avg[field]);
+      }
+      if (weighted === 0) continue;
+      const idf = Math.log(1 + (docs.length - df.get(term) + 0.5) / (df.get(term) + 0.5));
+      score += idf * weighted * (K1 + 1) / (weighted + K1);
+    }
+
+    if (score > 0) results.push({ ...doc.entry, score: Math.round(score * 1000) / 1000 });
+  }
+
+  results.sort((a, b) => b.score - a.score || String(a.title || '').localeCompare(String(b.title || '')));
+  return results.slice(0, opts.limit || 10);
+}
+
+/**
+ * A piece of `content` around the first word that matches the query.
+ */
+function snippet(content, query, max = 120) {
+  const text = String(content || '').replace(/\s+/g, ' ').trim();
+  const { terms } = parseQuery(query);
+  const re = /[\p{L}\p{N}]+/gu;
+  let m;
+  let at = 0;
+  while ((m = re.exec(text))) {
+    if (terms.includes(stem(m[0].toLowerCase()))) {
+      at = m.index;
+      break;
+    }
+  }
+
+  let start = Math.max(0, at - Math.floor(max / 3));
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < at) start = space + 1;
+  }
+  const piece = text.slice(start, start + max);
+  return (start > 0 ? '...' : '') + piece + (start + max < text.length ? '...' : '');
+}
+
+module.exports = {
+  getDir,
+  stem,
+  tokenize,
+  parseQuery,
+  load,
+  refresh,
+  remove,
+  search,
+  snippet,
+};
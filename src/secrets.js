@@ -0,0 +1,401 @@
+'use strict';
+
+/**
+ * secrets.js — Catch credentials and personal data before knowledge leaves
+ * the machine. Runs before entries are created or updated by knowledge
+ * add/import/edit/update, commit, push and run.
+ *
+ * Each finding is blocked, warned about or redacted, per rule:
+ *
+ *   secret  api keys (incl. bb_ keys), private keys, passwords,
+ *           credentials in URLs, credit card numbers   → block
+ *   pii     email addresses, phone numbers            → warn
+ *
+ * The policy lives in ~/.beeboo/secrets.json (deliberately not in the
+ * current directory, so a checked-out repo can't loosen it):
+ *
+ *   {
+ *     "rules": { "email": "redact", "phone": "block" },
+ *     "patterns": [
+ *       { "id": "internal-host", "label": "Internal hostname", "pattern": "\\b[a-z0-9-]+\\.corp\\.internal\\b", "action": "warn" }
+ *     ],
+ *     "allow": ["support@beeboo.ai", "/^bb_test_/"]
+ *   }
+ *
+ * `allow` entries are exact values or /regex/ matched against what was
+ * found. --allow-secrets skips the scan entirely; nothing else does.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const out = require('./output');
+const credentials = require('./credentials');
+
+const ACTIONS = ['block', 'warn', 'redact'];
+
+const CONFIG_FILE = 'secrets.json';
+
+// Fields of an entry (or update) that are scanned
+const FIELDS = ['title', 'content', 'tags'];
+
+// Values that look like a secret but are obviously placeholders
+const PLACEHOLDER = /^(?:<[^>]*>|\$\{?[A-Za-z_][\w]*\}?|\{\{[^}]*\}\}|x{3,}|\*{3,}|\.{3,}|(?:your|my)[-_]?\w*|changeme|redacted|\[redacted[^\]]*\])$/i;
+
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Whether an unquoted word looks like a credential rather than prose: it
+ * has a digit, a symbol or mixed case past the first letter.
+ */
+function credentialLike(value) {
+  const core = value.replace(/[.!?:)\]]+$/, '');
+  return core.length >= 4 && (/\d/.test(core) || /[^A-Za-z0-9]/.test(core) || /[a-z].*[A-Z]/.test(core));
+}
+
+/**
+ * Built-in rules. `group` (when set) is the capture group holding the
+ * sensitive part, so "password: hunter2" redacts to "password: [REDACTED]".
+ */
+const RULES = [
+  { id: 'beeboo-api-key', type: 'secret', label: 'BeeBoo API key', pattern: /\bbb_[A-Za-z0-9]+_[A-Za-z0-9]{16,}\b|\bbb_[A-Za-z0-9]{24,}\b/g },
+  { id: 'aws-access-key', type: 'secret', label: 'AWS access key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { id: 'aws-secret-key', type: 'secret', label: 'AWS secret key', pattern: /\baws_?secret_?access_?key\b["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})\b/gi, group: 1 },
+  { id: 'github-token', type: 'secret', label: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{60,})\b/g },
+  { id: 'slack-token', type: 'secret', label: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+  { id: 'stripe-key', type: 'secret', label: 'Stripe key', pattern: /\b[rsp]k_(?:live|test)_[A-Za-z0-9]{16,}\b/g },
+  { id: 'openai-key', type: 'secret', label: 'AI provider API key', pattern: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{32,}\b/g },
+  { id: 'google-api-key', type: 'secret', label: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { id: 'jwt', type: 'secret', label: 'JSON Web Token', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  {
+    id: 'private-key',
+    type: 'secret',
+    label: 'Private key',
+    pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?(?:-----END (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----|$)/g,
+  },
+  {
+    id: 'generic-api-key',
+    type: 'secret',
+    label: 'API key or token',
+    pattern: /\b(?:api[_-]?key|api[_-]?secret|secret[_-]?key|client[_-]?secret|access[_-]?token|auth[_-]?token|bearer)\b["']?\s*[:=]?\s*["']?([A-Za-z0-9_\-./+=]{16,})/gi,
+    group: 1,
+  },
+  {
+    id: 'password',
+    type: 'secret',
+    label: 'Password',
+    // "password = x", or a quoted value, is always a credential. After
+    // "password:" or "password is" an unquoted value must look like one, so
+    // prose such as "Password: required for VPN" or "the password is stored
+    // in the vault" isn't blocked, but "the password is Tr0ub4dor&3" is.
+    pattern: /\b(?:password|passwd|passphrase|pwd|passcode)\b["']?\s*(?:(=)\s*["']?|:\s*(["']?)|\bis\s+(["']?))([^\s"',;]{4,})/gi,
+    group: 4,
+    validate: (value, m) => !!(m[1] || m[2] || m[3]) || credentialLike(value),
+  },
+  { id: 'url-credentials', type: 'secret', label: 'Password in URL', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:([^\s@/]+)@/gi, group: 1 },
+  {
+    id: 'credit-card',
+    type: 'secret',
+    label: 'Credit card number',
+    pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+    validate: (value) => {
+      const digits = value.replace(/\D/g, '');
+      return digits.length >= 13 && digits.length <= 19 && /^[2-6]/.test(digits) && luhn(digits);
+    },
+  },
+  {
+    id: 'email',
+    type: 'pii',
+    label: 'Email address',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+    validate: (value) => !/@(?:[\w-]+\.)*example\.(?:com|org|net)$/i.test(value),
+  },
+  {
+    id: 'phone',
+    type: 'pii',
+    label: 'Phone number',
+    pattern: /(?<![\w.+-]|\d[\s-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,5}[\s.-]\d{3,4}(?:[\s.-]?\d{3,4})?(?![\w.-]*\d|[\s-]\d)/g,
+    validate: (value) => {
+      const digits = value.replace(/\D/g, '');
+      return digits.length >= 10 && digits.length <= 15 && !/^\d{4}[-.]\d{2}[-.]\d{2}/.test(value);
+    },
+  },
+];
+
+const DEFAULT_ACTIONS = { secret: 'block', pii: 'warn' };
+
+function getPath() {
+  return path.join(credentials.getDir(), CONFIG_FILE);
+}
+
+/**
+ * Compile a pattern from the config: a string (flags default to "g") or
+ * "/source/flags".
+ */
+function toRegExp(value, where) {
+  const str = String(value);
+  const literal = str.match(/^\/(.+)\/([a-z]*)$/);
+  try {
+    if (literal) return new RegExp(literal[1], literal[2].includes('g') ? literal[2] : literal[2] + 'g');
+    return new RegExp(str, 'g');
+  } catch (err) {
+    throw new Error(`Invalid pattern in ${where}: ${err.message}`);
+  }
+}
+
+/**
+ * The effective policy: every rule with its action, plus the allowlist.
+ * Throws on a malformed config rather than scanning with half of it.
+ *
+ * @returns {{rules: object[], allow: (string|RegExp)[], path: string|null}}
+ */
+function loadPolicy() {
+  const file = getPath();
+  let cfg = {};
+  if (fs.existsSync(file)) {
+    try {
+      cfg = JSON.parse(fs.readFileSync(file, 'utf8')) || {};
+    } catch (err) {
+      throw new Error(`Invalid secrets policy ${file}: ${err.message}`);
+    }
+  }
+
+  const checkAction = (action, id) => {
+    if (!ACTIONS.includes(action)) throw new Error(`Unknown action "${action}" for ${id} in ${file} (use ${ACTIONS.join(', ')})`);
+    return action;
+  };
+
+  const ids = new Set(RULES.map(r => r.id));
+  for (const id of Object.keys(cfg.rules || {})) {
+    if (!ids.has(id)) throw new Error(`Unknown secrets rule "${id}" in ${file}`);
+  }
+
+  const rules = RULES.map(r => ({ ...r, action: checkAction(cfg.rules?.[r.id] || DEFAULT_ACTIONS[r.type], r.id) }));
+
+  for (const [i, p] of (cfg.patterns || []).entries()) {
+    const id = p.id || `pattern-${i + 1}`;
+    if (!p.pattern) throw new Error(`Pattern ${id} in ${file} has no "pattern"`);
+    rules.push({
+      id,
+      type: p.type || 'secret',
+      label: p.label || id,
+      pattern: toRegExp(p.pattern, file),
+      group: p.group,
+      action: checkAction(p.action || 'block', id),
+    });
+  }
+
+  const allow = (cfg.allow || []).map(a => (/^\/.+\/[a-z]*$/.test(String(a)) ? toRegExp(a, file) : String(a)));
+
+  return { rules, allow, path: fs.existsSync(file) ? file : null };
+}
+
+function allowed(value, allow) {
+  return allow.some(a => {
+    if (typeof a === 'string') return a === value;
+    a.lastIndex = 0;
+    return a.test(value);
+  });
+}
+
+/**
+ * Show enough of a value to recognise it without repeating it.
+ */
+function mask(value) {
+  const flat = value.replace(/\s+/g, ' ');
+  if (flat.length <= 8) return `${flat.slice(0, 2)}${'•'.repeat(Math.max(1, flat.length - 2))}`;
+  return `${flat.slice(0, 4)}…${flat.slice(-2)} ${out.style.dim(`(${flat.length} chars)`)}`;
+}
+
+/**
+ * Find sensitive values in one string.
+ * @returns {{rule: string, type: string, label: string, action: string, start: number, end: number, value: string, line: number}[]}
+ */
+function scanText(text, policy) {
+  const findings = [];
+  const str = String(text || '');
+
+  for (const rule of policy.rules) {
+    const re = new RegExp(rule.pattern.source, rule.pattern.flags.includes('g') ? rule.pattern.flags : rule.pattern.flags + 'g');
+    let m;
+    while ((m = re.exec(str))) {
+      if (m[0] === '') {
+        re.lastIndex++;
+        continue;
+      }
+      const value = rule.group && m[rule.group] != null ? m[rule.group] : m[0];
+      const start = m.index + (rule.group && m[rule.group] != null ? m[0].lastIndexOf(value) : 0);
+      if (PLACEHOLDER.test(value) || allowed(value, policy.allow)) continue;
+      if (rule.validate && !rule.validate(value, m)) continue;
+      // A span already claimed by an earlier (more specific) rule
+      if (findings.some(f => start < f.end && start + value.length > f.start)) continue;
+
+      findings.push({
+        rule: rule.id,
+        type: rule.type,
+        label: rule.label,
+        action: rule.action,
+        start,
+        end: start + value.length,
+        value,
+        line: str.slice(0, start).split('\n').length,
+      });
+    }
+  }
+
+  return findings.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Scan the title, content and tags of an entry or update.
+ * @returns {object[]} findings, each with the `field` it was found in
+ */
+function scan(fields, policy = loadPolicy()) {
+  const findings = [];
+  for (const field of FIELDS) {
+    const value = fields[field];
+    if (value == null) continue;
+    if (Array.isArray(value)) {
+      value.forEach((tag, i) => {
+        for (const f of scanText(tag, policy)) findings.push({ ...f, field, index: i });
+      });
+    } else {
+      for (const f of scanText(value, policy)) findings.push({ ...f, field });
+    }
+  }
+  return findings;
+}
+
+function redactText(text, findings) {
+  let result = String(text);
+  for (const f of [...findings].sort((a, b) => b.start - a.start)) {
+    result = result.slice(0, f.start) + `[REDACTED:${f.rule}]` + result.slice(f.end);
+  }
+  return result;
+}
+
+/**
+ * Copy of `fields` with every "redact" finding replaced.
+ */
+function redact(fields, findings) {
+  const result = { ...fields };
+  for (const field of FIELDS) {
+    const own = findings.filter(f => f.field === field && f.action === 'redact');
+    if (own.length === 0) continue;
+    result[field] = Array.isArray(fields[field])
+      ? fields[field].map((tag, i) => redactText(tag, own.filter(f => f.index === i)))
+      : redactText(fields[field], own);
+  }
+  return result;
+}
+
+/**
+ * Scan without acting on the result: returns the fields with redactions
+ * applied, the findings and whether any of them block.
+ */
+function check(fields, policy) {
+  const findings = scan(fields, policy);
+  return {
+    fields: redact(fields, findings),
+    findings,
+    blocked: findings.some(f => f.action === 'block'),
+  };
+}
+
+/**
+ * Print findings to stderr (stdout may be --json).
+ */
+function report(findings, where) {
+  const icons = { block: out.style.red('✗'), warn: out.style.yellow('⚠'), redact: out.style.cyan('~') };
+  const notes = { block: 'blocked', warn: 'sent anyway', redact: 'redacted' };
+  for (const f of findings) {
+    const place = `${where ? `${where} ` : ''}${f.field}${f.field === 'content' ? `:${f.line}` : ''}`;
+    console.error(`  ${icons[f.action]} ${f.label} in ${place}: ${mask(f.value)} ${out.style.dim(`[${f.rule}, ${notes[f.action]}]`)}`);
+  }
+}
+
+function blockedHelp() {
+  console.error(`  Remove it, allow it in ${out.style.cyan(getPath())}, or re-run with ${out.style.cyan('--allow-secrets')}.`);
+}
+
+function policyOrExit() {
+  try {
+    return loadPolicy();
+  } catch (err) {
+    out.error(err.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Check one entry (or update) before it's sent. Returns the fields to send
+ * (redacted where the policy says so); exits if anything is blocked.
+ *
+ * @param {object} fields - title, content and/or tags
+ * @param {object} flags - --allow-secrets skips the check
+ * @returns {object}
+ */
+function guard(fields, flags = {}) {
+  if (flags['allow-secrets']) return fields;
+
+  const result = check(fields, policyOrExit());
+  if (result.findings.length === 0) return fields;
+
+  if (result.blocked) {
+    out.error('Refusing to send: this looks like it contains secrets or personal data.');
+    report(result.findings);
+    blockedHelp();
+    process.exit(1);
+  }
+
+  report(result.findings);
+  return result.fields;
+}
+
+/**
+ * Check many entries at once, before any of them is sent. `items` are
+ * { label, fields }; each gets its redacted `fields` back. Exits if
+ * anything is blocked.
+ */
+function guardAll(items, flags = {}) {
+  if (flags['allow-secrets']) return items;
+
+  const policy = policyOrExit();
+  const results = items.map(item => ({ ...item, ...check(item.fields, policy) }));
+  const blocking = results.filter(r => r.blocked);
+
+  if (blocking.length > 0) {
+    out.error(`Refusing to send: ${blocking.length} entr${blocking.length === 1 ? 'y looks' : 'ies look'} like ${blocking.length === 1 ? 'it contains' : 'they contain'} secrets or personal data.`);
+  }
+  for (const r of results) {
+    if (r.findings.length > 0) report(r.findings, r.label);
+  }
+  if (blocking.length > 0) {
+    blockedHelp();
+    process.exit(1);
+  }
+  return results.map(({ findings, blocked, ...rest }) => rest);
+}
+
+module.exports = {
+  RULES,
+  ACTIONS,
+  getPath,
+  loadPolicy,
+  scan,
+  redact,
+  check,
+  report,
+  guard,
+  guardAll,
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * similarity.js — String similarity helpers for spotting near-duplicate
+ * keys, titles and content. Zero dependencies.
+ */
+
+/**
+ * Lowercase, strip punctuation and collapse whitespace.
+ */
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Levenshtein edit distance (two-row dynamic programming).
+ */
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  let curr = new Array(b.length + 1);
+  for (let i = 1; i <= a.length; i++) {
+    curr[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    [prev, curr] = [curr, prev];
+  }
+  return prev[b.length];
+}
+
+/**
+ * Edit-distance similarity in [0, 1] of two normalized strings.
+ */
+function ratio(a, b) {
+  const x = normalize(a);
+  const y = normalize(b);
+  if (!x && !y) return 1;
+  return 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+}
+
+/**
+ * Word shingles (runs of `size` words) of a text.
+ */
+function shingles(text, size = 3) {
+  const words = normalize(text).split(' ').filter(Boolean);
+  const set = new Set();
+  if (words.length < size) {
+    if (words.length) set.add(words.join(' '));
+    return set;
+  }
+  for (let i = 0; i <= words.length - size; i++) {
+    set.add(words.slice(i, i + size).join(' '));
+  }
+  return set;
+}
+
+/**
+ * Jaccard similarity of two sets.
+ */
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const item of a) if (b.has(item)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Content similarity in [0, 1]: overlap of word shingles.
+ */
+function contentSimilarity(a, b) {
+  return jaccard(shingles(a), shingles(b));
+}
+
+module.exports = {
+  normalize,
+  levenshtein,
+  ratio,
+  shingles,
+  jaccard,
+  contentSimilarity,
+};
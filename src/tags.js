@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * tags.js — Tag parsing, incremental edits (+add -remove), counts and
+ * filtering. Shared by knowledge, log and export.
+ */
+
+/**
+ * "a, b,,c" → ['a', 'b', 'c']
+ */
+function parse(value) {
+  if (Array.isArray(value)) return value.map(t => String(t).trim()).filter(Boolean);
+  if (typeof value !== 'string') return [];
+  return value.split(',').map(t => t.trim()).filter(Boolean);
+}
+
+/**
+ * Tags required by a --tag flag (comma-separated, all must match).
+ */
+function fromFlags(flags) {
+  return parse(flags.tag);
+}
+
+/**
+ * Keep entries carrying every one of `required`.
+ */
+function filter(entries, required) {
+  if (!required || required.length === 0) return entries;
+  return entries.filter(e => required.every(t => (e.tags || []).includes(t)));
+}
+
+/**
+ * Parse edit arguments: "+policy" or "policy" adds, "-draft" removes.
+ * @param {string[]} args
+ * @returns {{add: string[], remove: string[]}}
+ */
+function parseEdits(args) {
+  const add = [];
+  const remove = [];
+  for (const arg of args) {
+    for (const part of parse(arg)) {
+      if (part.startsWith('-')) remove.push(part.slice(1));
+      else add.push(part.replace(/^\+/, ''));
+    }
+  }
+  return { add: add.filter(Boolean), remove: remove.filter(Boolean) };
+}
+
+/**
+ * Apply edits to a tag list, keeping order and dropping duplicates.
+ */
+function applyEdits(tags, edits) {
+  const removed = new Set(edits.remove);
+  const result = (tags || []).filter(t => !removed.has(t));
+  for (const t of edits.add) {
+    if (!result.includes(t)) result.push(t);
+  }
+  return result;
+}
+
+/**
+ * Replace `from` with `to` in a tag list. Returns null if `from` isn't there.
+ */
+function rename(tags, from, to) {
+  if (!(tags || []).includes(from)) return null;
+  const result = [];
+  for (const t of tags) {
+    const next = t === from ? to : t;
+    if (!result.includes(next)) result.push(next);
+  }
+  return result;
+}
+
+/**
+ * Usage count per tag, most used first.
+ * @returns {{tag: string, count: number}[]}
+ */
+function count(entries) {
+  const counts = new Map();
+  for (const e of entries) {
+    for (const t of new Set(e.tags || [])) counts.set(t, (counts.get(t) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([tag, n]) => ({ tag, count: n }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+module.exports = {
+  parse,
+  fromFlags,
+  filter,
+  parseEdits,
+  applyEdits,
+  rename,
+  count,
+};
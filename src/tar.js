@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * tar.js — Minimal ustar archive writer. Regular files only, which is all
+ * `knowledge export` needs. Zero dependencies.
+ */
+
+const BLOCK = 512;
+
+function octal(value, width) {
+  return value.toString(8).padStart(width - 1, '0') + '\0';
+}
+
+/**
+ * Split a path into ustar name (≤100 bytes) and prefix (≤155 bytes).
+ */
+function splitName(name) {
+  if (Buffer.byteLength(name) <= 100) return { name, prefix: '' };
+  const parts = name.split('/');
+  for (let i = 1; i < parts.length; i++) {
+    const prefix = parts.slice(0, i).join('/');
+    const rest = parts.slice(i).join('/');
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) {
+      return { name: rest, prefix };
+    }
+  }
+  throw new Error(`Path too long for tar: ${name}`);
+}
+
+function header(file, size, mtime) {
+  const buf = Buffer.alloc(BLOCK, 0);
+  const { name, prefix } = splitName(file);
+
+  buf.write(name, 0, 100, 'utf8');
+  buf.write(octal(0o644, 8), 100, 8, 'ascii');     // mode
+  buf.write(octal(0, 8), 108, 8, 'ascii');         // uid
+  buf.write(octal(0, 8), 116, 8, 'ascii');         // gid
+  buf.write(octal(size, 12), 124, 12, 'ascii');    // size
+  buf.write(octal(mtime, 12), 136, 12, 'ascii');   // mtime
+  buf.write('        ', 148, 8, 'ascii');          // checksum placeholder
+  buf.write('0', 156, 1, 'ascii');                 // regular file
+  buf.write('ustar\0', 257, 6, 'ascii');
+  buf.write('00', 263, 2, 'ascii');
+  buf.write(prefix, 345, 155, 'utf8');
+
+  let sum = 0;
+  for (const byte of buf) sum += byte;
+  buf.write(octal(sum, 7) + ' ', 148, 8, 'ascii');
+
+  return buf;
+}
+
+/**
+ * Build a tar archive.
+ * @param {{path: string, content: string|Buffer}[]} files
+ * @param {Date} [mtime]
+ * @returns {Buffer}
+ */
+function create(files, mtime = new Date()) {
+  const seconds = Math.floor(mtime.getTime() / 1000);
+  const chunks = [];
+
+  for (const file of files) {
+    const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8');
+    chunks.push(header(file.path, data.length, seconds), data);
+    const pad = (BLOCK - (data.length % BLOCK)) % BLOCK;
+    if (pad) chunks.push(Buffer.alloc(pad, 0));
+  }
+
+  // End of archive: two empty blocks
+  chunks.push(Buffer.alloc(BLOCK * 2, 0));
+  return Buffer.concat(chunks);
+}
+
+module.exports = { create };
@@ -0,0 +1,206 @@
+'use strict';
+
+/**
+ * textdiff.js — Line and word diffs (Myers' O(ND) algorithm) and unified
+ * diff hunks. Zero dependencies.
+ */
+
+/**
+ * Find the middle snake of a[aLo..aHi) against b[bLo..bHi): run the
+ * forward and backward searches until they overlap. Both sides are
+ * non-empty. Returns the snake's start (x, y) and end (u, v).
+ */
+function middleSnake(a, aLo, aHi, b, bLo, bHi) {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const delta = n - m;
+  const odd = (delta & 1) !== 0;
+  const max = Math.ceil((n + m) / 2);
+  const offset = max + 1;
+  const vf = new Int32Array(2 * max + 3);
+  const vb = new Int32Array(2 * max + 3);
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && vf[offset + k - 1] < vf[offset + k + 1]))
+        ? vf[offset + k + 1]
+        : vf[offset + k - 1] + 1;
+      let y = x - k;
+      const x0 = x;
+      const y0 = y;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      vf[offset + k] = x;
+      const c = delta - k;
+      if (odd && c >= -(d - 1) && c <= d - 1 && x + vb[offset + c] >= n) {
+        return { x: aLo + x0, y: bLo + y0, u: aLo + x, v: bLo + y };
+      }
+    }
+
+    // Backward, in coordinates counted from the ends
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && vb[offset + k - 1] < vb[offset + k + 1]))
+        ? vb[offset + k + 1]
+        : vb[offset + k - 1] + 1;
+      let y = x - k;
+      const x0 = x;
+      const y0 = y;
+      while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+        x++;
+        y++;
+      }
+      vb[offset + k] = x;
+      const c = delta - k;
+      if (!odd && c >= -d && c <= d && x + vf[offset + c] >= n) {
+        return { x: aHi - x, y: bHi - y, u: aHi - x0, v: bHi - y0 };
+      }
+    }
+  }
+  throw new Error('diff: no middle snake');
+}
+
+function diffRange(a, aLo, aHi, b, bLo, bHi, ops) {
+  while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+    ops.push({ type: 'equal', value: a[aLo] });
+    aLo++;
+    bLo++;
+  }
+  let aEnd = aHi;
+  let bEnd = bHi;
+  while (aEnd > aLo && bEnd > bLo && a[aEnd - 1] === b[bEnd - 1]) {
+    aEnd--;
+    bEnd--;
+  }
+
+  if (aLo === aEnd) {
+    for (let i = bLo; i < bEnd; i++) ops.push({ type: 'insert', value: b[i] });
+  } else if (bLo === bEnd) {
+    for (let i = aLo; i < aEnd; i++) ops.push({ type: 'delete', value: a[i] });
+  } else {
+    const snake = middleSnake(a, aLo, aEnd, b, bLo, bEnd);
+    diffRange(a, aLo, snake.x, b, bLo, snake.y, ops);
+    for (let i = snake.x; i < snake.u; i++) ops.push({ type: 'equal', value: a[i] });
+    diffRange(a, snake.u, aEnd, b, snake.v, bEnd, ops);
+  }
+
+  for (let i = aEnd; i < aHi; i++) ops.push({ type: 'equal', value: a[i] });
+}
+
+/**
+ * Shortest edit script between two token arrays.
+ * Returns [{ type: 'equal'|'delete'|'insert', value }] in order.
+ *
+ * Uses the linear-space variant (divide and conquer on the middle snake),
+ * so memory stays O(N+M) however different the texts are.
+ */
+function myers(a, b) {
+  const ops = [];
+  diffRange(a, 0, a.length, b, 0, b.length, ops);
+  return ops;
+}
+
+function splitLines(text) {
+  if (!text) return [];
+  return String(text).split('\n');
+}
+
+/**
+ * Line diff between two strings.
+ */
+function diffLines(oldText, newText) {
+  return myers(splitLines(oldText), splitLines(newText));
+}
+
+/**
+ * Word diff between two strings. Whitespace runs are kept as tokens so
+ * joining the values reproduces the input.
+ */
+function diffWords(oldText, newText) {
+  const tokenize = (s) => String(s || '').match(/\s+|[^\s]+/g) || [];
+  return myers(tokenize(oldText), tokenize(newText));
+}
+
+/**
+ * Group a line diff into unified-diff hunks with `context` lines around
+ * each change.
+ * @returns {{oldStart: number, oldLines: number, newStart: number, newLines: number, lines: {type: string, value: string}[]}[]}
+ */
+function hunks(ops, context = 3) {
+  // Old/new line numbers at each op
+  const pos = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const op of ops) {
+    pos.push([oldLine, newLine]);
+    if (op.type !== 'insert') oldLine++;
+    if (op.type !== 'delete') newLine++;
+  }
+
+  // Keep every op within `context` of a change; changes closer than
+  // 2×context apart end up in the same hunk
+  const keep = new Array(ops.length).fill(false);
+  ops.forEach((op, i) => {
+    if (op.type === 'equal') return;
+    for (let j = Math.max(0, i - context); j <= Math.min(ops.length - 1, i + context); j++) {
+      keep[j] = true;
+    }
+  });
+
+  const result = [];
+  let current = null;
+  for (let i = 0; i < ops.length; i++) {
+    if (!keep[i]) {
+      if (current) result.push(current);
+      current = null;
+      continue;
+    }
+    const op = ops[i];
+    if (!current) {
+      current = { oldStart: pos[i][0], newStart: pos[i][1], oldLines: 0, newLines: 0, lines: [] };
+    }
+    current.lines.push(op);
+    if (op.type !== 'insert') current.oldLines++;
+    if (op.type !== 'delete') current.newLines++;
+  }
+  if (current) result.push(current);
+
+  // Unified diff convention: an empty range starts at the line before
+  for (const h of result) {
+    if (h.oldLines === 0) h.oldStart--;
+    if (h.newLines === 0) h.newStart--;
+  }
+
+  return result;
+}
+
+/**
+ * Count inserted and deleted lines.
+ */
+function stat(ops) {
+  let insertions = 0;
+  let deletions = 0;
+  for (const op of ops) {
+    if (op.type === 'insert') insertions++;
+    else if (op.type === 'delete') deletions++;
+  }
+  return { insertions, deletions };
+}
+
+/**
+ * "@@ -1,4 +1,5 @@" header for a hunk.
+ */
+function hunkHeader(h) {
+  const range = (start, lines) => (lines === 1 ? `${start}` : `${start},${lines}`);
+  return `@@ -${range(h.oldStart, h.oldLines)} +${range(h.newStart, h.newLines)} @@`;
+}
+
+module.exports = {
+  myers,
+  diffLines,
+  diffWords,
+  hunks,
+  stat,
+  hunkHeader,
+};
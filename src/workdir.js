@@ -0,0 +1,266 @@
+'use strict';
+
+/**
+ * workdir.js — Local working copy of the knowledge base.
+ *
+ * Layout:
+ *   <root>/
+ *     .beeboo/workdir.json       # Tracking state (like .git)
+ *     <namespace>/<key>.md       # One file per entry, YAML frontmatter + content
+ *
+ * workdir.json records, per entry ID, the file it was written to, the
+ * server's updated_at/version and a checksum of what was written, so `pull`
+ * can tell server-side changes apart from local edits.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const frontmatter = require('./frontmatter');
+
+const STATE_DIR = '.beeboo';
+const STATE_FILE = 'workdir.json';
+
+function statePath(root) {
+  return path.join(root, STATE_DIR, STATE_FILE);
+}
+
+/**
+ * Walk up from `start` looking for a working copy. Returns the root or null.
+ */
+function findRoot(start = process.cwd()) {
+  let dir = path.resolve(start);
+  for (;;) {
+    if (fs.existsSync(statePath(dir))) return dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+function loadState(root) {
+  try {
+    return JSON.parse(fs.readFileSync(statePath(root), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function saveState(root, state) {
+  fs.mkdirSync(path.join(root, STATE_DIR), { recursive: true });
+  fs.writeFileSync(statePath(root), JSON.stringify(state, null, 2) + '\n');
+}
+
+function checksum(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Make a key or namespace safe to use as a single path segment.
+ */
+function safeSegment(name) {
+  return String(name).replace(/[\/\\:*?"<>|\x00-\x1f]+/g, '-').replace(/^\.+/, '_') || '_';
+}
+
+/**
+ * Relative path for an entry: <namespace>/<key>.md
+ */
+function entryPath(entry) {
+  const ns = safeSegment(entry.namespace || 'default');
+  const name = safeSegment(entry.key || entry.id);
+  return path.join(ns, `${name}.md`);
+}
+
+/**
+ * Render an entry as a frontmatter markdown document.
+ * The namespace and key come from the file's location, so they are only
+ * written when the file name can't carry them.
+ */
+function toDocument(entry, relPath) {
+  const data = {
+    id: entry.id,
+    title: entry.title || '',
+  };
+  if (entry.key && relPath && path.basename(relPath, '.md') !== entry.key) {
+    data.key = entry.key;
+  }
+  data.tags = entry.tags || [];
+  data.status = entry.status || 'published';
+  if (entry.content_type && entry.content_type !== 'text' && entry.content_type !== 'markdown') {
+    data.content_type = entry.content_type;
+  }
+  data.version = entry.version || 1;
+  data.updated_at = entry.updated_at || null;
+
+  return frontmatter.stringify(data, entry.content || '');
+}
+
+/**
+ * Read a working-copy file back into an entry-shaped object.
+ */
+function readDocument(root, relPath) {
+  const text = fs.readFileSync(path.join(root, relPath), 'utf8');
+  const { data, body } = frontmatter.parse(text);
+  const segments = relPath.split(path.sep);
+
+  const entry = {
+    ...data,
+    key: data.key || path.basename(relPath, path.extname(relPath)),
+    namespace: data.namespace || (segments.length > 1 ? segments[0] : 'default'),
+    content: body,
+  };
+  if (typeof entry.tags === 'string') {
+    entry.tags = entry.tags.split(',').map(t => t.trim()).filter(Boolean);
+  }
+  return { entry, text };
+}
+
+function isModifiedLocally(root, tracked) {
+  const file = path.join(root, tracked.path);
+  if (!fs.existsSync(file)) return true;
+  return checksum(fs.readFileSync(file, 'utf8')) !== tracked.sha;
+}
+
+function writeFile(root, relPath, text) {
+  const file = path.join(root, relPath);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, text);
+}
+
+function removeFile(root, relPath) {
+  const file = path.join(root, relPath);
+  try {
+    fs.unlinkSync(file);
+  } catch {
+    // already gone
+  }
+  // Drop the namespace directory once it is empty
+  const dir = path.dirname(file);
+  if (dir !== root) {
+    try {
+      fs.rmdirSync(dir);
+    } catch {
+      // not empty
+    }
+  }
+}
+
+/**
+ * Start tracking a local file as the server entry it was pushed to, so the
+ * next pull doesn't see it as a local edit. The file itself is left alone:
+ * it is the source of truth, and the server's answer may be partial.
+ */
+function track(root, state, relPath, entry) {
+  state.entries = state.entries || {};
+  const prev = state.entries[entry.id];
+  state.entries[entry.id] = {
+    path: relPath,
+    updated_at: entry.updated_at || prev?.updated_at || null,
+    version: entry.version || prev?.version || 1,
+    sha: checksum(fs.readFileSync(path.join(root, relPath), 'utf8')),
+  };
+}
+
+/**
+ * Bring the working copy in line with `entries` from the server.
+ *
+ * Files with local edits are never overwritten or removed unless
+ * `opts.force` is set; they are reported as conflicts instead.
+ *
+ * @param {string} root - Working copy root
+ * @param {object[]} entries - All entries currently on the server
+ * @param {object} state - Loaded workdir state (mutated and returned)
+ * @param {object} [opts]
+ * @param {boolean} [opts.force] - Overwrite local edits
+ * @returns {{added: string[], modified: string[], deleted: string[], conflicts: string[], state: object}}
+ */
+function sync(root, entries, state, opts = {}) {
+  const result = { added: [], modified: [], deleted: [], conflicts: [], state };
+  const tracked = state.entries || {};
+  const next = {};
+  const taken = new Set();
+  const trackedPaths = new Set(Object.values(tracked).map(t => t.path));
+
+  // Keep already-tracked entries at their current paths where possible
+  const ordered = [...entries].sort((a, b) => (tracked[b.id] ? 1 : 0) - (tracked[a.id] ? 1 : 0));
+
+  for (const entry of ordered) {
+    const prev = tracked[entry.id];
+    const base = entryPath(entry);
+    // Same key twice in a namespace (e.g. a draft next to its published entry)
+    const suffixed = base.replace(/\.md$/, `.${String(entry.id).slice(0, 8)}.md`);
+    let relPath = taken.has(base) ? suffixed : base;
+    if (prev && (prev.path === base || prev.path === suffixed) && !taken.has(prev.path)) {
+      relPath = prev.path;
+    }
+    taken.add(relPath);
+
+    const unchanged = prev && prev.path === relPath &&
+      prev.updated_at === (entry.updated_at || null) &&
+      prev.version === (entry.version || 1);
+
+    if (unchanged) {
+      next[entry.id] = prev;
+      continue;
+    }
+
+    if (prev && isModifiedLocally(root, prev) && !opts.force) {
+      result.conflicts.push(prev.path);
+      next[entry.id] = prev;
+      continue;
+    }
+
+    if (!prev && !trackedPaths.has(relPath) && fs.existsSync(path.join(root, relPath)) && !opts.force) {
+      // Untracked local file in the way
+      result.conflicts.push(relPath);
+      continue;
+    }
+
+    const text = toDocument(entry, relPath);
+    if (prev && prev.path !== relPath) removeFile(root, prev.path);
+    writeFile(root, relPath, text);
+
+    next[entry.id] = {
+      path: relPath,
+      updated_at: entry.updated_at || null,
+      version: entry.version || 1,
+      sha: checksum(text),
+    };
+    (prev ? result.modified : result.added).push(relPath);
+  }
+
+  const live = new Set(entries.map(e => e.id));
+  for (const [id, prev] of Object.entries(tracked)) {
+    if (live.has(id)) continue;
+    if (taken.has(prev.path)) {
+      // Another entry now lives at this path
+      result.deleted.push(prev.path);
+      continue;
+    }
+    if (fs.existsSync(path.join(root, prev.path)) && isModifiedLocally(root, prev) && !opts.force) {
+      result.conflicts.push(prev.path);
+      next[id] = prev;
+      continue;
+    }
+    removeFile(root, prev.path);
+    result.deleted.push(prev.path);
+  }
+
+  state.entries = next;
+  return result;
+}
+
+module.exports = {
+  STATE_DIR,
+  findRoot,
+  loadState,
+  saveState,
+  checksum,
+  entryPath,
+  toDocument,
+  readDocument,
+  writeFile,
+  removeFile,
+  track,
+  sync,
+};